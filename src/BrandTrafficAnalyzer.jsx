@@ -1,18 +1,38 @@
-import React, { useState, useCallback, useEffect } from 'react';
-import { FileUploadComponent, ConfigurationComponent, TabsComponent, VisualizationComponent } from './components';
-import { processCsvData, analyzeDataQuality, inferContentType, sanitizeCSVCell } from './utils';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
+import { FileUploadComponent, SearchConsoleComponent, ConfigurationComponent, OverridesComponent, IntentModifiersComponent, ContentTypesComponent, SiteGroupsComponent, TabsComponent, VisualizationComponent, ProgressComponent, FilterBarComponent } from './components';
+import { sanitize, sanitizeCSVCell, PATH_LEVELS } from './utils';
+import { segmentShare } from './metrics';
+import { createAnalysisClient } from './analysisClient';
+import { compareResults } from './comparison';
+import { rulesFromTerms } from './brandRules';
+import { DEFAULT_SEGMENTS, BRANDED_SEGMENT, normalizeSegments } from './segments';
+import { DEFAULT_NORMALIZATION } from './textNormalization';
+import { setOverride, removeOverride } from './overrides';
+import { DEFAULT_INTENT_MODIFIERS, INTENTS, UNKNOWN_INTENT, mergeIntentModifiers } from './intent';
+import { DEFAULT_CONTENT_TYPES } from './contentTypes';
+import { DEFAULT_LOCALE_SOURCES, mergeLocaleSources } from './locale';
 
 const BrandTrafficAnalyzer = () => {
   const [file, setFile] = useState(null);
-  const [csvData, setCsvData] = useState(null);
   const [results, setResults] = useState(null);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('config');
-  const [brandTerms, setBrandTerms] = useState('');
+  const [segments, setSegments] = useState(DEFAULT_SEGMENTS);
   const [useCustomRegex, setUseCustomRegex] = useState(false);
   const [customRegex, setCustomRegex] = useState('');
   const [caseSensitive, setCaseSensitive] = useState(false);
+  const [fuzzyMatching, setFuzzyMatching] = useState(false);
+  const [fuzzyTolerance, setFuzzyTolerance] = useState(1);
+  const [normalization, setNormalization] = useState(DEFAULT_NORMALIZATION);
   const [detectLanguageCodes, setDetectLanguageCodes] = useState(true);
+  const [localeSources, setLocaleSources] = useState(DEFAULT_LOCALE_SOURCES);
+  const [localeAliases, setLocaleAliases] = useState({});
+  const [pathLevel, setPathLevel] = useState(PATH_LEVELS[0].id);
+  const [contentTypes, setContentTypes] = useState(DEFAULT_CONTENT_TYPES);
+  const [siteGroups, setSiteGroups] = useState([]);
+  const [overrides, setOverrides] = useState([]);
+  const [intentModifiers, setIntentModifiers] = useState(DEFAULT_INTENT_MODIFIERS);
+  const [topicClusters, setTopicClusters] = useState(null);
   const [expandedPath, setExpandedPath] = useState(null);
   const [pathExampleLimit, setPathExampleLimit] = useState(5);
   const [queryDisplayLimit, setQueryDisplayLimit] = useState(10);
@@ -21,53 +41,92 @@ const BrandTrafficAnalyzer = () => {
   const [loading, setLoading] = useState(false);
   const [pathFilter, setPathFilter] = useState('');
   const [exportLoading, setExportLoading] = useState(false); // New: Export loading state
+  const [progress, setProgress] = useState(null);
+  const [analysisClient, setAnalysisClient] = useState(null);
+  const [dateRange, setDateRange] = useState(null);
+  const [filters, setFilters] = useState({});
+  const [comparisonClient, setComparisonClient] = useState(null);
+  const [comparisonFile, setComparisonFile] = useState(null);
+  const [comparisonResults, setComparisonResults] = useState(null);
+
+  // Parsing and analysis run in a worker that keeps the uploaded rows between runs. The
+  // comparison period gets a worker of its own so both datasets stay loaded.
+  useEffect(() => {
+    const client = createAnalysisClient();
+    const comparison = createAnalysisClient();
+    setAnalysisClient(client);
+    setComparisonClient(comparison);
+    return () => {
+      client.terminate();
+      comparison.terminate();
+    };
+  }, []);
 
   // Configuration Persistence
   useEffect(() => {
     const saved = localStorage.getItem('brandTrafficConfig');
     if (saved) {
-      const { brandTerms, useCustomRegex, customRegex, caseSensitive, detectLanguageCodes } = JSON.parse(saved);
-      setBrandTerms(brandTerms || '');
+      const { segments, brandRules, brandTerms, useCustomRegex, customRegex, caseSensitive, fuzzyMatching, fuzzyTolerance, normalization, detectLanguageCodes, localeSources, localeAliases, pathLevel, contentTypes, siteGroups, overrides, intentModifiers } = JSON.parse(saved);
+      // Configs saved before segments only have the own-brand rules, and configs saved
+      // before the rule engine only the comma-separated term list
+      setSegments(normalizeSegments(segments || DEFAULT_SEGMENTS.map((segment) => (
+        segment.id === BRANDED_SEGMENT ? { ...segment, rules: brandRules || rulesFromTerms(brandTerms) } : segment
+      ))));
       setUseCustomRegex(useCustomRegex || false);
       setCustomRegex(customRegex || '');
       setCaseSensitive(caseSensitive || false);
+      setFuzzyMatching(fuzzyMatching || false);
+      setFuzzyTolerance(fuzzyTolerance || 1);
+      setNormalization({ ...DEFAULT_NORMALIZATION, ...normalization });
       setDetectLanguageCodes(detectLanguageCodes !== false); // Default to true if not set
+      setLocaleSources(mergeLocaleSources(localeSources));
+      setLocaleAliases(localeAliases || {});
+      setPathLevel(pathLevel || PATH_LEVELS[0].id);
+      setContentTypes(contentTypes || DEFAULT_CONTENT_TYPES);
+      setSiteGroups(siteGroups || []);
+      setOverrides(overrides || []);
+      setIntentModifiers(mergeIntentModifiers(intentModifiers));
     }
   }, []);
 
   useEffect(() => {
     localStorage.setItem('brandTrafficConfig', JSON.stringify({
-      brandTerms, useCustomRegex, customRegex, caseSensitive, detectLanguageCodes
+      segments, useCustomRegex, customRegex, caseSensitive, fuzzyMatching, fuzzyTolerance, normalization, detectLanguageCodes, localeSources, localeAliases, pathLevel, contentTypes, siteGroups, overrides, intentModifiers
     }));
-  }, [brandTerms, useCustomRegex, customRegex, caseSensitive, detectLanguageCodes]);
+  }, [segments, useCustomRegex, customRegex, caseSensitive, fuzzyMatching, fuzzyTolerance, normalization, detectLanguageCodes, localeSources, localeAliases, pathLevel, contentTypes, siteGroups, overrides, intentModifiers]);
 
-  const handleFileUpload = (uploadedFile, parsedData) => {
-    if (!uploadedFile || !(uploadedFile instanceof File) || !uploadedFile.name.endsWith('.csv')) {
-      setError('Please upload a valid CSV file');
+  // `uploadedFile` is the uploaded File, or a `{ name }` source for data imported from the API
+  const handleFileUpload = (uploadedFile) => {
+    if (!uploadedFile || (uploadedFile instanceof File && !/\.(csv|zip)$/i.test(uploadedFile.name))) {
+      setError('Please upload a valid CSV or ZIP file');
       console.error('Invalid file object:', uploadedFile);
       return;
     }
 
     setFile(uploadedFile);
-    setCsvData(parsedData);
     setError(null);
-    analyzeData(parsedData);
+    setDateRange(null);
+    setFilters({});
+    analyzeData({ range: null, activeFilters: {} });
   };
 
-  const analyzeData = useCallback(async (dataToAnalyze) => {
+  // The date range picked on the Trends tab and the cross-filters are applied in the worker, so
+  // every tab is re-aggregated. The comparison dataset covers another period, so it gets the same
+  // config and filters but no date range.
+  const analyzeData = useCallback(async ({ range = dateRange, activeFilters = filters, activeOverrides = overrides, includeComparison = Boolean(comparisonFile) } = {}) => {
     setLoading(true);
+    setProgress({ phase: 'analyzing', rows: 0 });
     try {
-      const data = dataToAnalyze || csvData;
-      if (!data || !Array.isArray(data) || data.length === 0) {
-        throw new Error('No valid data to analyze');
-      }
-
-      const config = { brandTerms, useCustomRegex, customRegex, caseSensitive, detectLanguageCodes };
-      const analysisResults = await processCsvData(data, config);
+      const config = { segments, useCustomRegex, customRegex, caseSensitive, fuzzyMatching, fuzzyTolerance, normalization, detectLanguageCodes, localeSources, localeAliases, pathLevel, contentTypes, siteGroups, overrides: activeOverrides, intentModifiers, dateRange: range, filters: activeFilters };
+      const { results: analysisResults, dataQuality: qualityAnalysis } = await analysisClient.analyze(config, setProgress);
       setResults({ ...analysisResults });
-
-      const qualityAnalysis = analyzeDataQuality(analysisResults.data);
       setDataQuality(qualityAnalysis);
+      // Topics belong to the queries of the previous analysis
+      setTopicClusters(null);
+      if (includeComparison) {
+        const { results: previousResults } = await comparisonClient.analyze({ ...config, dateRange: null }, setProgress);
+        setComparisonResults(previousResults);
+      }
 
       const brandedSamples = analysisResults.branded?.samples || [];
       const nonBrandedSamples = analysisResults.nonBranded?.samples || [];
@@ -76,43 +135,103 @@ const BrandTrafficAnalyzer = () => {
         branded: brandedSamples.slice(0, 5),
         nonBranded: nonBrandedSamples.slice(0, 5),
         borderline: borderlineSamples,
+        fuzzy: analysisResults.fuzzyMatches || [],
       });
 
-      setActiveTab('results');
+      setActiveTab((tab) => (tab === 'config' ? 'results' : tab));
     } catch (err) {
+      if (err.cancelled) return;
       console.error('Analysis error:', err);
       setError(err.message || 'Error analyzing data');
     } finally {
       setLoading(false);
+      setProgress(null);
     }
-  }, [csvData, brandTerms, useCustomRegex, customRegex, caseSensitive, detectLanguageCodes]);
+  }, [analysisClient, comparisonClient, comparisonFile, segments, useCustomRegex, customRegex, caseSensitive, fuzzyMatching, fuzzyTolerance, normalization, detectLanguageCodes, localeSources, localeAliases, pathLevel, contentTypes, siteGroups, overrides, intentModifiers, dateRange, filters]);
 
   const handleAnalyze = () => {
-    if (file && file instanceof File) {
-      analyzeData(null);
+    if (file) {
+      setActiveTab('results');
+      analyzeData();
     } else {
       setError('Please upload a valid CSV file first');
     }
   };
 
+  const handleComparisonUpload = (uploadedFile) => {
+    setComparisonFile(uploadedFile);
+    setComparisonResults(null);
+    if (file) analyzeData({ includeComparison: true });
+  };
+
+  const clearComparison = () => {
+    setComparisonFile(null);
+    setComparisonResults(null);
+  };
+
+  const comparison = useMemo(
+    () => (results && comparisonResults ? compareResults(results, comparisonResults) : null),
+    [results, comparisonResults]
+  );
+
+  const handleDateRangeChange = (range) => {
+    setDateRange(range);
+    analyzeData({ range, includeComparison: false });
+  };
+
+  const handleFilterChange = (dimension, value) => {
+    const next = { ...filters, [dimension]: value };
+    setFilters(next);
+    analyzeData({ activeFilters: next });
+  };
+
+  // Host scope replaces both the host and the site filter
+  const handleScopeChange = ({ host, site }) => {
+    const next = { ...filters, host: host || null, site: site || null };
+    setFilters(next);
+    analyzeData({ activeFilters: next });
+  };
+
+  // Manual overrides are re-applied right away when data is loaded
+  const updateOverrides = (next) => {
+    setOverrides(next);
+    if (file) analyzeData({ activeOverrides: next });
+  };
+
+  const handleReclassify = (query, segmentId) => updateOverrides(setOverride(overrides, query, segmentId));
+
+  const handleClusterTopics = async (segmentId) => {
+    try {
+      setTopicClusters(await analysisClient.clusterTopics(segmentId));
+    } catch (err) {
+      setError(err.message || 'Error clustering queries');
+    }
+  };
+
   // Data Validation and Cleaning: Clean duplicates
-  const handleCleanDuplicates = () => {
+  const handleCleanDuplicates = async () => {
     if (!results || !results.duplicates?.length) return;
-    const cleanedData = results.data.filter((row, index, self) =>
-      index === self.findIndex(r => r.query === row.query && r.page === row.page)
-    );
-    setResults({ ...results, data: cleanedData, duplicates: [] });
-    analyzeData(cleanedData); // Re-analyze cleaned data
+    await analysisClient.dedupe();
+    analyzeData(); // Re-analyze cleaned data
   };
 
+  // Share columns for every segment in priority order: rows, clicks and impressions
+  const segmentShareHeaders = () => (results?.segments || []).flatMap(({ name }) => [`${name} %`, `${name} Clicks %`, `${name} Impressions %`]);
+  const segmentShareCells = (row) => (results?.segments || []).flatMap(({ id }) =>
+    ['queries', 'clicks', 'impressions'].map((basis) => segmentShare(row.metrics, id, basis)));
+
+  const segmentFilename = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'segment';
+
   // Export functions with loading state
   const exportUrlData = async () => {
     if (!results?.pathData) return setError('No results to export');
     setExportLoading(true);
+    // A path takes the content type of its first example URL
+    const urlTypes = new Map((results.urlData || []).map(({ name, contentType }) => [name, contentType]));
     const csv = [
-      ['URL Path', 'Queries', 'Branded %', 'Non-Branded %', 'Content Type'].map(header => sanitizeCSVCell(header)).join(','),
+      ['URL Path', 'Queries', 'Clicks', 'Impressions', 'CTR', 'Avg Position', ...segmentShareHeaders(), 'Content Type'].map(header => sanitizeCSVCell(header)).join(','),
       ...results.pathData.map((row) => 
-        [row.name, row.sortableTotal, row.branded, row.nonBranded, inferContentType(row.name) || 'Unknown']
+        [row.name, row.sortableTotal, row.clicks, row.impressions, ((row.ctr || 0) * 100).toFixed(1), (row.avgPosition || 0).toFixed(1), ...segmentShareCells(row), urlTypes.get(results.pathUrlExamples?.[row.name]?.[0]) || 'Unknown']
         .map(field => sanitizeCSVCell(String(field)))
         .map((field) => `"${field}"`).join(',')
       ),
@@ -121,30 +240,34 @@ const BrandTrafficAnalyzer = () => {
     setExportLoading(false);
   };
 
-  const exportQueryData = async (type = 'all') => {
+  // `segmentId` exports one segment's queries; 'all' exports every query
+  const exportQueryData = async (segmentId = 'all') => {
     if (!results) return setError('No results to export');
     setExportLoading(true);
-    let dataToExport = [], filename = 'query_data.csv';
-    if (type === 'branded') {
-      dataToExport = results.branded?.samples || [];
-      filename = 'branded_queries.csv';
-    } else if (type === 'nonBranded') {
-      dataToExport = results.nonBranded?.samples || [];
-      filename = 'non_branded_queries.csv';
-    } else {
-      dataToExport = [...(results.branded?.samples || []), ...(results.nonBranded?.samples || [])];
+    let dataToExport = results.queries || [], filename = 'query_data.csv';
+    const segment = (results.segments || []).find(({ id }) => id === segmentId);
+    if (segment) {
+      dataToExport = segment.queries || [];
+      filename = `${segmentFilename(segment.name)}_queries.csv`;
     }
+    const segmentNames = Object.fromEntries((results.segments || []).map(({ id, name }) => [id, name]));
+    const intentLabels = Object.fromEntries([...INTENTS, UNKNOWN_INTENT].map(({ id, label }) => [id, label]));
     const csv = [
-      ['Query', 'Clicks', 'Impressions', 'CTR', 'Avg Position', 'Content Types', 'Landing Page', 'Language'].map(header => sanitizeCSVCell(header)).join(','),
+      ['Query', 'Segment', 'Intent', 'Confidence', 'Clicks', 'Impressions', 'CTR', 'Avg Position', 'Content Types', 'Landing Pages', 'Landing Page Count', 'Languages', 'Rule Scope'].map(header => sanitizeCSVCell(header)).join(','),
       ...dataToExport.map((row) => [
         row.query || '',
+        segmentNames[row.category] || row.category || '',
+        intentLabels[row.intent] || '',
+        row.confidence ?? '',
         row.clicks || 0,
         row.impressions || 0,
         (row.ctr * 100).toFixed(1) || 0,
         row.avgPosition?.toFixed(1) || 0,
         (Array.isArray(row.contentTypes) ? row.contentTypes.join(';') : row.contentTypes) || 'Unknown',
-        (row.urls && row.urls.length > 0 ? row.urls[0].url : '') || '',
-        (row.urls && row.urls.length > 0 ? row.urls[0].language : 'en') || 'en',
+        (row.urls || []).map((url) => `${url.url} (${url.clicks} clicks)`).join('; '),
+        (row.urls || []).length,
+        [...new Set((row.urls || []).map((url) => url.language).filter(Boolean))].join(';'),
+        row.scope || '',
       ]
       .map(field => sanitizeCSVCell(String(field)))
       .map((field) => `"${field}"`).join(',')),
@@ -156,10 +279,11 @@ const BrandTrafficAnalyzer = () => {
   const exportLanguageData = async () => {
     if (!results?.languageData) return setError('No results to export');
     setExportLoading(true);
+    // One row per locale, so en-gb and en-us are exported separately
     const csv = [
-      ['Language', 'Code', 'Total Queries', 'Clicks', 'Branded %', 'Non-Branded %'].map(header => sanitizeCSVCell(header)).join(','),
-      ...results.languageData.map((row) => 
-        [row.language, row.code, row.sortableTotal, row.clicks, row.branded, row.nonBranded]
+      ['Language', 'Code', 'Region', 'Total Queries', 'Clicks', 'Impressions', 'CTR', 'Avg Position', ...segmentShareHeaders()].map(header => sanitizeCSVCell(header)).join(','),
+      ...(results.localeData || results.languageData).map((row) =>
+        [row.language, row.code, row.region || '', row.sortableTotal, row.clicks, row.impressions, ((row.ctr || 0) * 100).toFixed(1), (row.avgPosition || 0).toFixed(1), ...segmentShareCells(row)]
         .map(field => sanitizeCSVCell(String(field)))
         .map((field) => `"${field}"`).join(',')
       ),
@@ -168,18 +292,30 @@ const BrandTrafficAnalyzer = () => {
     setExportLoading(false);
   };
 
+  const exportDimensionData = async (rows, label, filename) => {
+    if (!rows?.length) return setError('No results to export');
+    setExportLoading(true);
+    const csv = [
+      [label, 'Queries', 'Clicks', 'Impressions', 'CTR', 'Avg Position', ...segmentShareHeaders()].map(header => sanitizeCSVCell(header)).join(','),
+      ...rows.map((row) =>
+        [row.name, row.sortableTotal, row.clicks, row.impressions, ((row.ctr || 0) * 100).toFixed(1), (row.avgPosition || 0).toFixed(1), ...segmentShareCells(row)]
+        .map(field => sanitizeCSVCell(String(field)))
+        .map((field) => `"${field}"`).join(',')
+      ),
+    ].join('\n');
+    await downloadCSV(csv, filename);
+    setExportLoading(false);
+  };
+
   const exportInsightsData = async () => {
     if (!results) return setError('No results to export');
     setExportLoading(true);
     const csv = [
       ['Insight Type', 'Description', 'Value'].map(header => sanitizeCSVCell(header)).join(','),
       ...[
-        ['Branded CTR', 'Branded traffic CTR', ((results.branded?.metrics?.ctr || 0) * 100).toFixed(1) + '%'],
-        ['Non-Branded CTR', 'Non-Branded traffic CTR', ((results.nonBranded?.metrics?.ctr || 0) * 100).toFixed(1) + '%'],
-        ['Branded Avg Position', 'Average position for branded terms', (results.branded?.metrics?.avgPosition || 0).toFixed(1)],
-        ['Non-Branded Avg Position', 'Average position for non-branded terms', (results.nonBranded?.metrics?.avgPosition || 0).toFixed(1)],
-        ['Branded Percentage', 'Percentage of branded traffic', (results.summary?.brandedPercentage || 0).toFixed(1) + '%'],
-        ['Non-Branded Percentage', 'Percentage of non-branded traffic', (results.summary?.nonBrandedPercentage || 0).toFixed(1) + '%'],
+        ...(results.segments || []).map(({ name, metrics }) => [`${name} CTR`, `${name} traffic CTR`, ((metrics?.ctr || 0) * 100).toFixed(1) + '%']),
+        ...(results.segments || []).map(({ name, metrics }) => [`${name} Avg Position`, `Average position for ${name} queries`, (metrics?.avgPosition || 0).toFixed(1)]),
+        ...(results.segments || []).map(({ name, percentage }) => [`${name} Percentage`, `Percentage of ${name} traffic`, (percentage || 0).toFixed(1) + '%']),
       ]
       .map(row => row.map(field => sanitizeCSVCell(String(field))))
       .map(row => row.map(field => `"${field}"`).join(',')),
@@ -188,13 +324,81 @@ const BrandTrafficAnalyzer = () => {
     setExportLoading(false);
   };
 
+  const exportOverrides = async () => {
+    if (!overrides.length) return setError('No overrides to export');
+    const segmentNames = Object.fromEntries(segments.map(({ id, name }) => [id, name]));
+    const csv = [
+      ['Query', 'Segment', 'Segment ID', 'Added'].map(header => sanitizeCSVCell(header)).join(','),
+      ...overrides.map((override) => [override.query, segmentNames[override.segment] || '', override.segment, override.createdAt || '']
+        .map(field => sanitizeCSVCell(String(field)))
+        .map((field) => `"${field}"`).join(',')),
+    ].join('\n');
+    await downloadCSV(csv, 'manual_overrides.csv');
+  };
+
+  // One row per topic, then the queries that share no topic
+  const exportTopicClusters = async () => {
+    if (!topicClusters?.clusters.length) return setError('No topics to export');
+    setExportLoading(true);
+    const segmentName = (results?.segments || []).find(({ id }) => id === topicClusters.segment)?.name || topicClusters.segment;
+    const toRow = (topic, terms, cluster) => [
+      topic,
+      terms,
+      cluster.queries.length,
+      cluster.clicks,
+      cluster.impressions,
+      (cluster.ctr * 100).toFixed(1),
+      cluster.avgPosition.toFixed(1),
+      cluster.paths.map(({ path, clicks }) => `${path} (${clicks} clicks)`).join('; '),
+      cluster.queries.join('; '),
+    ];
+    const csv = [
+      ['Segment', 'Topic', 'Dominant Terms', 'Queries', 'Clicks', 'Impressions', 'CTR', 'Weighted Position', 'Landing Paths', 'Query List'].map(header => sanitizeCSVCell(header)).join(','),
+      ...[
+        ...topicClusters.clusters.map((cluster) => toRow(cluster.label, cluster.terms.join('; '), cluster)),
+        ...(topicClusters.unclustered.queries.length ? [toRow('(unclustered)', '', topicClusters.unclustered)] : []),
+      ]
+      .map(row => [segmentName, ...row].map(field => sanitizeCSVCell(String(field))))
+      .map(row => row.map(field => `"${field}"`).join(',')),
+    ].join('\n');
+    await downloadCSV(csv, `${segmentFilename(segmentName)}_topics.csv`);
+    setExportLoading(false);
+  };
+
+  const exportComparisonData = async () => {
+    if (!comparison) return setError('No comparison to export');
+    setExportLoading(true);
+    const metrics = [['clicks', 'Clicks'], ['impressions', 'Impressions'], ['ctr', 'CTR'], ['avgPosition', 'Avg Position']];
+    const toCells = (deltas) => metrics.flatMap(([metric]) => {
+      const { current, previous, change, percent } = deltas[metric];
+      const scale = metric === 'ctr' ? 100 : 1;
+      return [(current * scale).toFixed(2), (previous * scale).toFixed(2), (change * scale).toFixed(2), percent === null ? '' : percent.toFixed(1)];
+    });
+    const csv = [
+      ['Type', 'Name', 'Status', ...metrics.flatMap(([, label]) => [`${label} (current)`, `${label} (previous)`, `${label} change`, `${label} change %`])].map(header => sanitizeCSVCell(header)).join(','),
+      ...[
+        ...(results?.segments || []).map(({ id, name }) => ['Segment', name, 'both', ...toCells(comparison.segments[id])]),
+        ...Array.from(comparison.paths.values()).map((entry) => ['Path', entry.key, entry.status, ...toCells(entry.deltas)]),
+        ...Array.from(comparison.languages.values()).map((entry) => ['Language', entry.key, entry.status, ...toCells(entry.deltas)]),
+        ...Array.from(comparison.queries.values()).map((entry) => ['Query', entry.key, entry.status, ...toCells(entry.deltas)]),
+      ]
+      .map(row => row.map(field => sanitizeCSVCell(String(field))))
+      .map(row => row.map(field => `"${field}"`).join(',')),
+    ].join('\n');
+    await downloadCSV(csv, 'period_comparison.csv');
+    setExportLoading(false);
+  };
+
   const exportAllData = async () => {
     setExportLoading(true);
     await Promise.all([
       exportUrlData(),
-      exportQueryData('branded'),
-      exportQueryData('nonBranded'),
+      ...(results?.segments || []).map(({ id }) => exportQueryData(id)),
       exportLanguageData(),
+      ...(results?.countryData?.length ? [exportDimensionData(results.countryData, 'Country', 'country_analysis_data.csv')] : []),
+      ...(results?.deviceData?.length ? [exportDimensionData(results.deviceData, 'Device', 'device_analysis_data.csv')] : []),
+      ...(results?.contentTypeData?.length ? [exportDimensionData(results.contentTypeData, 'Content Type', 'content_type_data.csv')] : []),
+      ...(results?.hostData?.length > 1 ? [exportDimensionData(results.hostData, 'Host', 'host_analysis_data.csv')] : []),
       exportInsightsData()
     ]);
     setExportLoading(false);
@@ -219,25 +423,66 @@ const BrandTrafficAnalyzer = () => {
     <div className="container mx-auto p-4 max-w-4xl">
       <h1 className="text-2xl font-bold mb-6">Brand Traffic Analyzer</h1>
       {error && <div className="mb-4 p-3 bg-red-100 text-red-800 rounded">{error}</div>}
-      {loading && <div className="mb-4 p-3 bg-blue-100 text-blue-800 rounded">Analyzing data, please wait...</div>}
+      {loading && progress && <ProgressComponent progress={progress} onCancel={() => { analysisClient.cancel(); comparisonClient.cancel(); }} />}
       {exportLoading && <div className="mb-4 p-3 bg-blue-100 text-blue-800 rounded">Exporting data, please wait...</div>}
       <TabsComponent activeTab={activeTab} setActiveTab={setActiveTab} />
       {activeTab === 'config' && (
         <>
-          <FileUploadComponent onFileUpload={handleFileUpload} setError={setError} />
+          {analysisClient && <FileUploadComponent analysisClient={analysisClient} onFileUpload={handleFileUpload} setError={setError} />}
+          {analysisClient && <SearchConsoleComponent analysisClient={analysisClient} onLoad={handleFileUpload} setError={setError} />}
+          {comparisonClient && (
+            <div className="mb-6 p-4 bg-gray-50 rounded">
+              <FileUploadComponent
+                analysisClient={comparisonClient}
+                onFileUpload={handleComparisonUpload}
+                setError={setError}
+                label="Comparison Period (optional): CSV File or Search Console ZIP"
+              />
+              {comparisonFile && (
+                <button onClick={clearComparison} className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 text-sm">Remove comparison</button>
+              )}
+            </div>
+          )}
           <ConfigurationComponent
-            brandTerms={brandTerms}
-            setBrandTerms={setBrandTerms}
+            segments={segments}
+            setSegments={setSegments}
+            ruleStats={results?.ruleStats}
+            sampleQueries={results?.queries}
             useCustomRegex={useCustomRegex}
             setUseCustomRegex={setUseCustomRegex}
             customRegex={customRegex}
             setCustomRegex={setCustomRegex}
             caseSensitive={caseSensitive}
             setCaseSensitive={setCaseSensitive}
+            fuzzyMatching={fuzzyMatching}
+            setFuzzyMatching={setFuzzyMatching}
+            fuzzyTolerance={fuzzyTolerance}
+            setFuzzyTolerance={setFuzzyTolerance}
+            normalization={normalization}
+            setNormalization={setNormalization}
             detectLanguageCodes={detectLanguageCodes}
             setDetectLanguageCodes={setDetectLanguageCodes}
+            localeSources={localeSources}
+            setLocaleSources={setLocaleSources}
+            localeAliases={localeAliases}
+            setLocaleAliases={setLocaleAliases}
+            pathLevel={pathLevel}
+            setPathLevel={setPathLevel}
+            onSuggestTerms={file && analysisClient ? analysisClient.suggestBrandTerms : null}
+            setError={setError}
+          />
+          <OverridesComponent
+            overrides={overrides}
+            segments={segments}
+            onReclassify={handleReclassify}
+            onRemove={(query) => updateOverrides(removeOverride(overrides, query))}
+            onClear={() => updateOverrides([])}
+            onExport={exportOverrides}
           />
-          {file && file instanceof File && (
+          <IntentModifiersComponent modifiers={intentModifiers} onChange={setIntentModifiers} />
+          <ContentTypesComponent taxonomy={contentTypes} onChange={setContentTypes} />
+          <SiteGroupsComponent groups={siteGroups} onChange={setSiteGroups} hosts={(results?.hostData || []).map(({ name }) => name)} />
+          {file && (
             <button onClick={handleAnalyze} disabled={loading} className="mb-4 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400">
               {loading ? 'Analyzing...' : 'Analyze Data'}
             </button>
@@ -246,6 +491,13 @@ const BrandTrafficAnalyzer = () => {
       )}
       {results && activeTab !== 'config' && (
         <>
+          <FilterBarComponent filters={results.filters} onFilterChange={handleFilterChange} />
+          {results.dateRange && (
+            <div className="mb-4 p-3 bg-blue-50 text-sm text-blue-800 rounded flex justify-between items-center">
+              <span>Showing {sanitize(results.dateRange.start)} – {sanitize(results.dateRange.end)} only (set on the Trends tab).</span>
+              <button onClick={() => handleDateRangeChange(null)} className="px-3 py-1 bg-white rounded border hover:bg-blue-100">Clear</button>
+            </div>
+          )}
           {activeTab === 'results' && (
             <div className="mb-4">
               <input
@@ -263,6 +515,7 @@ const BrandTrafficAnalyzer = () => {
               pathData: results.pathData.filter((row) => row.name.toLowerCase().includes(pathFilter.toLowerCase())),
             }}
             type={activeTab}
+            setActiveTab={setActiveTab}
             pathUrlExamples={results.pathUrlExamples}
             pathUrlCounts={results.pathUrlCounts}
             expandedPath={expandedPath}
@@ -271,13 +524,27 @@ const BrandTrafficAnalyzer = () => {
             setPathExampleLimit={setPathExampleLimit}
             queryDisplayLimit={queryDisplayLimit}
             setQueryDisplayLimit={setQueryDisplayLimit}
-            onExport={exportUrlData}
-            onExportBranded={() => exportQueryData('branded')}
-            onExportNonBranded={() => exportQueryData('nonBranded')}
+            onExport={{
+              languages: exportLanguageData,
+              countries: () => exportDimensionData(results.countryData, 'Country', 'country_analysis_data.csv'),
+              devices: () => exportDimensionData(results.deviceData, 'Device', 'device_analysis_data.csv'),
+              contentTypes: () => exportDimensionData(results.contentTypeData, 'Content Type', 'content_type_data.csv'),
+              hosts: () => exportDimensionData(results.hostData, 'Host', 'host_analysis_data.csv'),
+            }[activeTab] || exportUrlData}
+            onExportSegment={exportQueryData}
             onExportAll={exportAllData}
+            onReclassify={handleReclassify}
+            topicClusters={topicClusters}
+            onClusterTopics={analysisClient ? handleClusterTopics : null}
+            onExportTopics={exportTopicClusters}
             dataQuality={dataQuality}
             segmentationSamples={segmentationSamples}
             onCleanDuplicates={handleCleanDuplicates} // New: Pass cleaning function
+            onDateRangeChange={handleDateRangeChange}
+            onScopeChange={handleScopeChange}
+            comparison={comparison}
+            onExportComparison={exportComparisonData}
+            onFilterChange={handleFilterChange}
           />
         </>
       )}
@@ -0,0 +1,288 @@
+import Papa from 'papaparse';
+import JSZip from 'jszip';
+import {
+  createAnalysis,
+  addAnalysisRow,
+  finalizeAnalysis,
+  applySheetDimensions,
+  analyzeDataQuality,
+  validateCSVContent,
+  findDuplicateRows,
+} from './utils.js';
+import { detectSheetType, primarySheet, canonicalColumnSources, mappedColumnSources } from './ingest.js';
+import { detectNumberFormat, applyNumberFormat, METRIC_COLUMNS } from './numberFormat.js';
+import { suggestBrandTerms } from './brandDiscovery.js';
+import { clusterQueries } from './topicClusters.js';
+import { createRowStore, rowStoreFrom } from './rowStore.js';
+import { createRegexTester } from './regexTesterClient.js';
+
+// The worker owns the uploaded dataset: files are parsed here in chunks and each chunk is
+// appended to a compact row store (see rowStore.js), so the analysis can be re-run with a
+// new configuration without re-reading the files or keeping an object per row. Only
+// aggregated results are posted back to the page. Metric columns stay as text until the
+// number format is confirmed, then they are converted once for every sheet. The queries
+// of the last analysis are kept for topic clustering, and the duplicate rows of the
+// primary sheet once found.
+const state = { sheets: {}, unrecognized: [], numberFormat: null, queries: [], duplicates: null };
+let cancelRequested = false;
+// Matches the custom regex while an analysis waits on it (see matchCustomRegex)
+let regexTester = null;
+
+const PARSE_CHUNK_BYTES = 4 * 1024 * 1024;
+const ANALYSIS_BATCH_ROWS = 20000;
+const EXPECTED_COLUMNS = ['query', 'page', 'clicks', 'impressions', 'ctr', 'position'];
+const FORMAT_SAMPLE_ROWS_PER_SHEET = 500;
+const FORMAT_PREVIEW_ROWS = 5;
+const CUSTOM_REGEX_BUDGET_MS = 10000;
+
+const cancelledError = () => Object.assign(new Error('Operation cancelled'), { cancelled: true });
+
+// Lets queued messages (such as a cancel request) run between batches
+const yieldToEvents = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const postProgress = (id, progress) => self.postMessage({ id, type: 'progress', ...progress });
+
+const storeSheet = (name, fields, rows) => {
+  const type = detectSheetType(fields);
+  if (!type) {
+    state.unrecognized.push({ name, fields, rows });
+    return;
+  }
+  rows.selectColumns(canonicalColumnSources(rows.columnNames()));
+  state.sheets[type.id] = { name, label: type.label, rows };
+};
+
+// Streams a CSV file or blob through PapaParse in chunks into a row store, reporting
+// row-count progress and, when `countBytes` is set, byte progress within the upload
+const parseCsvFile = (file, name, id, progress, countBytes = true) => new Promise((resolve, reject) => {
+  let fields = [];
+  let failure = null;
+  const rows = createRowStore();
+  Papa.parse(file, {
+    header: true,
+    dynamicTyping: false,
+    skipEmptyLines: true,
+    chunkSize: PARSE_CHUNK_BYTES,
+    chunk: (results, parser) => {
+      if (cancelRequested) {
+        parser.abort();
+        return;
+      }
+      const validation = validateCSVContent(results.data);
+      if (!validation.valid) {
+        failure = new Error(`${name}: ${validation.message}`);
+        parser.abort();
+        return;
+      }
+      fields = results.meta.fields || fields;
+      for (let i = 0; i < results.data.length; i++) rows.push(results.data[i]);
+      progress.rows += results.data.length;
+      if (countBytes) progress.bytes = progress.baseBytes + (results.meta.cursor || 0);
+      postProgress(id, progress);
+    },
+    complete: () => {
+      if (cancelRequested) reject(cancelledError());
+      else if (failure) reject(failure);
+      else resolve({ fields, rows });
+    },
+    error: (err) => reject(new Error(`Error parsing ${name}: ${err.message}`)),
+  });
+});
+
+// Each CSV in a ZIP is unpacked to a blob and streamed like an uploaded file, so a cancel
+// request is seen between entries and between chunks of a large entry. Byte progress
+// moves once per ZIP since the unpacked sizes don't add up to the upload size.
+const parseZipFile = async (file, id, progress) => {
+  const zip = await JSZip.loadAsync(file);
+  const entries = Object.values(zip.files).filter((entry) => !entry.dir && entry.name.toLowerCase().endsWith('.csv'));
+  const parsed = [];
+  for (const entry of entries) {
+    if (cancelRequested) throw cancelledError();
+    const { fields, rows } = await parseCsvFile(await entry.async('blob'), entry.name, id, progress, false);
+    if (rows.length) parsed.push({ name: entry.name, fields, rows });
+  }
+  return parsed;
+};
+
+// Metric values from the start of every recognized sheet, used to detect the number format
+const formatSample = () => Object.values(state.sheets).flatMap((sheet) => sheet.rows.slice(0, FORMAT_SAMPLE_ROWS_PER_SHEET));
+
+const summarize = () => {
+  const primary = primarySheet(state.sheets);
+  const sample = formatSample();
+  return {
+    sheets: Object.entries(state.sheets).map(([type, sheet]) => ({ type, name: sheet.name, label: sheet.label, rows: sheet.rows.length })),
+    unrecognized: state.unrecognized.map(({ name, fields, rows }) => ({ name, fields, rows: rows.length })),
+    hasPrimary: Boolean(primary),
+    // Mapped sources may leave optional columns out entirely; only present columns are checked
+    emptyColumns: primary && primary.rows.length
+      ? EXPECTED_COLUMNS.filter((col) =>
+        col in primary.rows.rowAt(0) &&
+        primary.rows.every((row) => row[col] === null || row[col] === undefined || row[col] === ''))
+      : [],
+    numberFormat: state.numberFormat,
+    detectedNumberFormat: state.numberFormat || !sample.length ? null : detectNumberFormat(sample),
+    numberSamples: state.numberFormat || !primary ? [] : primary.rows.slice(0, FORMAT_PREVIEW_ROWS).map((row) =>
+      Object.fromEntries(METRIC_COLUMNS.filter((col) => col in row).map((col) => [col, row[col]]))),
+  };
+};
+
+const loadFiles = async (files, id) => {
+  state.sheets = {};
+  state.unrecognized = [];
+  state.queries = [];
+  state.duplicates = null;
+  state.numberFormat = null;
+  const progress = { phase: 'parsing', rows: 0, bytes: 0, baseBytes: 0, totalBytes: files.reduce((sum, file) => sum + file.size, 0) };
+
+  for (const file of files) {
+    if (/\.zip$/i.test(file.name)) {
+      const entries = await parseZipFile(file, id, progress);
+      entries.forEach(({ name, fields, rows }) => storeSheet(name, fields, rows));
+    } else {
+      const { fields, rows } = await parseCsvFile(file, file.name, id, progress);
+      storeSheet(file.name, fields, rows);
+    }
+    progress.baseBytes += file.size;
+    progress.bytes = progress.baseBytes;
+    postProgress(id, progress);
+    if (cancelRequested) throw cancelledError();
+  }
+  return summarize();
+};
+
+// Rows fetched from an API arrive as objects rather than files; they replace the
+// loaded dataset like an upload would, already in a known number format
+const loadRows = (name, rows, numberFormat) => {
+  state.sheets = {};
+  state.unrecognized = [];
+  state.queries = [];
+  state.duplicates = null;
+  state.numberFormat = null;
+  const validation = validateCSVContent(rows);
+  if (!validation.valid) throw new Error(`${name}: ${validation.message}`);
+  storeSheet(name, rows.length ? Object.keys(rows[0]) : [], rowStoreFrom(rows));
+  return numberFormat ? setNumberFormat(numberFormat) : summarize();
+};
+
+const mapSheet = (name, mapping) => {
+  const sheet = state.unrecognized.find((entry) => entry.name === name);
+  if (!sheet) throw new Error(`No sheet named ${name} is waiting for a column mapping`);
+  state.unrecognized = state.unrecognized.filter((entry) => entry !== sheet);
+  sheet.rows.selectColumns(mappedColumnSources(mapping));
+  state.sheets[mapping.page ? 'full' : 'queries'] = {
+    name,
+    label: mapping.page ? 'Queries by page' : 'Queries',
+    rows: sheet.rows,
+  };
+  return summarize();
+};
+
+// Converts the metric columns of every sheet with the confirmed format. This happens
+// once per upload because the raw text is replaced by numbers.
+const setNumberFormat = (format) => {
+  if (state.numberFormat) throw new Error('The number format has already been applied; upload the file again to change it');
+  Object.values(state.sheets).forEach((sheet) => sheet.rows.convertColumns(METRIC_COLUMNS, (values) => applyNumberFormat([values], format)[0]));
+  state.numberFormat = format;
+  return summarize();
+};
+
+// A regex can't be interrupted once running, so the custom regex is matched against every
+// distinct query in the regex tester's worker before the analysis starts. A pattern that
+// gets past the safety check but stalls on real queries is stopped after the budget and
+// fails the analysis, instead of freezing this worker and the dataset it holds.
+const matchCustomRegex = async ({ useCustomRegex, customRegex, caseSensitive }, rows) => {
+  if (!useCustomRegex || !customRegex) return undefined;
+  const queries = rows.distinctValues('query');
+  regexTester = createRegexTester({ budgetMs: CUSTOM_REGEX_BUDGET_MS });
+  try {
+    const matches = await regexTester.test(customRegex, caseSensitive ? '' : 'i', queries);
+    return new Map(queries.map((query, index) => [query, matches[index]]));
+  } catch (err) {
+    if (err.superseded) throw cancelledError();
+    throw new Error(err.timeout ? 'Custom regex rejected: matching the queries took too long' : `Custom regex rejected: ${err.message}`);
+  } finally {
+    regexTester.terminate();
+    regexTester = null;
+  }
+};
+
+// Duplicates of the primary sheet's rows (see findDuplicateRows), found on first use and
+// kept until that sheet is replaced or deduplicated
+const duplicatesOf = (primary) => {
+  if (state.duplicates?.rows !== primary.rows) state.duplicates = { rows: primary.rows, originals: findDuplicateRows(primary.rows) };
+  return state.duplicates.originals;
+};
+
+const analyze = async (config, id) => {
+  const primary = primarySheet(state.sheets);
+  if (!primary || !primary.rows.length) throw new Error('No valid data to analyze');
+  if (!state.numberFormat) setNumberFormat(detectNumberFormat(formatSample()));
+
+  const analysis = createAnalysis(config, {
+    customRegexMatches: await matchCustomRegex(config, primary.rows),
+    duplicates: duplicatesOf(primary),
+  });
+  const progress = { phase: 'analyzing', rows: 0, totalRows: primary.rows.length };
+  for (let start = 0; start < primary.rows.length; start += ANALYSIS_BATCH_ROWS) {
+    const end = Math.min(start + ANALYSIS_BATCH_ROWS, primary.rows.length);
+    for (let index = start; index < end; index++) addAnalysisRow(analysis, primary.rows.rowAt(index), index);
+    progress.rows = end;
+    postProgress(id, progress);
+    await yieldToEvents();
+    if (cancelRequested) throw cancelledError();
+  }
+
+  const results = applySheetDimensions(finalizeAnalysis(analysis), state.sheets, config);
+  state.queries = results.queries;
+  return { results, dataQuality: analyzeDataQuality(primary.rows, results.queries) };
+};
+
+// Brand term candidates mined from the primary sheet
+const suggestTerms = () => {
+  const primary = primarySheet(state.sheets);
+  if (!primary || !primary.rows.length) throw new Error('No valid data to analyze');
+  if (!state.numberFormat) setNumberFormat(detectNumberFormat(formatSample()));
+  return suggestBrandTerms(primary.rows);
+};
+
+// Topics among the last analysis' queries in one segment
+const clusterTopics = (segment) => {
+  if (!state.queries.length) throw new Error('Analyze the data before clustering queries');
+  return { segment, ...clusterQueries(state.queries.filter(({ category }) => category === segment)) };
+};
+
+const dedupe = () => {
+  const primary = primarySheet(state.sheets);
+  if (!primary) return { removed: 0 };
+  const originals = duplicatesOf(primary);
+  const before = primary.rows.length;
+  primary.rows.keep((row, index) => originals[index] === -1);
+  state.duplicates = null;
+  return { removed: before - primary.rows.length };
+};
+
+self.onmessage = async ({ data: message }) => {
+  const { id, type } = message;
+  if (type === 'cancel') {
+    cancelRequested = true;
+    if (regexTester) regexTester.terminate();
+    return;
+  }
+  cancelRequested = false;
+  try {
+    let payload;
+    if (type === 'load') payload = await loadFiles(message.files, id);
+    else if (type === 'rows') payload = loadRows(message.name, message.rows, message.numberFormat);
+    else if (type === 'map') payload = mapSheet(message.name, message.mapping);
+    else if (type === 'format') payload = setNumberFormat(message.format);
+    else if (type === 'analyze') payload = await analyze(message.config, id);
+    else if (type === 'dedupe') payload = dedupe();
+    else if (type === 'suggestTerms') payload = suggestTerms();
+    else if (type === 'cluster') payload = clusterTopics(message.segment);
+    else throw new Error(`Unknown worker message: ${type}`);
+    self.postMessage({ id, type: 'done', payload });
+  } catch (err) {
+    self.postMessage({ id, type: err.cancelled ? 'cancelled' : 'error', message: err.message });
+  }
+};
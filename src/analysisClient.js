@@ -0,0 +1,45 @@
+// Promise wrapper around the analysis worker. Progress messages are forwarded to the
+// callback of the request they belong to; cancel() stops whatever is running and
+// rejects it with an error flagged `cancelled`.
+export const createAnalysisClient = () => {
+  const worker = new Worker(new URL('./analysis.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 0;
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    if (data.type === 'progress') {
+      if (request.onProgress) request.onProgress(data);
+      return;
+    }
+    pending.delete(data.id);
+    if (data.type === 'done') request.resolve(data.payload);
+    else if (data.type === 'cancelled') request.reject(Object.assign(new Error(data.message), { cancelled: true }));
+    else request.reject(new Error(data.message));
+  };
+
+  worker.onerror = (event) => {
+    pending.forEach((request) => request.reject(new Error(event.message || 'Analysis worker failed')));
+    pending.clear();
+  };
+
+  const send = (type, payload = {}, onProgress = null) => new Promise((resolve, reject) => {
+    const id = ++nextId;
+    pending.set(id, { resolve, reject, onProgress });
+    worker.postMessage({ id, type, ...payload });
+  });
+
+  return {
+    load: (files, onProgress) => send('load', { files }, onProgress),
+    loadRows: (name, rows, numberFormat = null) => send('rows', { name, rows, numberFormat }),
+    map: (name, mapping) => send('map', { name, mapping }),
+    setNumberFormat: (format) => send('format', { format }),
+    analyze: (config, onProgress) => send('analyze', { config }, onProgress),
+    dedupe: () => send('dedupe'),
+    suggestBrandTerms: () => send('suggestTerms'),
+    clusterTopics: (segment) => send('cluster', { segment }),
+    cancel: () => worker.postMessage({ type: 'cancel' }),
+    terminate: () => worker.terminate(),
+  };
+};
@@ -0,0 +1,132 @@
+// Brand term discovery. Candidates come from two places: the site's hostname in the page
+// column, and tokens that recur across navigational-looking queries, i.e. queries ranking
+// in position 1-2 with a high CTR that land on the homepage or an /about page. Each
+// candidate is reported with the share of all clicks its whole-word matches cover.
+
+export const DISCOVERY_SOURCES = {
+  hostname: 'Site hostname',
+  navigational: 'Homepage and About queries',
+};
+
+const MAX_POSITION = 2;
+const MIN_CTR = 0.2;
+const MIN_TOKEN_LENGTH = 3;
+// A token has to appear in this many distinct navigational queries
+const MIN_QUERY_COUNT = 2;
+const MAX_SUGGESTIONS = 20;
+
+// Second-level labels that come before a country code, as in example.co.uk
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'net', 'org', 'gov', 'ac', 'edu']);
+
+// Words that recur in navigational queries without naming the brand
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'www', 'com', 'net', 'org', 'http', 'https', 'official', 'site', 'website', 'homepage', 'home',
+  'page', 'about', 'login', 'log', 'sign', 'account', 'contact', 'phone', 'number', 'address', 'near', 'customer',
+  'service', 'support', 'app', 'online', 'what', 'who', 'how', 'are', 'you', 'your', 'our', 'with', 'from',
+]);
+
+const WORD_CHARACTER = '[\\p{L}\\p{N}]';
+const TOKEN_SEPARATOR = /[^\p{L}\p{N}]+/u;
+
+const tokenize = (text) => String(text || '').toLowerCase().split(TOKEN_SEPARATOR).filter(Boolean);
+
+// Exports may drop the scheme ("www.acme.com/x"), so like the analysis it's assumed https
+const parseUrl = (page) => {
+  const text = String(page);
+  try {
+    return new URL(text.startsWith('http') ? text : `https://${text}`);
+  } catch {
+    return null;
+  }
+};
+
+// "www.acme-corp.co.uk" -> "acme-corp"
+const siteLabel = (hostname) => {
+  const labels = hostname.toLowerCase().replace(/^www\d*\./, '').split('.');
+  if (labels.length > 2 && SECOND_LEVEL_LABELS.has(labels[labels.length - 2]) && labels[labels.length - 1].length === 2) {
+    return labels[labels.length - 3];
+  }
+  return labels.length > 1 ? labels[labels.length - 2] : labels[0];
+};
+
+// The homepage, a locale root such as /en or /en-gb, or an about page under either
+const isHomeOrAbout = (pathname) => {
+  const segments = pathname.toLowerCase().split('/').filter(Boolean);
+  if (segments.length && /^[a-z]{2}([-_][a-z]{2,4})?$/.test(segments[0])) segments.shift();
+  return segments.length === 0 || segments[0].startsWith('about');
+};
+
+const hostnameCandidates = (rows) => {
+  const hostnames = new Set();
+  rows.forEach((row) => {
+    const url = row.page ? parseUrl(row.page) : null;
+    if (url?.hostname) hostnames.add(url.hostname);
+  });
+  const labels = new Set([...hostnames].map(siteLabel).filter((label) => label.length >= MIN_TOKEN_LENGTH));
+  // A hyphenated label gives the spaced and the joined form
+  return [...labels].flatMap((label) => {
+    const parts = label.split('-').filter(Boolean);
+    return parts.length > 1 ? [parts.join(' '), parts.join('')] : [label];
+  });
+};
+
+const navigationalCandidates = (rows) => {
+  const queriesByToken = new Map();
+  rows.forEach((row) => {
+    if (!row.query || !(row.position > 0 && row.position <= MAX_POSITION)) return;
+    const ctr = row.impressions > 0 ? (row.clicks || 0) / row.impressions : 0;
+    const url = row.page ? parseUrl(row.page) : null;
+    if (ctr < MIN_CTR || !url || !isHomeOrAbout(url.pathname)) return;
+    new Set(tokenize(row.query)).forEach((token) => {
+      if (token.length < MIN_TOKEN_LENGTH || STOPWORDS.has(token) || /^\d+$/.test(token)) return;
+      if (!queriesByToken.has(token)) queriesByToken.set(token, new Set());
+      queriesByToken.get(token).add(row.query);
+    });
+  });
+  return [...queriesByToken.entries()]
+    .filter(([, queries]) => queries.size >= MIN_QUERY_COUNT)
+    .map(([token]) => token);
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Clicks and distinct queries each candidate matches as a whole word, across every row
+const measureCoverage = (rows, terms) => {
+  const matchers = terms.map((term) => new RegExp(`(?<!${WORD_CHARACTER})${escapeRegex(term)}(?!${WORD_CHARACTER})`, 'iu'));
+  const coverage = terms.map(() => ({ clicks: 0, queries: new Set() }));
+  let totalClicks = 0;
+  rows.forEach((row) => {
+    if (!row.query) return;
+    const clicks = row.clicks || 0;
+    totalClicks += clicks;
+    matchers.forEach((matcher, index) => {
+      if (!matcher.test(row.query)) return;
+      coverage[index].clicks += clicks;
+      coverage[index].queries.add(row.query);
+    });
+  });
+  return { coverage, totalClicks };
+};
+
+// `rows` are normalized upload rows with numeric metrics. Returns candidates sorted by the
+// clicks they cover: `{ term, source, clicks, queries, coverage }`, coverage in percent.
+export const suggestBrandTerms = (rows) => {
+  const sources = new Map();
+  hostnameCandidates(rows).forEach((term) => sources.set(term, 'hostname'));
+  navigationalCandidates(rows).forEach((term) => {
+    if (!sources.has(term)) sources.set(term, 'navigational');
+  });
+  const terms = [...sources.keys()];
+  const { coverage, totalClicks } = measureCoverage(rows, terms);
+  return terms
+    .map((term, index) => ({
+      term,
+      source: sources.get(term),
+      clicks: coverage[index].clicks,
+      queries: coverage[index].queries.size,
+      coverage: totalClicks > 0 ? (coverage[index].clicks / totalClicks) * 100 : 0,
+    }))
+    .filter(({ queries }) => queries > 0)
+    .sort((a, b) => b.clicks - a.clicks || b.queries - a.queries)
+    .slice(0, MAX_SUGGESTIONS);
+};
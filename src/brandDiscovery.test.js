@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { suggestBrandTerms } from './brandDiscovery.js';
+
+test('pages without a scheme still give hostname candidates', () => {
+  const rows = [
+    { query: 'acme shoes', page: 'www.acme.com/x', clicks: 10, impressions: 20, position: 1 },
+    { query: 'acme boots', page: 'acme.com/', clicks: 5, impressions: 10, position: 1 },
+  ];
+  const terms = suggestBrandTerms(rows);
+  assert.deepEqual(terms.map(({ term, source }) => [term, source]), [['acme', 'hostname']]);
+  assert.equal(terms[0].clicks, 15);
+});
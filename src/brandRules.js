@@ -0,0 +1,274 @@
+// Brand rule engine. Include rules are combined left to right with their AND/OR join,
+// AND binding tighter than OR; exclude rules veto a match whatever the includes say,
+// which is how "brand X but not the generic word X" is expressed.
+import { createNormalizer } from './textNormalization.js';
+
+export const RULE_TYPES = [
+  { id: 'include', label: 'Include' },
+  { id: 'exclude', label: 'Exclude' },
+];
+
+export const MATCH_MODES = [
+  { id: 'word', label: 'Whole word' },
+  { id: 'prefix', label: 'Word starts with' },
+  { id: 'substring', label: 'Contains' },
+];
+
+let ruleCounter = 0;
+
+export const createRule = (fields = {}) => ({
+  id: `rule-${Date.now().toString(36)}-${ruleCounter++}`,
+  type: 'include',
+  join: 'or',
+  term: '',
+  match: 'word',
+  language: '',
+  ...fields,
+});
+
+// Earlier configs stored a comma-separated term list that was matched as substrings
+export const rulesFromTerms = (terms) => String(terms || '')
+  .split(',')
+  .map((term) => term.trim())
+  .filter(Boolean)
+  .map((term) => createRule({ term, match: 'substring' }));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Letters and digits in any script count as word characters, so whole-word matching
+// works for queries like "café acme" or "купить acme"
+const WORD_CHARACTER = '[\\p{L}\\p{N}]';
+
+const compileRule = (rule, caseSensitive) => {
+  const term = String(rule.term || '').trim();
+  if (!term) return null;
+  const pattern = escapeRegex(term);
+  const source = {
+    word: `(?<!${WORD_CHARACTER})${pattern}(?!${WORD_CHARACTER})`,
+    prefix: `(?<!${WORD_CHARACTER})${pattern}`,
+    substring: pattern,
+  }[rule.match] || pattern;
+  const regex = new RegExp(source, caseSensitive ? 'u' : 'iu');
+  return (query) => regex.test(query);
+};
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions, so
+// "amce" is one edit from "acme"). Gives up with Infinity once `max` is exceeded.
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      next.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return Infinity;
+    previousRow = row;
+    row = next;
+  }
+  return row[b.length] <= max ? row[b.length] : Infinity;
+};
+
+// Lower is stronger; fuzzy matches add their edit distance
+const MATCH_STRENGTH = { word: 0, prefix: 1, substring: 2, fuzzy: 3 };
+
+const TOKEN_SEPARATOR = /[^\p{L}\p{N}]+/u;
+
+const tokenize = (text) => text.split(TOKEN_SEPARATOR).filter(Boolean);
+
+// Terms of up to 4 characters allow no edits ("acme" vs "acne" is one edit); 5 to 8
+// characters allow one, 9 to 12 two and so on, up to the configured tolerance
+const allowedEdits = (term, tolerance) => Math.min(tolerance, Math.max(0, Math.floor((term.length - 1) / 4)));
+
+// Fuzzy matching compares the term with spaces and hyphens removed against runs of one to
+// (term tokens + 1) adjacent query tokens, joined the same way. That covers typos as well
+// as "acme corp" / "acmecorp" / "acme-corp" in either direction.
+const compileFuzzyRule = (rule, caseSensitive, tolerance) => {
+  const text = String(rule.term || '').trim();
+  const termTokens = tokenize(caseSensitive ? text : text.toLowerCase());
+  const term = termTokens.join('');
+  const maxEdits = allowedEdits(term, tolerance);
+  if (!term) return null;
+  const maxWindow = termTokens.length + 1;
+
+  return (query) => {
+    const tokens = tokenize(caseSensitive ? query : query.toLowerCase());
+    let best = null;
+    for (let start = 0; start < tokens.length; start++) {
+      let joined = '';
+      for (let end = start; end < tokens.length && end - start < maxWindow; end++) {
+        joined += tokens[end];
+        const candidate = rule.match === 'prefix' ? joined.slice(0, term.length) : joined;
+        const distance = editDistance(candidate, term, best ? best.distance : maxEdits);
+        if (distance !== Infinity && (!best || distance < best.distance)) {
+          best = { fuzzy: true, matched: tokens.slice(start, end + 1).join(' '), distance };
+        }
+        if (joined.length > term.length + maxEdits) break;
+      }
+    }
+    return best;
+  };
+};
+
+// A signature identifies what a rule matched, so stats from an earlier analysis aren't
+// shown against a rule that has since been edited
+export const ruleSignature = ({ type, join, term, match, language }) => [type, join, String(term || '').trim(), match, ruleLanguage({ language })].join('\u0000');
+
+// A rule's language scope as a lower-case code, or '' for rules that apply everywhere
+export const ruleLanguage = ({ language }) => String(language || '').trim().toLowerCase();
+
+// Rules scoped to "es" also apply to regional locales such as "es-mx"
+const appliesToLanguage = (scope, language) => !scope || (Boolean(language) && (language === scope || language.startsWith(`${scope}-`)));
+
+const compileRuleSet = (rules, { caseSensitive = false, fuzzyTolerance = 0, normalization } = {}) => {
+  const normalize = createNormalizer(normalization);
+  const compiled = rules
+    .map((rule) => {
+      const normalized = { ...rule, term: normalize(String(rule.term || '')) };
+      const exact = compileRule(normalized, caseSensitive);
+      const fuzzy = exact && rule.type !== 'exclude' && fuzzyTolerance > 0 ? compileFuzzyRule(normalized, caseSensitive, fuzzyTolerance) : null;
+      const test = exact && ((query) => (exact(query) ? { fuzzy: false, distance: 0 } : fuzzy ? fuzzy(query) : null));
+      return { rule, test };
+    })
+    .filter(({ test }) => test);
+  const excludes = compiled.filter(({ rule }) => rule.type === 'exclude');
+  // Whole-word and word-start include rules also get a plain "contains" test, which finds
+  // near misses: the term inside a longer token ("acmewidgets" for "acme")
+  const nearMissTests = compiled
+    .filter(({ rule }) => rule.type !== 'exclude' && rule.match !== 'substring')
+    .map(({ rule }) => {
+      const normalized = { ...rule, term: normalize(String(rule.term || '')) };
+      const exact = compileRule(normalized, caseSensitive);
+      const contains = compileRule({ ...normalized, match: 'substring' }, caseSensitive);
+      return { term: rule.term, test: (query) => contains(query) && !exact(query) };
+    });
+  const groups = [];
+  compiled.filter(({ rule }) => rule.type !== 'exclude').forEach((entry, index) => {
+    if (index === 0 || entry.rule.join !== 'and') groups.push([entry]);
+    else groups[groups.length - 1].push(entry);
+  });
+
+  // A group matches when all of its rules do and is as strong as its loosest rule: a fuzzy
+  // group match records the rule with the largest distance, an exact one the loosest match
+  // mode. Whole-word groups win over word-start and substring ones, exact over fuzzy, closer
+  // fuzzy over the rest. Joined or split tokens ("acme corp" for "acmecorp") are fuzzy
+  // matches at distance 0.
+  const matchGroup = (group, query) => {
+    let fuzzy = null;
+    let match = 'word';
+    for (const { rule, test } of group) {
+      const result = test(query);
+      if (!result) return null;
+      if (result.fuzzy && (!fuzzy || result.distance > fuzzy.distance)) {
+        fuzzy = { term: rule.term, matched: result.matched, distance: result.distance };
+      }
+      if (MATCH_STRENGTH[rule.match] > MATCH_STRENGTH[match]) match = rule.match;
+    }
+    return fuzzy ? { fuzzy, match: 'fuzzy', rank: MATCH_STRENGTH.fuzzy + fuzzy.distance } : { fuzzy, match, rank: MATCH_STRENGTH[match] };
+  };
+
+  const classify = (rawQuery) => {
+    const query = normalize(rawQuery);
+    let best = null;
+    for (const group of groups) {
+      const match = matchGroup(group, query);
+      if (match && (!best || match.rank < best.rank)) best = match;
+      if (best && best.rank === 0) break;
+    }
+    if (!best || excludes.some(({ test }) => test(query))) return { branded: false, fuzzy: null, match: null };
+    return { branded: true, fuzzy: best.fuzzy, match: best.match };
+  };
+
+  // Fuzzy matching is costly and a query usually spans many rows (pages, dates,
+  // countries), so classifications are kept per query
+  const classified = new Map();
+  const classifyCached = (query) => {
+    let result = classified.get(query);
+    if (!result) {
+      result = classify(query);
+      classified.set(query, result);
+    }
+    return result;
+  };
+
+  const matchOf = (query) => (fuzzyTolerance > 0 ? classifyCached(query) : classify(query));
+
+  return {
+    isBranded: (query) => Boolean(query) && matchOf(query).branded,
+    // The fuzzy match that made a query branded, or null for exact (or no) matches
+    fuzzyMatchOf: (query) => classified.get(query)?.fuzzy || null,
+    // How a query matched: `match` is the loosest match mode of the winning rules, or
+    // 'fuzzy', and null when the query doesn't match
+    matchOf: (query) => (query ? matchOf(query) : { branded: false, fuzzy: null, match: null }),
+    // The term of a whole-word or word-start include rule found inside a longer token of
+    // a query that didn't match, or null
+    nearMissOf: (query) => {
+      if (!query) return null;
+      const text = normalize(query);
+      return nearMissTests.find(({ test }) => test(text))?.term || null;
+    },
+    // Queries and clicks each rule's term matched on its own, before combining. Rules scoped
+    // to a language only count queries classified in that language.
+    countMatches: (queries) => {
+      const stats = Object.fromEntries(compiled.map(({ rule }) => [rule.id, { signature: ruleSignature(rule), queries: 0, clicks: 0 }]));
+      queries.forEach((query) => {
+        const text = normalize(query.query);
+        compiled.forEach(({ rule, test }) => {
+          const language = ruleLanguage(rule);
+          if (!appliesToLanguage(language, query.language) || !test(text)) return;
+          stats[rule.id].queries++;
+          stats[rule.id].clicks += query.clicks || 0;
+        });
+      });
+      return stats;
+    },
+  };
+};
+
+// `fuzzyTolerance` is the maximum edit distance for include rules; 0 turns fuzzy matching
+// off. Exclude rules always match exactly so a typo can't veto a branded query.
+// `normalization` selects the textNormalization steps applied to both terms and queries.
+//
+// Rules with a `language` only apply to rows in that language: a row is matched against
+// the global rules plus the rules of its language and locale, so every method takes the
+// row's locale tag (or null) after the query.
+export const compileBrandRules = (rules = [], options = {}) => {
+  const global = compileRuleSet(rules.filter((rule) => !ruleLanguage(rule)), options);
+  const scoped = {};
+  rules.map(ruleLanguage).filter(Boolean).forEach((language) => {
+    if (!scoped[language]) scoped[language] = compileRuleSet(rules.filter((rule) => appliesToLanguage(ruleLanguage(rule), language)), options);
+  });
+  // The most specific scope covering the row: "es-mx" rows use the "es-mx" rule set
+  // when there is one, or else the "es" set
+  const scopeOf = (language) => {
+    const parts = String(language || '').toLowerCase().split('-');
+    for (let length = parts.length; length > 0; length--) {
+      const code = parts.slice(0, length).join('-');
+      if (scoped[code]) return code;
+    }
+    return null;
+  };
+  const setFor = (language) => scoped[scopeOf(language)] || global;
+  const all = compileRuleSet(rules, options);
+
+  return {
+    isBranded: (query, language) => setFor(language).isBranded(query),
+    fuzzyMatchOf: (query, language) => setFor(language).fuzzyMatchOf(query),
+    matchOf: (query, language) => setFor(language).matchOf(query),
+    nearMissOf: (query, language) => setFor(language).nearMissOf(query),
+    // Which term set a query these rules match needed: 'global' when the global rules
+    // match on their own, otherwise the language code of the scoped rules
+    termSetOf: (query, language) => (setFor(language) === global || global.isBranded(query) ? 'global' : scopeOf(language)),
+    // The language code of the rule set rows in `language` use, or null for the global rules
+    scopeOf,
+    countMatches: (queries) => all.countMatches(queries),
+  };
+};
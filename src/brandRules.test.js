@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileBrandRules } from './brandRules.js';
+
+const include = (term, match = 'word') => ({ id: term, type: 'include', join: 'or', term, match, language: '' });
+
+test('terms of up to 4 characters never match fuzzily', () => {
+  const rules = compileBrandRules([include('acme')], { fuzzyTolerance: 3 });
+  assert.equal(rules.isBranded('acme'), true);
+  assert.equal(rules.isBranded('acne treatment'), false);
+  assert.equal(rules.isBranded('acne corp'), false);
+});
+
+test('longer terms allow one edit per 4 characters after the first 4', () => {
+  const rules = compileBrandRules([include('acmecorp')], { fuzzyTolerance: 3 });
+  assert.equal(rules.isBranded('amcecorp login'), true);
+  assert.equal(rules.isBranded('acme corp'), true);
+  assert.equal(rules.isBranded('amce crop'), false);
+});
@@ -0,0 +1,85 @@
+// Period-over-period comparison of two analysis results produced with the same config.
+// Every compared value is a delta: current, previous, absolute change and percentage
+// change (null when there is nothing to compare against).
+
+export const COMPARED_METRICS = ['rows', 'clicks', 'impressions', 'ctr', 'avgPosition'];
+
+const MAX_MOVERS = 25;
+
+export const toDelta = (current = 0, previous = 0) => ({
+  current,
+  previous,
+  change: current - previous,
+  percent: previous ? ((current - previous) / Math.abs(previous)) * 100 : null,
+});
+
+const compareMetrics = (current = {}, previous = {}) => Object.fromEntries(
+  COMPARED_METRICS.map((metric) => [metric, toDelta(current[metric] || 0, previous[metric] || 0)])
+);
+
+// Matches rows of two lists by key. Rows only in the current list are `new`, rows only
+// in the previous one are `lost`.
+const compareRows = (currentRows = [], previousRows = [], keyOf) => {
+  const previousByKey = new Map(previousRows.map((row) => [keyOf(row), row]));
+  const compared = new Map();
+  currentRows.forEach((row) => {
+    const key = keyOf(row);
+    const previous = previousByKey.get(key);
+    compared.set(key, { key, row, status: previous ? 'both' : 'new', deltas: compareMetrics(row, previous) });
+  });
+  previousRows.forEach((row) => {
+    const key = keyOf(row);
+    if (!compared.has(key)) compared.set(key, { key, row, status: 'lost', deltas: compareMetrics(undefined, row) });
+  });
+  return compared;
+};
+
+// The path, language, country and device rows use `sortableTotal` for their query count
+const dimensionMetrics = (row) => ({ ...row, rows: row.sortableTotal });
+
+// Segments are matched by id; a segment that only exists in one period compares against zero
+const compareSegments = (current = [], previous = []) => {
+  const previousById = new Map(previous.map((segment) => [segment.id, segment]));
+  const ids = [...new Set([...current, ...previous].map(({ id }) => id))];
+  return Object.fromEntries(ids.map((id) => {
+    const segment = current.find((entry) => entry.id === id);
+    const deltas = compareMetrics(segment?.metrics, previousById.get(id)?.metrics);
+    deltas.percentage = toDelta(segment?.percentage || 0, previousById.get(id)?.percentage || 0);
+    return [id, deltas];
+  }));
+};
+
+export const compareResults = (current, previous) => {
+  const queries = compareRows(current.queries, previous.queries, (row) => row.key || row.query);
+  const matched = Array.from(queries.values()).filter((entry) => entry.status === 'both');
+  const byClickChange = (a, b) => b.deltas.clicks.change - a.deltas.clicks.change;
+
+  return {
+    summary: {
+      totalRows: toDelta(current.summary?.totalRows, previous.summary?.totalRows),
+      brandedRows: toDelta(current.summary?.brandedRows, previous.summary?.brandedRows),
+      nonBrandedRows: toDelta(current.summary?.nonBrandedRows, previous.summary?.nonBrandedRows),
+      brandedPercentage: toDelta(current.summary?.brandedPercentage, previous.summary?.brandedPercentage),
+      nonBrandedPercentage: toDelta(current.summary?.nonBrandedPercentage, previous.summary?.nonBrandedPercentage),
+    },
+    // Per segment metric deltas plus `percentage`, the change in share of rows
+    segments: {
+      branded: compareMetrics(current.branded?.metrics, previous.branded?.metrics),
+      nonBranded: compareMetrics(current.nonBranded?.metrics, previous.nonBranded?.metrics),
+      ...compareSegments(current.segments, previous.segments),
+    },
+    paths: compareRows((current.pathData || []).map(dimensionMetrics), (previous.pathData || []).map(dimensionMetrics), (row) => row.name),
+    pathTree: compareRows((current.pathTree || []).map(dimensionMetrics), (previous.pathTree || []).map(dimensionMetrics), (row) => row.name),
+    languages: compareRows((current.languageData || []).map(dimensionMetrics), (previous.languageData || []).map(dimensionMetrics), (row) => row.code),
+    locales: compareRows((current.localeData || []).map(dimensionMetrics), (previous.localeData || []).map(dimensionMetrics), (row) => row.code),
+    hosts: compareRows((current.hostData || []).map(dimensionMetrics), (previous.hostData || []).map(dimensionMetrics), (row) => row.name),
+    sites: compareRows((current.siteData || []).map(dimensionMetrics), (previous.siteData || []).map(dimensionMetrics), (row) => row.name),
+    countries: compareRows((current.countryData || []).map(dimensionMetrics), (previous.countryData || []).map(dimensionMetrics), (row) => row.name),
+    devices: compareRows((current.deviceData || []).map(dimensionMetrics), (previous.deviceData || []).map(dimensionMetrics), (row) => row.name),
+    queries,
+    winners: matched.filter((entry) => entry.deltas.clicks.change > 0).sort(byClickChange).slice(0, MAX_MOVERS),
+    losers: matched.filter((entry) => entry.deltas.clicks.change < 0).sort(byClickChange).reverse().slice(0, MAX_MOVERS),
+    newQueries: Array.from(queries.values()).filter((entry) => entry.status === 'new').sort((a, b) => b.deltas.clicks.current - a.deltas.clicks.current),
+    lostQueries: Array.from(queries.values()).filter((entry) => entry.status === 'lost').sort((a, b) => b.deltas.clicks.previous - a.deltas.clicks.previous),
+  };
+};
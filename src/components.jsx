@@ -1,5 +1,4 @@
-import React, { useState, useMemo } from 'react';
-import Papa from 'papaparse';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import {
   BarChart,
   Bar,
@@ -14,117 +13,1178 @@ import {
   Cell,
   LineChart,
   Line,
+  Brush,
 } from 'recharts';
-import { samplePathData, sampleLanguageData, COLORS, validateCSVContent, sanitize } from './utils.js';
+import { samplePathData, sampleLanguageData, COLORS, sanitize, FILTER_DIMENSIONS, PATH_LEVELS, isWithinPath } from './utils.js';
+import { LANGUAGE_CODES, LOCALE_SOURCES, parseLocaleAliases, formatLocaleAliases } from './locale.js';
+import {
+  MAPPABLE_COLUMNS,
+  BUILTIN_COLUMN_PRESETS,
+  guessColumnMapping,
+  resolvePresetMapping,
+  missingMappedColumns,
+  loadColumnPresets,
+  saveColumnPreset,
+  deleteColumnPreset,
+} from './ingest.js';
+import { SHARE_BASES, segmentShare, segmentValue } from './metrics.js';
+import { NUMBER_LOCALES, CTR_FORMATS, parseLocaleNumber, parseCtr } from './numberFormat.js';
+import { GRANULARITIES, TREND_METRICS, bucketTimeSeries, addRollingAverage } from './timeSeries.js';
+import {
+  SEARCH_CONSOLE_DIMENSIONS,
+  createFetchTransport,
+  listSites,
+  importSearchConsole,
+} from './searchConsole.js';
+import { RULE_TYPES, MATCH_MODES, createRule, rulesFromTerms, ruleSignature, ruleLanguage } from './brandRules.js';
+import { NORMALIZATION_STEPS } from './textNormalization.js';
+import { BRANDED_SEGMENT, CLASSIFICATION_CONFIDENCE, DEFAULT_SEGMENTS, FALLBACK_SEGMENT, SEGMENT_TEMPLATES, createSegment } from './segments.js';
+import { validateCustomRegex } from './regexSafety.js';
+import { createRegexTester } from './regexTesterClient.js';
+import { DISCOVERY_SOURCES } from './brandDiscovery.js';
+import { INTENTS, UNKNOWN_INTENT, INTENT_LANGUAGES, DEFAULT_INTENT_MODIFIERS } from './intent.js';
+import { createSiteGroup, parseHostPatterns, compileSiteGroups } from './hosts.js';
+import { CONTENT_TYPE_MATCHES, DEFAULT_CONTENT_TYPES, createContentTypeRule, contentTypeRuleError, describeContentTypeRule } from './contentTypes.js';
 import html2canvas from 'html2canvas';
 import jsPDF from 'jspdf';
 
+const MAX_UPLOAD_BYTES = 1024 * 1024 * 1024;
+
+const MAX_FUZZY_ROWS = 200;
+const REGEX_TESTER_QUERIES = 200;
+const REGEX_TESTER_SHOWN = 10;
+const REGEX_TESTER_DEBOUNCE_MS = 250;
+const RULE_LANGUAGES = [...LANGUAGE_CODES].sort();
+const MAX_TYPED_URLS = 50;
+const INTENT_LABELS = Object.fromEntries([...INTENTS, UNKNOWN_INTENT].map(({ id, label }) => [id, label]));
+
+// Shared progress line for parsing and analysis in the worker
+export const ProgressComponent = ({ progress, onCancel }) => (
+  <div className="mb-4 p-3 bg-blue-100 text-blue-800 rounded flex justify-between items-center">
+    <span>
+      {{ parsing: 'Reading file', fetching: 'Fetching from Search Console' }[progress.phase] || 'Analyzing data'}: {sanitize((progress.rows || 0).toLocaleString())} rows
+      {progress.phase === 'parsing' && progress.totalBytes > 0 && ` (${sanitize(Math.min(100, (progress.bytes / progress.totalBytes) * 100).toFixed(0))}%)`}
+      {progress.phase === 'analyzing' && progress.totalRows > 0 && ` of ${sanitize(progress.totalRows.toLocaleString())}`}
+    </span>
+    {onCancel && (
+      <button onClick={onCancel} className="px-3 py-1 bg-white text-blue-800 rounded border hover:bg-blue-50 text-sm">Cancel</button>
+    )}
+  </div>
+);
+
 // File Upload Component
-export const FileUploadComponent = ({ onFileUpload, setError }) => {
-  const expectedColumns = ['query', 'page', 'clicks', 'impressions', 'ctr', 'position'];
+export const FileUploadComponent = ({ analysisClient, onFileUpload, setError, label = 'Upload CSV File or Search Console ZIP' }) => {
+  const [loadedSheets, setLoadedSheets] = useState([]);
+  const [pendingMapping, setPendingMapping] = useState(null);
+  const [pendingFormat, setPendingFormat] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  // Hands the loaded sheets on to the analysis once the primary sheet's columns are known
+  const finishUpload = (file, summary) => {
+    if (summary.emptyColumns.length > 0) {
+      setError(`The following columns are completely empty: ${sanitize(summary.emptyColumns.join(', '))}`);
+      return;
+    }
+    setLoadedSheets(summary.sheets);
+    onFileUpload(file, summary.sheets);
+  };
+
+  // Metric columns are converted only after the user confirms the detected number format
+  const confirmFormatStep = (file, summary) => {
+    if (!summary.detectedNumberFormat) {
+      finishUpload(file, summary);
+      return;
+    }
+    setPendingFormat({ file, summary });
+  };
 
-  const handleFileChange = (e) => {
-    const selectedFile = e.target.files?.[0];
-    if (!selectedFile) {
+  const handleConfirmFormat = async (format) => {
+    const { file } = pendingFormat;
+    setPendingFormat(null);
+    setError(null);
+    try {
+      finishUpload(file, await analysisClient.setNumberFormat(format));
+    } catch (err) {
+      setError(sanitize(`Error applying number format: ${err.message}`));
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const selectedFiles = Array.from(e.target.files || []);
+    setPendingMapping(null);
+    setPendingFormat(null);
+    if (!selectedFiles.length) {
       setError('No file selected');
       return;
     }
-    if (!selectedFile.name.endsWith('.csv')) {
-      setError('Please select a CSV file');
+    if (selectedFiles.some(file => !/\.(csv|zip)$/i.test(file.name))) {
+      setError('Please select CSV files or a Search Console ZIP export');
       return;
     }
-    if (selectedFile.size > 10 * 1024 * 1024) {
-      setError('File size exceeds 10MB limit');
+    if (selectedFiles.some(file => file.size > MAX_UPLOAD_BYTES)) {
+      setError('File size exceeds 1GB limit');
       return;
     }
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      Papa.parse(event.target.result, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-          console.log('Raw Parsed Data:', results.data); // Logging raw data
-          if (!results.data.length) {
-            setError('CSV is empty or contains no data');
-            return;
-          }
-
-          // Validate CSV content for malicious patterns
-          const validation = validateCSVContent(results.data);
-          if (!validation.valid) {
-            setError(sanitize(validation.message));
-            return;
-          }
-
-          const actualColumns = results.meta.fields.map(col => col.toLowerCase());
-          const missingColumns = expectedColumns.filter(col => !actualColumns.includes(col));
-          if (missingColumns.length > 0) {
-            setError(`CSV is missing required columns: ${sanitize(missingColumns.join(', '))}`);
-            return;
-          }
-
-          const normalizedData = results.data.map(row => {
-            const normalizedRow = {};
-            Object.keys(row).forEach(key => {
-              normalizedRow[key.toLowerCase()] = row[key];
-            });
-            return normalizedRow;
-          });
-          console.log('Normalized Data:', normalizedData); // Logging normalized data
-
-          const emptyColumns = expectedColumns.filter(col => 
-            normalizedData.every(row => row[col] === null || row[col] === undefined || row[col] === '')
-          );
-          if (emptyColumns.length > 0) {
-            setError(`The following columns are completely empty: ${sanitize(emptyColumns.join(', '))}`);
-            return;
-          }
-
-          onFileUpload(selectedFile, normalizedData);
-        },
-        error: (err) => setError(sanitize(`Error parsing CSV: ${err.message}`)),
-      });
-    };
-    reader.onerror = () => setError('Error reading file');
-    reader.readAsText(selectedFile);
+    setError(null);
+    setProgress({ phase: 'parsing', rows: 0 });
+    try {
+      const summary = await analysisClient.load(selectedFiles, setProgress);
+      if (summary.unrecognized.length) {
+        console.warn('Unrecognized sheets:', summary.unrecognized.map(sheet => sheet.name));
+      }
+      if (!summary.hasPrimary) {
+        if (!summary.unrecognized.length) {
+          setError('No queries table found. Upload a CSV with query, clicks, impressions, ctr and position columns, or a Search Console ZIP export.');
+          return;
+        }
+        // Headers don't match Search Console's, so ask the user how to read the file
+        const [sheet] = summary.unrecognized;
+        setPendingMapping({ file: selectedFiles[0], sheet, mapping: guessColumnMapping(sheet.fields) });
+        return;
+      }
+      confirmFormatStep(selectedFiles[0], summary);
+    } catch (err) {
+      if (!err.cancelled) setError(sanitize(`Error reading upload: ${err.message}`));
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleConfirmMapping = async (mapping) => {
+    const missing = missingMappedColumns(mapping);
+    if (missing.length > 0) {
+      setError(`Please map the required columns: ${sanitize(missing.join(', '))}`);
+      return;
+    }
+    const { file, sheet } = pendingMapping;
+    setPendingMapping(null);
+    setError(null);
+    try {
+      confirmFormatStep(file, await analysisClient.map(sheet.name, mapping));
+    } catch (err) {
+      setError(sanitize(`Error applying column mapping: ${err.message}`));
+    }
   };
 
   return (
     <div className="mb-6">
-      <label className="block mb-2 font-medium">Upload CSV File</label>
-      <input type="file" accept=".csv" onChange={handleFileChange} className="w-full p-2 border rounded" />
+      <label className="block mb-2 font-medium">{label}</label>
+      <input type="file" accept=".csv,.zip" multiple onChange={handleFileChange} disabled={Boolean(progress)} className="w-full p-2 border rounded" />
+      {progress && (
+        <div className="mt-2">
+          <ProgressComponent progress={progress} onCancel={() => analysisClient.cancel()} />
+        </div>
+      )}
+      {pendingMapping && (
+        <ColumnMappingComponent
+          fileName={pendingMapping.sheet.name}
+          fields={pendingMapping.sheet.fields}
+          initialMapping={pendingMapping.mapping}
+          onConfirm={handleConfirmMapping}
+          onCancel={() => setPendingMapping(null)}
+        />
+      )}
+      {pendingFormat && (
+        <NumberFormatComponent
+          detected={pendingFormat.summary.detectedNumberFormat}
+          samples={pendingFormat.summary.numberSamples}
+          onConfirm={handleConfirmFormat}
+          onCancel={() => setPendingFormat(null)}
+        />
+      )}
+      {loadedSheets.length > 0 && (
+        <ul className="mt-2 text-sm text-gray-600">
+          {loadedSheets.map(sheet => (
+            <li key={sheet.name}>{sanitize(sheet.label)}: {sanitize(sheet.name)} ({sanitize(sheet.rows)} rows)</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Search Console data lags by about two days, so the default range ends three days ago
+const defaultSearchConsoleRange = () => {
+  const end = new Date();
+  end.setDate(end.getDate() - 3);
+  const start = new Date(end);
+  start.setDate(start.getDate() - 27);
+  const format = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  return { startDate: format(start), endDate: format(end) };
+};
+
+// Search Console API Component. The access token (OAuth, webmasters.readonly scope) is only
+// kept in memory. VITE_SEARCH_CONSOLE_API_URL points the connector at a stand-in server.
+export const SearchConsoleComponent = ({ analysisClient, onLoad, setError }) => {
+  const [accessToken, setAccessToken] = useState('');
+  const [sites, setSites] = useState([]);
+  const [siteUrl, setSiteUrl] = useState('');
+  const [range, setRange] = useState(defaultSearchConsoleRange);
+  const [dimensions, setDimensions] = useState(SEARCH_CONSOLE_DIMENSIONS);
+  const [maxRows, setMaxRows] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [abortController, setAbortController] = useState(null);
+
+  const transport = () => createFetchTransport({ accessToken: accessToken.trim(), baseUrl: import.meta.env.VITE_SEARCH_CONSOLE_API_URL || undefined });
+
+  const handleLoadSites = async () => {
+    setError(null);
+    try {
+      const siteUrls = await listSites(transport());
+      setSites(siteUrls);
+      if (!siteUrls.includes(siteUrl)) setSiteUrl(siteUrls[0] || '');
+      if (!siteUrls.length) setError('No verified Search Console properties found for this token');
+    } catch (err) {
+      setError(sanitize(err.message));
+    }
+  };
+
+  const toggleDimension = (dimension) => {
+    setDimensions(dimensions.includes(dimension)
+      ? dimensions.filter(d => d !== dimension)
+      : SEARCH_CONSOLE_DIMENSIONS.filter(d => d === dimension || dimensions.includes(d)));
+  };
+
+  const handleFetch = async () => {
+    const controller = new AbortController();
+    setAbortController(controller);
+    setError(null);
+    setProgress({ phase: 'fetching', rows: 0 });
+    try {
+      const { name, sheets } = await importSearchConsole({
+        analysisClient,
+        transport: transport(),
+        siteUrl,
+        ...range,
+        dimensions,
+        maxRows: Number(maxRows) > 0 ? Number(maxRows) : Infinity,
+        onProgress: (count) => setProgress({ phase: 'fetching', rows: count }),
+        signal: controller.signal,
+      });
+      onLoad({ name }, sheets);
+    } catch (err) {
+      if (err.name !== 'AbortError') setError(sanitize(err.message));
+    } finally {
+      setProgress(null);
+      setAbortController(null);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded">
+      <h3 className="font-medium mb-3">Or Import from the Search Console API</h3>
+      <div className="mb-3 flex flex-wrap items-center gap-2">
+        <input
+          type="password"
+          value={accessToken}
+          onChange={(e) => setAccessToken(e.target.value)}
+          placeholder="OAuth access token"
+          className="flex-1 p-2 border rounded"
+        />
+        <button onClick={handleLoadSites} disabled={!accessToken.trim()} className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50">Load properties</button>
+      </div>
+      {sites.length > 0 && (
+        <>
+          <div className="mb-3 flex flex-wrap items-center gap-4">
+            <select className="p-2 border rounded" value={siteUrl} onChange={(e) => setSiteUrl(e.target.value)}>
+              {sites.map(site => (
+                <option key={site} value={site}>{site}</option>
+              ))}
+            </select>
+            <label className="text-sm">
+              From <input type="date" value={range.startDate} onChange={(e) => setRange({ ...range, startDate: e.target.value })} className="p-1 border rounded" />
+            </label>
+            <label className="text-sm">
+              To <input type="date" value={range.endDate} onChange={(e) => setRange({ ...range, endDate: e.target.value })} className="p-1 border rounded" />
+            </label>
+            <label className="text-sm">
+              Max rows <input type="number" min="1" value={maxRows} onChange={(e) => setMaxRows(e.target.value)} placeholder="All" className="w-28 p-1 border rounded" />
+            </label>
+          </div>
+          <div className="mb-3 flex flex-wrap items-center gap-4 text-sm">
+            <span className="font-medium">Dimensions:</span>
+            {SEARCH_CONSOLE_DIMENSIONS.map(dimension => (
+              <label key={dimension} className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={dimensions.includes(dimension)}
+                  disabled={dimension === 'query'}
+                  onChange={() => toggleDimension(dimension)}
+                  className="mr-1"
+                />
+                {dimension}
+              </label>
+            ))}
+          </div>
+          {progress ? (
+            <ProgressComponent progress={progress} onCancel={() => abortController?.abort()} />
+          ) : (
+            <button onClick={handleFetch} disabled={!siteUrl} className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400">Fetch data</button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// Column Mapping Component
+export const ColumnMappingComponent = ({ fileName, fields, initialMapping, onConfirm, onCancel }) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [savedPresets, setSavedPresets] = useState(() => loadColumnPresets());
+  const [presetName, setPresetName] = useState('');
+
+  const presets = [...BUILTIN_COLUMN_PRESETS, ...savedPresets];
+  const savedNames = new Set(savedPresets.map(preset => preset.name));
+
+  const handlePresetChange = (name) => {
+    if (!name) {
+      setMapping(guessColumnMapping(fields));
+      return;
+    }
+    const preset = presets.find(p => p.name === name);
+    if (preset) setMapping(resolvePresetMapping(preset, fields));
+  };
+
+  const handleSavePreset = () => {
+    if (!presetName.trim()) return;
+    setSavedPresets(saveColumnPreset(presetName.trim(), mapping));
+    setPresetName('');
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-yellow-50 rounded border">
+      <h3 className="font-medium mb-1">Map Columns</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        The headers in {sanitize(fileName)} don't match a Search Console export. Check the suggested matches below.
+        Without a CTR column, CTR is derived from clicks and impressions.
+      </p>
+      <div className="mb-3 flex flex-wrap items-center gap-2">
+        <label className="font-medium text-sm">Preset:</label>
+        <select className="p-2 border rounded text-sm" defaultValue="" onChange={(e) => handlePresetChange(e.target.value)}>
+          <option value="">Auto-detect</option>
+          {presets.map(preset => (
+            <option key={preset.name} value={preset.name}>{preset.name}{savedNames.has(preset.name) ? ' (saved)' : ''}</option>
+          ))}
+        </select>
+      </div>
+      <table className="w-full text-sm mb-3">
+        <tbody>
+          {MAPPABLE_COLUMNS.map(column => (
+            <tr key={column.id}>
+              <td className="py-1 pr-2">{column.label}{column.required ? ' *' : ''}</td>
+              <td className="py-1">
+                <select
+                  className="w-full p-1 border rounded"
+                  value={mapping[column.id] || ''}
+                  onChange={(e) => setMapping({ ...mapping, [column.id]: e.target.value || null })}
+                >
+                  <option value="">{column.id === 'ctr' ? 'Derive from clicks / impressions' : 'Not mapped'}</option>
+                  {fields.map(field => (
+                    <option key={field} value={field}>{field}</option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mb-3 flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Preset name"
+          className="p-2 border rounded text-sm"
+        />
+        <button onClick={handleSavePreset} disabled={!presetName.trim()} className="px-3 py-2 bg-gray-200 rounded text-sm hover:bg-gray-300 disabled:opacity-50">
+          Save as preset
+        </button>
+        {savedPresets.length > 0 && (
+          <select className="p-2 border rounded text-sm" value="" onChange={(e) => e.target.value && setSavedPresets(deleteColumnPreset(e.target.value))}>
+            <option value="">Delete saved preset…</option>
+            {savedPresets.map(preset => (
+              <option key={preset.name} value={preset.name}>{preset.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div className="flex gap-2">
+        <button onClick={() => onConfirm(mapping)} className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">Use this mapping</button>
+        <button onClick={onCancel} className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400">Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+// Number Format Component
+export const NumberFormatComponent = ({ detected, samples, onConfirm, onCancel }) => {
+  const [format, setFormat] = useState({ locale: detected.locale, ctr: detected.ctr });
+  const columns = ['clicks', 'impressions', 'ctr', 'position'].filter(col => samples.some(row => col in row));
+  const preview = (col, value) => {
+    const number = col === 'ctr' ? parseCtr(value, format) * 100 : parseLocaleNumber(value, format.locale);
+    if (isNaN(number)) return '—';
+    return col === 'ctr' ? `${number.toFixed(2)}%` : number.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-yellow-50 rounded border">
+      <h3 className="font-medium mb-1">Confirm Number Format</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        {detected.ambiguous
+          ? 'The number format could not be told apart from the values in this file. Please check the preview below.'
+          : detected.evidence.decimalPoint + detected.evidence.decimalComma === 0
+            ? 'The metric values have no decimal or thousands separators, so both formats read them the same way.'
+            : `Detected from the metric values (${sanitize(detected.evidence.decimalPoint)} point vs ${sanitize(detected.evidence.decimalComma)} comma). Check the preview before continuing.`}
+      </p>
+      <div className="mb-3 flex flex-wrap items-center gap-4">
+        <label className="text-sm">
+          <span className="font-medium mr-2">Numbers:</span>
+          <select className="p-2 border rounded text-sm" value={format.locale} onChange={(e) => setFormat({ ...format, locale: e.target.value })}>
+            {NUMBER_LOCALES.map(locale => (
+              <option key={locale.id} value={locale.id}>{locale.label}</option>
+            ))}
+          </select>
+        </label>
+        {columns.includes('ctr') && (
+          <label className="text-sm">
+            <span className="font-medium mr-2">CTR:</span>
+            <select className="p-2 border rounded text-sm" value={format.ctr} onChange={(e) => setFormat({ ...format, ctr: e.target.value })}>
+              {CTR_FORMATS.map(ctrFormat => (
+                <option key={ctrFormat.id} value={ctrFormat.id}>{ctrFormat.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+      {samples.length > 0 && (
+        <table className="w-full text-sm mb-3 border">
+          <thead>
+            <tr className="bg-gray-100">
+              {columns.map(col => (
+                <th key={col} className="p-2 border text-left capitalize">{col}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {samples.map((row, index) => (
+              <tr key={index}>
+                {columns.map(col => (
+                  <td key={col} className="p-2 border">
+                    <span className="text-gray-500">{sanitize(row[col] ?? '')}</span> → {sanitize(preview(col, row[col]))}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="flex gap-2">
+        <button onClick={() => onConfirm(format)} className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">Use this format</button>
+        <button onClick={onCancel} className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400">Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+// Brand Rules Component: include/exclude rules with the queries and clicks each one
+// matched in the last analysis
+export const BrandRulesComponent = ({ rules, onChange, ruleStats, disabled, title = 'Brand Rules' }) => {
+  const [bulkTerms, setBulkTerms] = useState('');
+  const includes = rules.filter((rule) => rule.type !== 'exclude');
+
+  const updateRule = (id, fields) => onChange(rules.map((rule) => (rule.id === id ? { ...rule, ...fields } : rule)));
+  const removeRule = (id) => onChange(rules.filter((rule) => rule.id !== id));
+  const addBulkTerms = () => {
+    onChange([...rules, ...rulesFromTerms(bulkTerms).map((rule) => ({ ...rule, match: 'word' }))]);
+    setBulkTerms('');
+  };
+
+  // Stats are only shown while the rule is unchanged since the analysis that produced them
+  const statsFor = (rule) => {
+    const stats = ruleStats?.[rule.id];
+    return stats && stats.signature === ruleSignature(rule) ? stats : null;
+  };
+
+  return (
+    <div className={`mb-4 ${disabled ? 'opacity-50' : ''}`}>
+      <label className="block mb-2 font-medium">{title}</label>
+      {disabled && <p className="text-sm text-gray-600 mb-2">The custom regex is used instead of these rules.</p>}
+      {rules.length === 0 && <p className="text-sm text-gray-600 mb-2">No rules yet. Add include rules for the terms that identify this segment and exclude rules for generic terms that contain them.</p>}
+      {rules.map((rule) => {
+        const stats = statsFor(rule);
+        const isFirstInclude = rule.type !== 'exclude' && includes[0]?.id === rule.id;
+        return (
+          <div key={rule.id} className="flex flex-wrap items-center gap-2 mb-2">
+            <select value={rule.type} onChange={(e) => updateRule(rule.id, { type: e.target.value })} className="p-2 border rounded">
+              {RULE_TYPES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            {rule.type !== 'exclude' && !isFirstInclude ? (
+              <select value={rule.join} onChange={(e) => updateRule(rule.id, { join: e.target.value })} className="p-2 border rounded" title="How this rule combines with the include rule above it">
+                <option value="or">OR</option>
+                <option value="and">AND</option>
+              </select>
+            ) : (
+              <span className="w-16 text-sm text-gray-500 text-center">{rule.type === 'exclude' ? 'NOT' : ''}</span>
+            )}
+            <input
+              type="text"
+              value={rule.term}
+              onChange={(e) => updateRule(rule.id, { term: e.target.value })}
+              className="flex-1 min-w-[10rem] p-2 border rounded"
+              placeholder={rule.type === 'exclude' ? 'Term that rules a query out' : 'Term'}
+            />
+            <select value={rule.match} onChange={(e) => updateRule(rule.id, { match: e.target.value })} className="p-2 border rounded">
+              {MATCH_MODES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            <select
+              value={ruleLanguage(rule)}
+              onChange={(e) => updateRule(rule.id, { language: e.target.value })}
+              className="p-2 border rounded"
+              title="Only apply this rule to pages in this language"
+            >
+              <option value="">All languages</option>
+              {RULE_LANGUAGES.map((code) => <option key={code} value={code}>{code}</option>)}
+            </select>
+            <span className="w-48 text-sm text-gray-600">
+              {stats ? `${stats.queries.toLocaleString()} queries · ${stats.clicks.toLocaleString()} clicks` : ''}
+            </span>
+            <button onClick={() => removeRule(rule.id)} className="px-2 py-1 text-red-600 hover:bg-red-50 rounded" title="Remove rule">✕</button>
+          </div>
+        );
+      })}
+      <div className="flex flex-wrap gap-2 mt-2">
+        <button onClick={() => onChange([...rules, createRule()])} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm">Add include rule</button>
+        <button onClick={() => onChange([...rules, createRule({ type: 'exclude' })])} className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 text-sm">Add exclude rule</button>
+        <input
+          type="text"
+          value={bulkTerms}
+          onChange={(e) => setBulkTerms(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') addBulkTerms(); }}
+          className="flex-1 min-w-[12rem] p-1 border rounded text-sm"
+          placeholder="Or paste comma-separated terms"
+        />
+        <button onClick={addBulkTerms} disabled={!bulkTerms.trim()} className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 disabled:opacity-50 text-sm">Add terms</button>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        A query matches when the include rules match (AND binds tighter than OR) and no exclude rule matches.
+        Rules scoped to a language only apply to pages whose URL carries that language code, on top of the rules for all languages.
+        Counts show what each rule matched on its own in the last analysis.
+      </p>
+    </div>
+  );
+};
+
+// Regex Tester Component: runs the custom pattern against the top queries of the loaded
+// file as it is typed, after the same safety check the analysis applies. Matching runs in
+// a worker with a time budget, a short pause after the last keystroke.
+export const RegexTesterComponent = ({ pattern, caseSensitive, queries }) => {
+  const flags = caseSensitive ? '' : 'i';
+  const validation = useMemo(() => validateCustomRegex(pattern, flags), [pattern, flags]);
+  const sample = useMemo(() => (queries || []).slice(0, REGEX_TESTER_QUERIES), [queries]);
+  const testerRef = useRef(null);
+  const [outcome, setOutcome] = useState({ running: false });
+
+  useEffect(() => {
+    testerRef.current = createRegexTester();
+    return () => testerRef.current.terminate();
+  }, []);
+
+  useEffect(() => {
+    if (!pattern || !validation.valid || !sample.length) return undefined;
+    setOutcome({ running: true });
+    const timer = setTimeout(() => {
+      testerRef.current.test(pattern, flags, sample.map((query) => query.query))
+        .then((matches) => setOutcome({
+          matching: sample.filter((query, index) => matches[index]),
+          nonMatching: sample.filter((query, index) => !matches[index]),
+        }))
+        .catch((err) => {
+          if (!err.superseded) setOutcome({ error: err.timeout ? 'The pattern took too long to test against your queries; simplify it before running the analysis.' : err.message });
+        });
+    }, REGEX_TESTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [pattern, flags, validation, sample]);
+
+  if (!pattern) return null;
+  if (!validation.valid) return <p className="mt-2 text-sm text-red-600">{sanitize(validation.message)}</p>;
+  if (!sample.length) return <p className="mt-2 text-sm text-gray-500">The pattern is valid. Upload a file to test it against your queries.</p>;
+  if (outcome.error) return <p className="mt-2 text-sm text-red-600">{sanitize(outcome.error)}</p>;
+  if (outcome.running) return <p className="mt-2 text-sm text-gray-500">Testing against the top {sample.length} queries…</p>;
+
+  const renderList = (title, items, className) => (
+    <div className={`p-2 rounded border ${className}`}>
+      <h5 className="text-sm font-medium mb-1">{title} ({items.length})</h5>
+      <ul className="text-sm space-y-1">
+        {items.slice(0, REGEX_TESTER_SHOWN).map((item) => (
+          <li key={item.key || item.query} className="flex justify-between gap-2">
+            <span className="truncate">{sanitize(item.query)}</span>
+            <span className="text-xs text-gray-500 whitespace-nowrap">{sanitize(item.clicks)} clicks</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  return (
+    <div className="mt-2">
+      <p className="text-xs text-gray-500 mb-1">Tested against the top {sample.length} queries by clicks</p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        {renderList('Matching', outcome.matching, 'bg-blue-50')}
+        {renderList('Not matching', outcome.nonMatching, 'bg-gray-50')}
+      </div>
+    </div>
+  );
+};
+
+// Segments Component: segments in priority order, each with its own rules. The own-brand
+// segment can't be removed and the fallback segment always comes last.
+export const SegmentsComponent = ({ segments, onChange, ruleStats, customRegexActive }) => {
+  const [template, setTemplate] = useState(SEGMENT_TEMPLATES[0].id);
+  const ruleSegments = segments.filter(({ id }) => id !== FALLBACK_SEGMENT);
+  const fallback = segments.find(({ id }) => id === FALLBACK_SEGMENT);
+
+  const updateSegment = (id, fields) => onChange(segments.map((segment) => (segment.id === id ? { ...segment, ...fields } : segment)));
+  const removeSegment = (id) => onChange(segments.filter((segment) => segment.id !== id));
+  const moveSegment = (index, offset) => {
+    const next = [...ruleSegments];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange([...next, fallback]);
+  };
+  const addSegment = () => onChange([...ruleSegments, createSegment(template, segments), fallback]);
+
+  const segmentHeader = (segment) => (
+    <div className="flex flex-wrap items-center gap-2 mb-2">
+      <input type="color" value={segment.color} onChange={(e) => updateSegment(segment.id, { color: e.target.value })} className="w-8 h-8 border rounded" title="Segment color" />
+      <input
+        type="text"
+        value={segment.name}
+        onChange={(e) => updateSegment(segment.id, { name: e.target.value })}
+        className="flex-1 min-w-[10rem] p-2 border rounded font-medium"
+        placeholder="Segment name"
+      />
+    </div>
+  );
+
+  return (
+    <div className="mb-4">
+      <label className="block mb-1 font-medium">Segments</label>
+      <p className="text-xs text-gray-500 mb-2">
+        Each query goes to the first segment, from the top, whose rules match it. Queries no segment matches go to the last one.
+      </p>
+      {ruleSegments.map((segment, index) => (
+        <div key={segment.id} className="mb-3 p-3 bg-white rounded border-l-4" style={{ borderLeftColor: segment.color }}>
+          <div className="flex items-start gap-2">
+            <div className="flex-1">{segmentHeader(segment)}</div>
+            <button onClick={() => moveSegment(index, -1)} disabled={index === 0} className="px-2 py-1 border rounded disabled:opacity-30" title="Higher priority">↑</button>
+            <button onClick={() => moveSegment(index, 1)} disabled={index === ruleSegments.length - 1} className="px-2 py-1 border rounded disabled:opacity-30" title="Lower priority">↓</button>
+            {segment.id !== BRANDED_SEGMENT && (
+              <button onClick={() => removeSegment(segment.id)} className="px-2 py-1 text-red-600 hover:bg-red-50 rounded" title="Remove segment">✕</button>
+            )}
+          </div>
+          <BrandRulesComponent
+            rules={segment.rules}
+            onChange={(rules) => updateSegment(segment.id, { rules })}
+            ruleStats={ruleStats}
+            disabled={segment.id === BRANDED_SEGMENT && customRegexActive}
+            title={segment.id === BRANDED_SEGMENT ? 'Brand Rules' : 'Rules'}
+          />
+        </div>
+      ))}
+      {fallback && (
+        <div className="mb-3 p-3 bg-white rounded border-l-4" style={{ borderLeftColor: fallback.color }}>
+          {segmentHeader(fallback)}
+          <p className="text-xs text-gray-500">Every query that no segment above matches.</p>
+        </div>
+      )}
+      <div className="flex flex-wrap gap-2">
+        <select value={template} onChange={(e) => setTemplate(e.target.value)} className="p-1 border rounded text-sm">
+          {SEGMENT_TEMPLATES.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+        </select>
+        <button onClick={addSegment} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm">Add segment</button>
+      </div>
+    </div>
+  );
+};
+
+// Brand Term Suggestions Component: mines the loaded data for brand term candidates and
+// adds the accepted ones to the own-brand segment as whole-word include rules
+export const BrandTermSuggestionsComponent = ({ onSuggest, segments, onChange, setError }) => {
+  const [suggestions, setSuggestions] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const branded = segments.find(({ id }) => id === BRANDED_SEGMENT);
+  const existing = new Set((branded?.rules || []).map(({ term }) => String(term || '').trim().toLowerCase()));
+  const candidates = (suggestions || []).filter(({ term }) => !existing.has(term));
+
+  const suggest = async () => {
+    setLoading(true);
+    try {
+      const next = await onSuggest();
+      setSuggestions(next);
+      setSelected([]);
+    } catch (err) {
+      setError(err.message || 'Could not suggest brand terms');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggle = (term) => setSelected(selected.includes(term) ? selected.filter((item) => item !== term) : [...selected, term]);
+
+  const accept = () => {
+    const rules = selected.map((term) => createRule({ term }));
+    onChange(segments.map((segment) => (segment.id === BRANDED_SEGMENT ? { ...segment, rules: [...segment.rules, ...rules] } : segment)));
+    setSelected([]);
+  };
+
+  return (
+    <div className="mb-4">
+      <button onClick={suggest} disabled={!onSuggest || loading} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm disabled:bg-gray-400">
+        {loading ? 'Looking for brand terms...' : 'Suggest brand terms'}
+      </button>
+      {!onSuggest && <span className="ml-2 text-xs text-gray-500">Upload data to get suggestions.</span>}
+      {suggestions && (
+        <div className="mt-2 p-3 bg-white rounded border">
+          {candidates.length === 0 ? (
+            <p className="text-sm text-gray-500">No new candidates found. The site hostname and queries landing on the homepage or About pages are already covered.</p>
+          ) : (
+            <>
+              <p className="text-xs text-gray-500 mb-2">
+                Candidates from the site hostname and from words that recur in high-CTR, top-2 queries landing on the homepage or About pages. Coverage is the share of all clicks whose query contains the term as a word.
+              </p>
+              <table className="w-full text-sm border-collapse mb-2">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="p-2 border"></th>
+                    <th className="p-2 border text-left">Term</th>
+                    <th className="p-2 border text-left">Found in</th>
+                    <th className="p-2 border text-right">Queries</th>
+                    <th className="p-2 border text-right">Clicks</th>
+                    <th className="p-2 border text-right">Click Coverage</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {candidates.map(({ term, source, queries, clicks, coverage }) => (
+                    <tr key={term}>
+                      <td className="p-2 border text-center">
+                        <input type="checkbox" checked={selected.includes(term)} onChange={() => toggle(term)} aria-label={`Accept ${term}`} />
+                      </td>
+                      <td className="p-2 border font-medium">{sanitize(term)}</td>
+                      <td className="p-2 border text-gray-600">{sanitize(DISCOVERY_SOURCES[source] || source)}</td>
+                      <td className="p-2 border text-right">{sanitize(queries.toLocaleString())}</td>
+                      <td className="p-2 border text-right">{sanitize(clicks.toLocaleString())}</td>
+                      <td className="p-2 border text-right">{sanitize(coverage.toFixed(1))}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button onClick={accept} disabled={!selected.length} className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 text-sm disabled:bg-gray-400">
+                Add {sanitize(selected.length || '')} selected to brand rules
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Overrides Component: the manual reclassifications, which win over every rule. Overrides
+// for a segment that has since been removed are kept but have no effect.
+export const OverridesComponent = ({ overrides, segments, onReclassify, onRemove, onClear, onExport }) => {
+  const segmentOf = (id) => segments.find((segment) => segment.id === id);
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+        <h3 className="font-medium">Manual Overrides ({sanitize(overrides.length)})</h3>
+        {overrides.length > 0 && (
+          <div className="flex gap-2">
+            <button onClick={onExport} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm">Export overrides</button>
+            <button onClick={onClear} className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 text-sm">Clear all</button>
+          </div>
+        )}
+      </div>
+      {overrides.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No overrides yet. Reclassify a query from the Queries or Data Quality tab to pin it to a segment regardless of the rules.
+        </p>
+      ) : (
+        <div className="max-h-72 overflow-y-auto">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="p-2 border text-left">Query</th>
+                <th className="p-2 border text-left">Segment</th>
+                <th className="p-2 border text-left">Added</th>
+                <th className="p-2 border"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {overrides.map((override) => (
+                <tr key={override.query} className="bg-white">
+                  <td className="p-2 border">{sanitize(override.query)}</td>
+                  <td className="p-2 border">
+                    <select value={override.segment} onChange={(e) => onReclassify(override.query, e.target.value)} className="p-1 border rounded text-sm">
+                      {!segmentOf(override.segment) && <option value={override.segment}>Removed segment</option>}
+                      {segments.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+                    </select>
+                  </td>
+                  <td className="p-2 border text-gray-500">{sanitize(override.createdAt ? new Date(override.createdAt).toLocaleDateString() : '')}</td>
+                  <td className="p-2 border text-center">
+                    <button onClick={() => onRemove(override.query)} className="text-red-600 hover:text-red-800" title="Remove override">✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Topic Clusters Component: queries of one segment grouped into topics on demand. The
+// clustering runs in the analysis worker, on the queries of the last analysis.
+const TOPIC_ROWS = 25;
+const TOPIC_QUERIES_SHOWN = 20;
+
+export const TopicClustersComponent = ({ segments, topicClusters, onCluster, onExport }) => {
+  const [segment, setSegment] = useState(topicClusters?.segment || FALLBACK_SEGMENT);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const findTopics = async () => {
+    setLoading(true);
+    setExpanded(null);
+    await onCluster(segment);
+    setLoading(false);
+  };
+  const clusters = topicClusters?.clusters || [];
+  const shown = showAll ? clusters : clusters.slice(0, TOPIC_ROWS);
+  const segmentName = segments.find(({ id }) => id === topicClusters?.segment)?.name || '';
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+        <h3 className="font-medium">Topics</h3>
+        <div className="flex flex-wrap gap-2">
+          <select value={segment} onChange={(e) => setSegment(e.target.value)} className="p-1 border rounded text-sm">
+            {segments.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+          </select>
+          <button onClick={findTopics} disabled={loading || !onCluster} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 text-sm">
+            {loading ? 'Clustering...' : 'Find topics'}
+          </button>
+          {clusters.length > 0 && (
+            <button onClick={onExport} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm">Export topics</button>
+          )}
+        </div>
+      </div>
+      {!topicClusters ? (
+        <p className="text-sm text-gray-500">
+          Groups a segment&apos;s queries into topics by the words and word pairs they share, labelled with their dominant terms.
+        </p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600 mb-2">
+            {sanitize(clusters.length)} topics in {sanitize(segmentName)};{' '}
+            {sanitize(topicClusters.unclustered.queries.length)} queries ({sanitize(topicClusters.unclustered.clicks)} clicks) share no topic.
+          </p>
+          {clusters.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="p-2 border text-left">Topic</th>
+                    <th className="p-2 border text-right">Queries</th>
+                    <th className="p-2 border text-right">Clicks</th>
+                    <th className="p-2 border text-right">Impressions</th>
+                    <th className="p-2 border text-right">CTR</th>
+                    <th className="p-2 border text-right">Weighted Position</th>
+                    <th className="p-2 border text-left">Landing Paths</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.map((cluster) => (
+                    <React.Fragment key={cluster.label}>
+                      <tr className="bg-white cursor-pointer hover:bg-gray-50" onClick={() => setExpanded(expanded === cluster.label ? null : cluster.label)}>
+                        <td className="p-2 border">
+                          <span className="font-medium">{sanitize(cluster.label)}</span>
+                          {cluster.terms.length > 1 && <span className="ml-2 text-xs text-gray-500">{sanitize(cluster.terms.slice(1).join(', '))}</span>}
+                        </td>
+                        <td className="p-2 border text-right">{sanitize(cluster.queries.length)}</td>
+                        <td className="p-2 border text-right">{sanitize(cluster.clicks)}</td>
+                        <td className="p-2 border text-right">{sanitize(cluster.impressions)}</td>
+                        <td className="p-2 border text-right">{sanitize((cluster.ctr * 100).toFixed(1))}%</td>
+                        <td className="p-2 border text-right">{sanitize(cluster.avgPosition.toFixed(1))}</td>
+                        <td className="p-2 border text-xs">{sanitize(cluster.paths.map(({ path }) => path).join(', ') || 'N/A')}</td>
+                      </tr>
+                      {expanded === cluster.label && (
+                        <tr>
+                          <td colSpan="7" className="p-2 border bg-gray-50">
+                            <ul className="list-disc list-inside text-xs">
+                              {cluster.queries.slice(0, TOPIC_QUERIES_SHOWN).map((query) => <li key={query}>{sanitize(query)}</li>)}
+                            </ul>
+                            {cluster.queries.length > TOPIC_QUERIES_SHOWN && (
+                              <p className="text-xs text-gray-500 mt-1">…and {sanitize(cluster.queries.length - TOPIC_QUERIES_SHOWN)} more in the export.</p>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+              {clusters.length > TOPIC_ROWS && (
+                <button onClick={() => setShowAll(!showAll)} className="mt-2 text-sm text-blue-600 hover:text-blue-800">
+                  {showAll ? 'Show fewer' : `Show all ${clusters.length} topics`}
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// Content Types Component: the ordered content-type rules and the fallback type
+export const ContentTypesComponent = ({ taxonomy, onChange }) => {
+  const { rules, fallback } = taxonomy;
+  const updateRules = (next) => onChange({ ...taxonomy, rules: next });
+  const updateRule = (id, fields) => updateRules(rules.map((rule) => (rule.id === id ? { ...rule, ...fields } : rule)));
+  const moveRule = (index, offset) => {
+    const next = [...rules];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    updateRules(next);
+  };
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+        <h3 className="font-medium">Content Types</h3>
+        <button onClick={() => onChange(DEFAULT_CONTENT_TYPES)} className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 text-sm">Reset to defaults</button>
+      </div>
+      {rules.map((rule, index) => {
+        const error = contentTypeRuleError(rule);
+        return (
+          <div key={rule.id} className="flex flex-wrap items-center gap-2 mb-2">
+            <span className="w-6 text-sm text-gray-500 text-right">{index + 1}.</span>
+            <input
+              type="text"
+              value={rule.type}
+              onChange={(e) => updateRule(rule.id, { type: e.target.value })}
+              className="w-36 p-2 border rounded"
+              placeholder="Type, e.g. Blog"
+            />
+            <select value={rule.match} onChange={(e) => updateRule(rule.id, { match: e.target.value })} className="p-2 border rounded">
+              {CONTENT_TYPE_MATCHES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            <input
+              type="text"
+              value={rule.pattern}
+              onChange={(e) => updateRule(rule.id, { pattern: e.target.value })}
+              className={`flex-1 min-w-[10rem] p-2 border rounded ${error ? 'border-red-400' : ''}`}
+              placeholder={rule.match === 'contains' ? 'e.g. docs.' : rule.match === 'regex' ? 'e.g. ^/[0-9]{4}/' : 'e.g. /blog'}
+              title={error || ''}
+            />
+            <button onClick={() => moveRule(index, -1)} disabled={index === 0} className="px-2 py-1 text-gray-600 hover:bg-gray-200 rounded disabled:opacity-30" title="Check earlier">↑</button>
+            <button onClick={() => moveRule(index, 1)} disabled={index === rules.length - 1} className="px-2 py-1 text-gray-600 hover:bg-gray-200 rounded disabled:opacity-30" title="Check later">↓</button>
+            <button onClick={() => updateRules(rules.filter(({ id }) => id !== rule.id))} className="px-2 py-1 text-red-600 hover:bg-red-50 rounded" title="Remove rule">✕</button>
+            {error && rule.pattern && <span className="w-full ml-8 text-xs text-red-600">{sanitize(error)}; this rule is skipped.</span>}
+          </div>
+        );
+      })}
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        <button onClick={() => updateRules([...rules, createContentTypeRule()])} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm">Add rule</button>
+        <label className="flex items-center gap-2 text-sm">
+          <span>Pages no rule matches:</span>
+          <input
+            type="text"
+            value={fallback}
+            onChange={(e) => onChange({ ...taxonomy, fallback: e.target.value })}
+            className="w-32 p-1 border rounded"
+          />
+        </label>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Rules are checked from the top and the first match sets the type. Path prefixes and regexes see the path without its
+        language code (&quot;/&quot; for the homepage); a prefix matches whole segments, so /blog covers /blog/post but not /blogger.
+        &quot;URL contains&quot; checks the full URL, including the host.
+      </p>
+    </div>
+  );
+};
+
+// Site Groups Component: named groups of hosts that are reported together as one site.
+// `hosts` are the hosts found by the last analysis, to show which ones no group covers yet.
+export const SiteGroupsComponent = ({ groups, onChange, hosts = [] }) => {
+  const updateGroup = (id, fields) => onChange(groups.map((group) => (group.id === id ? { ...group, ...fields } : group)));
+  const { siteOf } = compileSiteGroups(groups);
+  const ungrouped = hosts.filter((host) => siteOf(host) === host);
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded">
+      <h3 className="font-medium mb-2">Sites</h3>
+      {groups.map((group) => (
+        <div key={group.id} className="flex flex-wrap items-start gap-2 mb-2">
+          <input
+            type="text"
+            value={group.name}
+            onChange={(e) => updateGroup(group.id, { name: e.target.value })}
+            className="w-40 p-2 border rounded"
+            placeholder="Site name"
+          />
+          <textarea
+            key={group.hosts.join(',')}
+            defaultValue={group.hosts.join(', ')}
+            onBlur={(e) => updateGroup(group.id, { hosts: parseHostPatterns(e.target.value) })}
+            rows={2}
+            className="flex-1 min-w-[12rem] p-2 border rounded text-sm"
+            placeholder="e.g. acme.co.uk, *.acme.co.uk"
+          />
+          <button onClick={() => onChange(groups.filter(({ id }) => id !== group.id))} className="px-2 py-1 text-red-600 hover:bg-red-50 rounded" title="Remove site">✕</button>
+        </div>
+      ))}
+      <button onClick={() => onChange([...groups, createSiteGroup()])} className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm">Add site</button>
+      {ungrouped.length > 0 && (
+        <p className="text-sm mt-2">
+          <span className="text-gray-600">Hosts in no site:</span> {sanitize(ungrouped.join(', '))}
+        </p>
+      )}
+      <p className="text-xs text-gray-500 mt-2">
+        Comma-separated hosts; *.acme.com covers every subdomain of acme.com but not acme.com itself. A host belongs to the first
+        site listing it, and hosts no site lists are reported as sites of their own.
+      </p>
+    </div>
+  );
+};
+
+// Intent Modifiers Component: the editable modifier dictionaries, one language at a time.
+// Textareas commit on blur so a half-typed list isn't re-parsed on every keystroke.
+export const IntentModifiersComponent = ({ modifiers, onChange }) => {
+  const [language, setLanguage] = useState(INTENT_LANGUAGES[0].id);
+  // Bumped on reset so the uncontrolled textareas pick up the defaults
+  const [revision, setRevision] = useState(0);
+  const dictionary = modifiers[language] || {};
+  const updateIntent = (intent, text) => {
+    const list = text.split(/[,\n]/).map((modifier) => modifier.trim()).filter(Boolean);
+    onChange({ ...modifiers, [language]: { ...dictionary, [intent]: list } });
+  };
+  const resetLanguage = () => {
+    onChange({ ...modifiers, [language]: DEFAULT_INTENT_MODIFIERS[language] });
+    setRevision(revision + 1);
+  };
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+        <h3 className="font-medium">Search Intent Modifiers</h3>
+        <div className="flex gap-2">
+          <select value={language} onChange={(e) => setLanguage(e.target.value)} className="p-1 border rounded text-sm">
+            {INTENT_LANGUAGES.map(({ id, label }) => <option key={id} value={id}>{label} ({id})</option>)}
+          </select>
+          <button onClick={resetLanguage} className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 text-sm">Reset to defaults</button>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-2">
+        Comma-separated words or phrases; end one with * to match any word starting with it. Queries use their URL language&apos;s
+        list plus English, or every list when the language is unknown. Own-brand queries that name a site section are navigational.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {INTENTS.map(({ id, label, color }) => (
+          <label key={`${language}-${id}-${revision}`} className="block text-sm">
+            <span className="font-medium" style={{ color }}>{label}</span>
+            <textarea
+              defaultValue={(dictionary[id] || []).join(', ')}
+              onBlur={(e) => updateIntent(id, e.target.value)}
+              rows={3}
+              className="w-full p-2 border rounded text-sm"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Intent Breakdown Component: each segment's clicks split by search intent
+export const IntentBreakdownComponent = ({ segments }) => {
+  const intents = [...INTENTS, UNKNOWN_INTENT];
+  const withIntents = segments.filter((segment) => segment.intents);
+  if (!withIntents.length) return null;
+  const chartData = withIntents.map(({ name, intents: breakdown }) => ({
+    name,
+    ...Object.fromEntries(breakdown.map(({ id, share }) => [id, Number(share.toFixed(1))])),
+  }));
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded">
+      <h3 className="font-medium mb-3">Search Intent by Segment</h3>
+      <ResponsiveContainer width="100%" height={60 + withIntents.length * 40}>
+        <BarChart data={chartData} layout="vertical">
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" domain={[0, 100]} unit="%" />
+          <YAxis type="category" dataKey="name" width={120} />
+          <Tooltip formatter={(value, name) => [`${sanitize(value)}%`, sanitize(name)]} />
+          <Legend />
+          {intents.map(({ id, label, color }) => <Bar key={id} dataKey={id} stackId="intent" fill={color} name={label} />)}
+        </BarChart>
+      </ResponsiveContainer>
+      <table className="w-full text-sm border-collapse mt-3">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="p-2 border text-left">Segment</th>
+            {intents.map(({ id, label }) => <th key={id} className="p-2 border text-right">{label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {withIntents.map(({ id, name, color, intents: breakdown }) => (
+            <tr key={id} className="bg-white">
+              <td className="p-2 border" style={{ color }}>{sanitize(name)}</td>
+              {breakdown.map((intent) => (
+                <td key={intent.id} className="p-2 border text-right" title={`${sanitize(intent.queries)} queries, ${sanitize(intent.impressions)} impressions`}>
+                  {sanitize(intent.clicks)} <span className="text-gray-500">({sanitize(intent.share.toFixed(1))}%)</span>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mt-2">Clicks per intent, with the share of the segment&apos;s clicks. Hover a cell for query and impression counts.</p>
     </div>
   );
 };
 
 // Configuration Component
 export const ConfigurationComponent = ({
-  brandTerms,
-  setBrandTerms,
+  segments,
+  setSegments,
+  ruleStats,
+  sampleQueries,
   useCustomRegex,
   setUseCustomRegex,
   customRegex,
   setCustomRegex,
   caseSensitive,
   setCaseSensitive,
+  fuzzyMatching,
+  setFuzzyMatching,
+  fuzzyTolerance,
+  setFuzzyTolerance,
+  normalization,
+  setNormalization,
   detectLanguageCodes,
   setDetectLanguageCodes,
+  localeSources,
+  setLocaleSources,
+  localeAliases,
+  setLocaleAliases,
+  pathLevel,
+  setPathLevel,
+  onSuggestTerms,
+  setError,
 }) => {
   return (
     <div className="mb-6 p-4 bg-gray-50 rounded">
       <h3 className="font-medium mb-3">Configuration</h3>
-      <div className="mb-4">
-        <label className="block mb-2 font-medium">Brand Terms</label>
-        <input
-          type="text"
-          value={brandTerms}
-          onChange={(e) => setBrandTerms(e.target.value)}
-          className="w-full p-2 border rounded"
-          placeholder="Enter all brand name variations, separating them with commas"
-        />
-      </div>
+      <SegmentsComponent segments={segments} onChange={setSegments} ruleStats={ruleStats} customRegexActive={useCustomRegex && Boolean(customRegex)} />
+      <BrandTermSuggestionsComponent onSuggest={onSuggestTerms} segments={segments} onChange={setSegments} setError={setError} />
       <label className="flex items-center mb-2">
         <input type="checkbox" checked={useCustomRegex} onChange={(e) => setUseCustomRegex(e.target.checked)} className="mr-2" />
         <span>Use Custom Regex</span>
@@ -138,28 +1198,452 @@ export const ConfigurationComponent = ({
             onChange={(e) => setCustomRegex(e.target.value)}
             className="w-full p-2 border rounded"
           />
+          <RegexTesterComponent pattern={customRegex} caseSensitive={caseSensitive} queries={sampleQueries} />
+        </div>
+      )}
+      <label className="flex items-center mb-2">
+        <input type="checkbox" checked={caseSensitive} onChange={(e) => setCaseSensitive(e.target.checked)} className="mr-2" />
+        <span>Case Sensitive Matching</span>
+      </label>
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <label className="flex items-center">
+          <input type="checkbox" checked={fuzzyMatching} onChange={(e) => setFuzzyMatching(e.target.checked)} className="mr-2" />
+          <span>Fuzzy Matching (typos, spacing and hyphen variants)</span>
+        </label>
+        {fuzzyMatching && (
+          <select value={fuzzyTolerance} onChange={(e) => setFuzzyTolerance(Number(e.target.value))} className="p-1 border rounded text-sm">
+            <option value={1}>Up to 1 edit</option>
+            <option value={2}>Up to 2 edits</option>
+            <option value={3}>Up to 3 edits</option>
+          </select>
+        )}
+      </div>
+      {fuzzyMatching && (
+        <p className="text-xs text-gray-500 mb-2">
+          Include rules also match terms within the chosen number of edits. Terms of up to 4 characters still match exactly; 5 to 8 characters allow one edit, 9 to 12 two, and so on.
+        </p>
+      )}
+      <div className="mb-2">
+        <span className="block mb-1 font-medium">Text Normalization</span>
+        <p className="text-xs text-gray-500 mb-1">Applied to both queries and brand terms before matching.</p>
+        {NORMALIZATION_STEPS.map(({ id, label, description }) => (
+          <label key={id} className="flex items-center mb-1" title={description}>
+            <input
+              type="checkbox"
+              checked={Boolean(normalization[id])}
+              onChange={(e) => setNormalization({ ...normalization, [id]: e.target.checked })}
+              className="mr-2"
+            />
+            <span>{label}</span>
+            <span className="ml-2 text-xs text-gray-500">{description}</span>
+          </label>
+        ))}
+      </div>
+      <label className="flex items-center mb-2">
+        <input
+          type="checkbox"
+          checked={detectLanguageCodes}
+          onChange={(e) => setDetectLanguageCodes(e.target.checked)}
+          className="mr-2"
+        />
+        <span>Detect Language Codes in URLs</span>
+      </label>
+      {detectLanguageCodes && <LocaleSourcesComponent sources={localeSources} onChange={setLocaleSources} aliases={localeAliases} onAliasesChange={setLocaleAliases} />}
+      <div className="mb-4">
+        <label className="block mb-2 font-medium">Path Analysis Level</label>
+        <select className="w-full p-2 border rounded" value={pathLevel} onChange={(e) => setPathLevel(e.target.value)}>
+          {PATH_LEVELS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">Sets the rows of the URL Analysis table and chart; any path can still be drilled into down to its URLs.</p>
+      </div>
+    </div>
+  );
+};
+
+// Where page locales are read from, in order of precedence, and the tokens read as a
+// different locale than their code. The alias field commits on blur.
+const LocaleSourcesComponent = ({ sources, onChange, aliases, onAliasesChange }) => {
+  const update = (id, fields) => onChange(sources.map((source) => (source.id === id ? { ...source, ...fields } : source)));
+  const move = (index, offset) => {
+    const next = [...sources];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+  return (
+    <div className="mb-4 ml-6">
+      {sources.map((source, index) => {
+        const { label, example } = LOCALE_SOURCES.find(({ id }) => id === source.id);
+        return (
+          <div key={source.id} className="flex items-center gap-2 mb-1">
+            <span className="w-6 text-sm text-gray-500 text-right">{index + 1}.</span>
+            <label className="flex items-center flex-1">
+              <input type="checkbox" checked={source.enabled} onChange={(e) => update(source.id, { enabled: e.target.checked })} className="mr-2" />
+              <span>{label}</span>
+              <span className="ml-2 text-xs text-gray-500">{example}</span>
+            </label>
+            <button onClick={() => move(index, -1)} disabled={index === 0} className="px-2 py-1 text-gray-600 hover:bg-gray-200 rounded disabled:opacity-30" title="Check earlier">↑</button>
+            <button onClick={() => move(index, 1)} disabled={index === sources.length - 1} className="px-2 py-1 text-gray-600 hover:bg-gray-200 rounded disabled:opacity-30" title="Check later">↓</button>
+          </div>
+        );
+      })}
+      <p className="text-xs text-gray-500 mt-1">
+        The first source naming a language sets it; the region comes from the first source with a region for that language,
+        so example.ch/fr/ is read as fr-CH.
+      </p>
+      <label className="block text-sm mt-2">
+        <span>Locale aliases</span>
+        <input
+          key={formatLocaleAliases(aliases)}
+          type="text"
+          defaultValue={formatLocaleAliases(aliases)}
+          onBlur={(e) => onAliasesChange(parseLocaleAliases(e.target.value))}
+          className="w-full p-2 border rounded"
+          placeholder="e.g. uk=en-gb, gb=en-gb"
+        />
+      </label>
+      <p className="text-xs text-gray-500 mt-1">
+        Codes mean the same in every source: uk is Ukrainian in /uk/ and in uk.example.com alike. An alias such as uk=en-gb
+        reads the token as another locale in path segments, query parameters and subdomains.
+      </p>
+    </div>
+  );
+};
+
+// Filter Bar Component: the active cross-filters, shown above every tab
+export const FilterBarComponent = ({ filters, onFilterChange }) => {
+  const active = FILTER_DIMENSIONS.filter(({ id }) => filters?.[id]);
+  if (!active.length) return null;
+  return (
+    <div className="mb-4 p-3 bg-blue-50 text-sm text-blue-800 rounded flex flex-wrap items-center gap-2">
+      <span>Filtered by:</span>
+      {active.map(({ id, label }) => (
+        <button key={id} onClick={() => onFilterChange(id, null)} className="px-2 py-1 bg-white rounded border hover:bg-blue-100" title="Remove filter">
+          {label}: {sanitize(filters[id])} ✕
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Toggles a cross-filter on a dimension value from a table row
+const FilterButton = ({ dimension, value, filters, onFilterChange }) => {
+  if (!onFilterChange || !value) return null;
+  const selected = filters?.[dimension] === value;
+  return (
+    <button
+      className={`text-sm ${selected ? 'text-red-600 hover:text-red-800' : 'text-blue-600 hover:text-blue-800'}`}
+      onClick={() => onFilterChange(dimension, selected ? null : value)}
+    >
+      {selected ? 'Clear filter' : 'Filter'}
+    </button>
+  );
+};
+
+// Moves a query to another segment as a manual override
+const ReclassifyControl = ({ query, category, overridden, segments, onReclassify }) => {
+  if (!onReclassify || !query) return null;
+  return (
+    <span className="inline-flex items-center gap-1">
+      {overridden && <span className="text-xs bg-purple-100 text-purple-800 px-2 py-0.5 rounded" title="Classified by a manual override">manual</span>}
+      <select
+        value=""
+        onChange={(e) => e.target.value && onReclassify(query, e.target.value)}
+        className="text-xs p-0.5 border rounded bg-white"
+        title="Reclassify this query"
+      >
+        <option value="">Reclassify as…</option>
+        {segments.filter(({ id }) => id !== category).map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+      </select>
+    </span>
+  );
+};
+
+// Change against the comparison period. CTR and shares move in percentage points, and
+// a lower average position is an improvement.
+export const DeltaComponent = ({ delta, metric = 'clicks' }) => {
+  if (!delta) return null;
+  const { change, percent } = delta;
+  const points = metric === 'ctr' ? change * 100 : change;
+  const better = metric === 'avgPosition' ? change < 0 : change > 0;
+  const color = change === 0 ? 'text-gray-500' : better ? 'text-green-600' : 'text-red-600';
+  const sign = points > 0 ? '+' : '';
+  const value = metric === 'ctr' || metric === 'share'
+    ? `${sign}${points.toFixed(1)} pp`
+    : metric === 'avgPosition' ? `${sign}${points.toFixed(1)}` : `${sign}${Math.round(points).toLocaleString()}`;
+  const relative = percent === null ? (delta.current ? 'new' : '—') : `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+  return <span className={`block text-xs ${color}`}>{sanitize(value)} ({sanitize(relative)})</span>;
+};
+
+const COMPARISON_ROWS = [
+  { metric: 'rows', label: 'Queries' },
+  { metric: 'clicks', label: 'Clicks' },
+  { metric: 'impressions', label: 'Impressions' },
+  { metric: 'ctr', label: 'CTR' },
+  { metric: 'avgPosition', label: 'Avg Position' },
+];
+
+const formatComparedValue = (metric, value) => {
+  if (metric === 'ctr') return `${((value || 0) * 100).toFixed(1)}%`;
+  if (metric === 'avgPosition') return (value || 0).toFixed(1);
+  return (value || 0).toLocaleString();
+};
+
+// Comparison Component: one column group per segment, in segment order
+export const ComparisonComponent = ({ comparison, segmentDefinitions = DEFAULT_SEGMENTS, dateRange, onExport }) => {
+  const [moverLimit, setMoverLimit] = useState(10);
+
+  if (!comparison) {
+    return (
+      <div>
+        <h2 className="text-xl font-semibold mb-4">Period Comparison</h2>
+        <p className="text-sm text-gray-500">Upload a comparison dataset on the Configuration tab to compare two periods.</p>
+      </div>
+    );
+  }
+
+  const comparedSegments = segmentDefinitions.filter(({ id }) => comparison.segments[id]);
+
+  const queryTable = (entries, valueKey, title, color) => (
+    <div className="p-4 bg-gray-50 rounded">
+      <h3 className={`font-medium mb-3 ${color}`}>{title} ({sanitize(entries.length)})</h3>
+      {entries.length > 0 ? (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="p-2 text-left">Query</th>
+              <th className="p-2 text-right">Clicks</th>
+              <th className="p-2 text-right">Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.slice(0, moverLimit).map(entry => (
+              <tr key={entry.key} className="border-b">
+                <td className="p-2">{sanitize(entry.key)}</td>
+                <td className="p-2 text-right">{sanitize((entry.deltas.clicks[valueKey] || 0).toLocaleString())}</td>
+                <td className="p-2 text-right"><DeltaComponent delta={entry.deltas.clicks} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-sm text-gray-500">None.</p>
+      )}
+    </div>
+  );
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold mb-4">Period Comparison</h2>
+      {dateRange && (
+        <div className="mb-4 p-3 bg-yellow-50 text-sm text-yellow-800 rounded">
+          The date range only applies to the current dataset; the comparison dataset is used in full.
+        </div>
+      )}
+      <div className="mb-4 flex flex-wrap gap-4">
+        <div className="flex items-center">
+          <label className="mr-2 font-medium">Show queries:</label>
+          <select className="p-2 border rounded" value={moverLimit} onChange={(e) => setMoverLimit(parseInt(e.target.value, 10))}>
+            <option value="10">Top 10</option>
+            <option value="25">Top 25</option>
+            <option value="100">Top 100</option>
+          </select>
+        </div>
+        <button onClick={onExport} className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">Export Comparison</button>
+      </div>
+      <div className="mb-6 overflow-x-auto">
+        <table className="min-w-full bg-white border text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="p-2 border text-left">Metric</th>
+              {comparedSegments.map(({ id, name }) => (
+                <React.Fragment key={id}>
+                  <th className="p-2 border text-right">{sanitize(name)} (current)</th>
+                  <th className="p-2 border text-right">{sanitize(name)} (previous)</th>
+                  <th className="p-2 border text-right">Change</th>
+                </React.Fragment>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {COMPARISON_ROWS.map(({ metric, label }) => (
+              <tr key={metric}>
+                <td className="p-2 border font-medium">{label}</td>
+                {comparedSegments.map(({ id: segment }) => (
+                  <React.Fragment key={segment}>
+                    <td className="p-2 border text-right">{sanitize(formatComparedValue(metric, comparison.segments[segment][metric].current))}</td>
+                    <td className="p-2 border text-right">{sanitize(formatComparedValue(metric, comparison.segments[segment][metric].previous))}</td>
+                    <td className="p-2 border text-right"><DeltaComponent delta={comparison.segments[segment][metric]} metric={metric} /></td>
+                  </React.Fragment>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mb-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+        {queryTable(comparison.winners, 'current', 'Winners', 'text-green-600')}
+        {queryTable(comparison.losers, 'current', 'Losers', 'text-red-600')}
+        {queryTable(comparison.newQueries, 'current', 'New Queries', 'text-blue-600')}
+        {queryTable(comparison.lostQueries, 'previous', 'Lost Queries', 'text-gray-600')}
+      </div>
+    </div>
+  );
+};
+
+// Series that aren't query segments
+const SERIES_LABELS = { total: 'Total', unclassified: 'All Traffic' };
+const SERIES_COLOR = '#8884d8';
+const ROLLING_WINDOWS = [0, 3, 7, 28];
+
+// Trends Component
+export const TrendsComponent = ({ timeSeries, segmentDefinitions = DEFAULT_SEGMENTS, dateRange, onDateRangeChange }) => {
+  const [granularity, setGranularity] = useState('day');
+  const [metric, setMetric] = useState('clicks');
+  const [rollingWindow, setRollingWindow] = useState(0);
+  const [selection, setSelection] = useState(null);
+
+  const field = TREND_METRICS.find(m => m.id === metric).field;
+  // Segment ids present in the series, in segment priority order
+  const segments = useMemo(() => {
+    const ids = new Set();
+    timeSeries.forEach(day => Object.keys(day.segments).forEach(segment => ids.add(segment)));
+    const order = segmentDefinitions.map(({ id }) => id);
+    const rank = (id) => (order.includes(id) ? order.indexOf(id) : order.length);
+    return [...ids].sort((a, b) => rank(a) - rank(b));
+  }, [timeSeries, segmentDefinitions]);
+  const labelOf = (segment) => segmentDefinitions.find(({ id }) => id === segment)?.name || SERIES_LABELS[segment] || segment;
+  const colorOf = (segment) => segmentDefinitions.find(({ id }) => id === segment)?.color || SERIES_COLOR;
+
+  const rows = useMemo(() => {
+    const buckets = bucketTimeSeries(timeSeries, granularity);
+    return rollingWindow > 1 ? addRollingAverage(buckets, segments.map(segment => `${segment}${field}`), rollingWindow) : buckets;
+  }, [timeSeries, granularity, rollingWindow, segments, field]);
+
+  // The brush starts on the applied date range, if any
+  const appliedIndexes = useMemo(() => {
+    if (!dateRange || !rows.length) return { startIndex: 0, endIndex: Math.max(0, rows.length - 1) };
+    const startIndex = rows.findIndex(row => row.end >= dateRange.start);
+    const endIndex = rows.map(row => row.start <= dateRange.end).lastIndexOf(true);
+    return { startIndex: Math.max(0, startIndex), endIndex: endIndex < 0 ? rows.length - 1 : endIndex };
+  }, [rows, dateRange]);
+  const brush = selection || appliedIndexes;
+  const selectedRange = rows.length ? { start: rows[brush.startIndex].start, end: rows[brush.endIndex].end } : null;
+
+  const changeGranularity = (value) => {
+    setGranularity(value);
+    setSelection(null);
+  };
+
+  const formatValue = (value) => {
+    if (value === undefined || value === null) return '—';
+    if (metric === 'ctr') return `${value.toFixed(2)}%`;
+    if (metric === 'position') return value.toFixed(1);
+    return Math.round(value).toLocaleString();
+  };
+
+  if (!timeSeries.length) {
+    return (
+      <div>
+        <h2 className="text-xl font-semibold mb-4">Trends</h2>
+        <p className="text-sm text-gray-500">
+          No dates found. Export from Search Console with the Date dimension (or include the Dates sheet of the ZIP export) to see trends.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold mb-4">Trends</h2>
+      <div className="mb-4 flex flex-wrap items-center gap-4">
+        <label className="text-sm">
+          <span className="font-medium mr-2">Granularity:</span>
+          <select className="p-2 border rounded" value={granularity} onChange={(e) => changeGranularity(e.target.value)}>
+            {GRANULARITIES.map(g => (
+              <option key={g.id} value={g.id}>{g.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm">
+          <span className="font-medium mr-2">Metric:</span>
+          <select className="p-2 border rounded" value={metric} onChange={(e) => setMetric(e.target.value)}>
+            {TREND_METRICS.map(m => (
+              <option key={m.id} value={m.id}>{m.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm">
+          <span className="font-medium mr-2">Rolling average:</span>
+          <select className="p-2 border rounded" value={rollingWindow} onChange={(e) => setRollingWindow(Number(e.target.value))}>
+            {ROLLING_WINDOWS.map(window => (
+              <option key={window} value={window}>{window ? `${window} periods` : 'Off'}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {segments.includes('unclassified') && (
+        <div className="mb-4 p-3 bg-yellow-50 text-sm text-yellow-800 rounded">
+          Dates come from the Search Console Dates sheet, which has no query column, so the trend can't be split into query segments or used to filter the other tabs.
+        </div>
+      )}
+      <div className="mb-4 p-4 bg-gray-50 rounded">
+        <ResponsiveContainer width="100%" height={380}>
+          <LineChart data={rows}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="period" />
+            <YAxis reversed={metric === 'position'} />
+            <Tooltip formatter={(value) => formatValue(value)} />
+            <Legend />
+            {segments.map(segment => (
+              <Line key={segment} type="monotone" dataKey={`${segment}${field}`} stroke={colorOf(segment)} name={labelOf(segment)} dot={false} connectNulls />
+            ))}
+            {rollingWindow > 1 && segments.map(segment => (
+              <Line key={`${segment}-rolling`} type="monotone" dataKey={`${segment}${field}Rolling`} stroke={colorOf(segment)} strokeDasharray="5 5" name={`${labelOf(segment)} (${rollingWindow}-period avg)`} dot={false} connectNulls />
+            ))}
+            <Brush
+              key={`${granularity}-${rows.length}`}
+              dataKey="period"
+              height={28}
+              stroke="#8884d8"
+              startIndex={brush.startIndex}
+              endIndex={brush.endIndex}
+              onChange={({ startIndex, endIndex }) => setSelection({ startIndex, endIndex })}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      {!segments.includes('unclassified') && (
+        <div className="mb-6 flex flex-wrap items-center gap-3 text-sm">
+          <span>Selected: {sanitize(selectedRange?.start)} – {sanitize(selectedRange?.end)}</span>
+          <button onClick={() => onDateRangeChange(selectedRange)} className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">Apply range to all tabs</button>
+          {dateRange && (
+            <button onClick={() => { setSelection(null); onDateRangeChange(null); }} className="px-3 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400">Clear range</button>
+          )}
         </div>
       )}
-      <label className="flex items-center mb-2">
-        <input type="checkbox" checked={caseSensitive} onChange={(e) => setCaseSensitive(e.target.checked)} className="mr-2" />
-        <span>Case Sensitive Matching</span>
-      </label>
-      <label className="flex items-center mb-2">
-        <input
-          type="checkbox"
-          checked={detectLanguageCodes}
-          onChange={(e) => setDetectLanguageCodes(e.target.checked)}
-          className="mr-2"
-        />
-        <span>Detect Language Codes in URLs</span>
-      </label>
-      <div className="mb-4">
-        <label className="block mb-2 font-medium">Path Analysis Level</label>
-        <select className="w-full p-2 border rounded" defaultValue="primary">
-          <option value="primary">Primary Path (e.g., /blog)</option>
-          <option value="secondary">Secondary Path (e.g., /blog/category)</option>
-          <option value="full">Full Path</option>
-        </select>
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse border">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="p-2 border text-left">Period</th>
+              {segments.map(segment => (
+                <th key={segment} className="p-2 border text-right">{sanitize(labelOf(segment))}</th>
+              ))}
+              {segments.length > 1 && <th className="p-2 border text-right">Total</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.period} className="hover:bg-gray-50">
+                <td className="p-2 border">{sanitize(row.period)}</td>
+                {segments.map(segment => (
+                  <td key={segment} className="p-2 border text-right">{sanitize(formatValue(row[`${segment}${field}`]))}</td>
+                ))}
+                {segments.length > 1 && <td className="p-2 border text-right">{sanitize(formatValue(row[`total${field}`]))}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
       </div>
     </div>
   );
@@ -178,52 +1662,59 @@ export const VisualizationComponent = React.memo(({
   queryDisplayLimit,
   setQueryDisplayLimit,
   onExport,
-  onExportBranded,
-  onExportNonBranded,
+  onExportSegment,
   onExportAll,
+  onReclassify,
+  topicClusters,
+  onClusterTopics,
+  onExportTopics,
   dataQuality,
   segmentationSamples,
   setActiveTab,
+  onDateRangeChange,
+  comparison,
+  onExportComparison,
+  onFilterChange,
+  onScopeChange,
 }) => {
   const [sortConfig, setSortConfig] = useState({ key: 'sortableTotal', direction: 'desc' });
   const [showDataHealthModal, setShowDataHealthModal] = useState(false);
+  const [shareBasis, setShareBasis] = useState('queries');
+  // The path tree node the URL Analysis tab has drilled into; null lists the configured level
+  const [pathPrefix, setPathPrefix] = useState(null);
+  const [showAllPaths, setShowAllPaths] = useState(false);
+  const [contentTypeFilter, setContentTypeFilter] = useState(null);
+  const [hostGrouping, setHostGrouping] = useState('host');
+  const [languageGrouping, setLanguageGrouping] = useState('language');
+
+  // Segments in priority order, each with its metrics and queries
+  const segmentList = useMemo(() => results?.segments || DEFAULT_SEGMENTS, [results]);
 
   // Memoized data for all tabs
-  const sampleData = useMemo(() => [
-    { name: 'Branded', clicks: results.branded?.metrics?.clicks || 0, impressions: results.branded?.metrics?.impressions || 0, ctr: results.branded?.metrics?.ctr || 0, queries: results.summary?.brandedRows || 0 },
-    { name: 'Non-Branded', clicks: results.nonBranded?.metrics?.clicks || 0, impressions: results.nonBranded?.metrics?.impressions || 0, ctr: results.nonBranded?.metrics?.ctr || 0, queries: results.summary?.nonBrandedRows || 0 },
-  ], [results]);
+  const sampleData = useMemo(() => segmentList.map(({ name, color, metrics, rows }) => ({
+    name,
+    color,
+    clicks: metrics?.clicks || 0,
+    impressions: metrics?.impressions || 0,
+    ctr: metrics?.ctr || 0,
+    avgPosition: metrics?.avgPosition || 0,
+    queries: rows || 0,
+  })), [segmentList]);
 
-  const samplePieData = useMemo(() => [
-    { name: 'Branded', value: results.summary?.brandedRows || 0 },
-    { name: 'Non-Branded', value: results.summary?.nonBrandedRows || 0 },
-  ], [results]);
+  const samplePieData = useMemo(() => segmentList.map(({ name, color, rows }) => ({ name, color, value: rows || 0 })), [segmentList]);
 
   const trendData = useMemo(() => {
-    if (!results?.data || !results.data.some(row => row.date)) return [];
-    const groupedByDate = {};
-    results.data.forEach(row => {
-      if (!row.date) return;
-      const date = new Date(row.date).toISOString().split('T')[0];
-      if (!groupedByDate[date]) {
-        groupedByDate[date] = { date, brandedClicks: 0, nonBrandedClicks: 0 };
-      }
-      if (results.branded?.samples?.some(sample => sample.query === row.query)) {
-        groupedByDate[date].brandedClicks += row.clicks || 0;
-      } else {
-        groupedByDate[date].nonBrandedClicks += row.clicks || 0;
-      }
-    });
-    return Object.values(groupedByDate).sort((a, b) => new Date(a.date) - new Date(b.date));
-  }, [results]);
-
-  const topBrandedQueries = useMemo(() => {
-    return (results.branded?.samples || []).sort((a, b) => (b.clicks || 0) - (a.clicks || 0)).slice(0, 5);
+    // A Search Console Dates sheet only has totals, so it can't be split by segment
+    if (results?.dateTotals?.length && !results.trendData?.length) {
+      return results.dateTotals.map(({ date, clicks }) => ({ date, totalClicks: clicks }));
+    }
+    return results?.trendData || [];
   }, [results]);
 
-  const topNonBrandedQueries = useMemo(() => {
-    return (results.nonBranded?.samples || []).sort((a, b) => (b.clicks || 0) - (a.clicks || 0)).slice(0, 5);
-  }, [results]);
+  const topSegmentQueries = useMemo(() => Object.fromEntries(segmentList.map(({ id, queries }) => [
+    id,
+    [...(queries || [])].sort((a, b) => (b.clicks || 0) - (a.clicks || 0)).slice(0, 5),
+  ])), [segmentList]);
 
   const quickActions = useMemo(() => {
     const actions = [];
@@ -261,6 +1752,73 @@ export const VisualizationComponent = React.memo(({
     });
   };
 
+  // Adds `<segment>Share` and `<segment>Value` for every segment on the selected basis. The
+  // sample fallback rows carry no metrics breakdown, so they keep their precomputed row shares.
+  const withShares = (rows) => rows.map((row) => {
+    const next = { ...row };
+    segmentList.forEach(({ id }) => {
+      next[`${id}Share`] = row.metrics ? segmentShare(row.metrics, id, shareBasis) : row[id] || 0;
+      next[`${id}Value`] = segmentValue(row.metrics, id, shareBasis);
+    });
+    return next;
+  });
+
+  // Stacked bars and share cells, one per segment
+  const segmentBars = (suffix, label) => segmentList.map(({ id, name, color }) => (
+    <Bar key={id} dataKey={`${id}${suffix}`} stackId="a" fill={color} name={`${name}${label}`} />
+  ));
+  const segmentShareHeaders = segmentList.map(({ id, name }) => <th key={id} className="p-2 border text-right">{sanitize(name)} %</th>);
+  const segmentShareCells = (row) => segmentList.map(({ id, color }) => (
+    <td key={id} className="p-2 border text-right" style={{ backgroundColor: `${color}1A` }}>{sanitize((row[`${id}Share`] || 0).toFixed(1))}%</td>
+  ));
+
+  const shareBasisLabel = SHARE_BASES.find((b) => b.id === shareBasis)?.label || 'Query count';
+
+  const shareBasisSelector = (
+    <div className="flex items-center">
+      <label className="mr-2 font-medium">Split by:</label>
+      <select className="p-2 border rounded" value={shareBasis} onChange={(e) => setShareBasis(e.target.value)}>
+        {SHARE_BASES.map((basis) => (
+          <option key={basis.id} value={basis.id}>{basis.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  // Scopes the page-based tabs to one host or one site through the host and site filters
+  const siteGroupNames = (results?.siteData || [])
+    .filter(({ name, hosts }) => !(hosts.length === 1 && hosts[0] === name))
+    .map(({ name }) => name);
+  const hostScopeSelector = onScopeChange && results?.pageSource !== 'pagesSheet' && ((results?.hostData || []).length > 1 || siteGroupNames.length > 0) && (
+    <div className="flex items-center">
+      <label className="mr-2 font-medium">Host:</label>
+      <select
+        className="p-2 border rounded"
+        value={results.filters?.site ? `site:${results.filters.site}` : results.filters?.host ? `host:${results.filters.host}` : ''}
+        onChange={(e) => {
+          const [kind, ...name] = e.target.value.split(':');
+          onScopeChange(kind ? { [kind]: name.join(':') } : {});
+        }}
+      >
+        <option value="">All hosts</option>
+        {siteGroupNames.length > 0 && (
+          <optgroup label="Sites">
+            {siteGroupNames.map((name) => <option key={name} value={`site:${name}`}>{name}</option>)}
+          </optgroup>
+        )}
+        <optgroup label="Hosts">
+          {(results.hostData || []).map(({ name }) => <option key={name} value={`host:${name}`}>{name}</option>)}
+        </optgroup>
+      </select>
+    </div>
+  );
+
+  const pagesSheetNotice = results?.pageSource === 'pagesSheet' && (
+    <div className="mb-4 p-3 bg-yellow-50 text-sm text-yellow-800 rounded">
+      Page data comes from the Search Console Pages sheet, which has no query column, so branded and non-branded shares are not available here.
+    </div>
+  );
+
   // Handle sort
   const handleSort = (key) => {
     setSortConfig({
@@ -282,32 +1840,62 @@ export const VisualizationComponent = React.memo(({
             Download Summary as PDF
           </button>
         </div>
+        {(results.context?.length > 0 || results.loadedSheets?.length > 1) && (
+          <div className="mb-6 p-4 bg-gray-50 rounded">
+            <h3 className="font-medium mb-2">Analysis Context</h3>
+            {results.context?.length > 0 && (
+              <ul className="text-sm mb-2">
+                {results.context.map((item, index) => (
+                  <li key={`context-${index}`}><span className="text-gray-500">{sanitize(item.filter)}:</span> {sanitize(item.value)}</li>
+                ))}
+              </ul>
+            )}
+            {results.loadedSheets?.length > 0 && (
+              <p className="text-xs text-gray-500">
+                Sheets loaded: {sanitize(results.loadedSheets.map(sheet => `${sheet.label} (${sheet.rows} rows)`).join(', '))}
+              </p>
+            )}
+          </div>
+        )}
         <div className="mb-6 p-4 bg-blue-50 rounded">
           <h3 className="font-medium mb-3">Summary</h3>
-          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
             <div className="bg-white p-3 rounded shadow-sm">
               <p className="text-sm text-gray-500">Total Queries</p>
               <p className="text-2xl font-bold">{sanitize(results.summary.totalRows || 0)}</p>
-              <p className="text-xs text-gray-500" title={`Confidence: ${sanitize(dataQuality?.confidenceScores?.brandedClicks || 100)}%`}>
-                (Confidence: {sanitize(Number(((dataQuality?.confidenceScores?.brandedClicks || 100) + (dataQuality?.confidenceScores?.nonBrandedClicks || 100)) / 2).toFixed(0))}%)
-              </p>
-            </div>
-            <div className="bg-white p-3 rounded shadow-sm">
-              <p className="text-sm text-gray-500">Branded</p>
-              <p className="text-2xl font-bold text-blue-600">{sanitize(results.summary.brandedRows || 0)}</p>
-              <p className="text-sm">{sanitize((results.summary.brandedPercentage || 0).toFixed(1))}%</p>
-              <p className="text-xs text-gray-500" title={`Confidence: ${sanitize(dataQuality?.confidenceScores?.brandedClicks || 100)}%`}>
-                (Confidence: {sanitize(dataQuality?.confidenceScores?.brandedClicks || 100)}%)
-              </p>
-            </div>
-            <div className="bg-white p-3 rounded shadow-sm">
-              <p className="text-sm text-gray-500">Non-Branded</p>
-              <p className="text-2xl font-bold text-green-600">{sanitize(results.summary.nonBrandedRows || 0)}</p>
-              <p className="text-sm">{sanitize((results.summary.nonBrandedPercentage || 0).toFixed(1))}%</p>
-              <p className="text-xs text-gray-500" title={`Confidence: ${sanitize(dataQuality?.confidenceScores?.nonBrandedClicks || 100)}%`}>
-                (Confidence: {sanitize(dataQuality?.confidenceScores?.nonBrandedClicks || 100)}%)
-              </p>
+              <DeltaComponent delta={comparison?.summary.totalRows} metric="rows" />
+              {dataQuality?.confidenceScores?.overall !== undefined && (
+                <p className="text-xs text-gray-500" title="Click-weighted confidence of the query classifications">
+                  (Confidence: {sanitize(dataQuality.confidenceScores.overall)}%)
+                </p>
+              )}
             </div>
+            {segmentList.map(({ id, name, color, rows, percentage }) => {
+              const confidence = dataQuality?.confidenceScores?.[`${id}Clicks`];
+              return (
+                <div key={id} className="bg-white p-3 rounded shadow-sm">
+                  <p className="text-sm text-gray-500">{sanitize(name)}</p>
+                  <p className="text-2xl font-bold" style={{ color }}>{sanitize(rows || 0)}</p>
+                  <DeltaComponent delta={comparison?.segments[id]?.rows} metric="rows" />
+                  <p className="text-sm">{sanitize((percentage || 0).toFixed(1))}%</p>
+                  <DeltaComponent delta={comparison?.segments[id]?.percentage} metric="share" />
+                  {confidence !== undefined && (
+                    <p className="text-xs text-gray-500" title="Click-weighted confidence of the query classifications">
+                      (Confidence: {sanitize(confidence)}%)
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+            {results.summary.overriddenQueries > 0 && (
+              <div className="bg-white p-3 rounded shadow-sm cursor-pointer" onClick={() => setActiveTab('config')} title="Review overrides on the Configuration tab">
+                <p className="text-sm text-gray-500">Manual Overrides</p>
+                <p className="text-2xl font-bold text-purple-600">{sanitize(results.summary.overriddenQueries)}</p>
+                <p className="text-xs text-gray-500">
+                  {sanitize(results.summary.overriddenQueries === 1 ? 'query' : 'queries')} reclassified ({sanitize(results.summary.overriddenRows || 0)} rows)
+                </p>
+              </div>
+            )}
             <div className="bg-white p-3 rounded shadow-sm">
               <p className="text-sm text-gray-500">Ratio</p>
               <p className="text-xl font-bold">
@@ -393,122 +1981,79 @@ export const VisualizationComponent = React.memo(({
 
         {/* Traffic Breakdown */}
         <div className="mb-6 grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div className="p-4 bg-blue-50 rounded">
-            <h3 className="font-medium mb-2">Branded Traffic</h3>
-            <table className="w-full">
-              <tbody>
-                <tr>
-                  <td className="py-1">Queries:</td>
-                  <td className="py-1 text-right font-medium">{sanitize(results.summary.brandedRows || 0)}</td>
-                </tr>
-                <tr>
-                  <td className="py-1">Clicks:</td>
-                  <td className="py-1 text-right font-medium">{sanitize(results.branded?.metrics?.clicks || 0)}</td>
-                </tr>
-                <tr>
-                  <td className="py-1">Impressions:</td>
-                  <td className="py-1 text-right font-medium">{sanitize(results.branded?.metrics?.impressions || 0)}</td>
-                </tr>
-                <tr>
-                  <td className="py-1">CTR:</td>
-                  <td className="py-1 text-right font-medium">{sanitize(((results.branded?.metrics?.ctr || 0) * 100).toFixed(1))}%</td>
-                </tr>
-                <tr>
-                  <td className="py-1">Avg Position:</td>
-                  <td className="py-1 text-right font-medium">{sanitize((results.branded?.metrics?.avgPosition || 0).toFixed(1))}</td>
-                </tr>
-              </tbody>
-            </table>
-            <p className="text-xs text-gray-500 mt-2">
-              {sanitize(((results.branded?.metrics?.ctr || 0) * 100) >= 3 ? 'CTR is above industry average (3%)!' : 'CTR is below industry average (3%). Consider optimizing titles.')}
-            </p>
-          </div>
-          <div className="p-4 bg-green-50 rounded">
-            <h3 className="font-medium mb-2">Non-Branded Traffic</h3>
-            <table className="w-full">
-              <tbody>
-                <tr>
-                  <td className="py-1">Queries:</td>
-                  <td className="py-1 text-right font-medium">{sanitize(results.summary.nonBrandedRows || 0)}</td>
-                </tr>
-                <tr>
-                  <td className="py-1">Clicks:</td>
-                  <td className="py-1 text-right font-medium">{sanitize(results.nonBranded?.metrics?.clicks || 0)}</td>
-                </tr>
-                <tr>
-                  <td className="py-1">Impressions:</td>
-                  <td className="py-1 text-right font-medium">{sanitize(results.nonBranded?.metrics?.impressions || 0)}</td>
-                </tr>
-                <tr>
-                  <td className="py-1">CTR:</td>
-                  <td className="py-1 text-right font-medium">{sanitize(((results.nonBranded?.metrics?.ctr || 0) * 100).toFixed(1))}%</td>
-                </tr>
-                <tr>
-                  <td className="py-1">Avg Position:</td>
-                  <td className="py-1 text-right font-medium">{sanitize((results.nonBranded?.metrics?.avgPosition || 0).toFixed(1))}</td>
-                </tr>
-              </tbody>
-            </table>
-            <p className="text-xs text-gray-500 mt-2">
-              {sanitize(((results.nonBranded?.metrics?.ctr || 0) * 100) >= 2 ? 'CTR is above industry average (2%)!' : 'CTR is below industry average (2%). Consider optimizing content.')}
-            </p>
-          </div>
+          {segmentList.map(({ id, name, color, rows, metrics }) => {
+            const deltas = comparison?.segments[id];
+            // Own-brand queries are expected to click through more often
+            const ctrBenchmark = id === BRANDED_SEGMENT ? 3 : 2;
+            const ctr = (metrics?.ctr || 0) * 100;
+            return (
+              <div key={id} className="p-4 bg-gray-50 rounded border-l-4" style={{ borderLeftColor: color }}>
+                <h3 className="font-medium mb-2">{sanitize(name)} Traffic</h3>
+                <table className="w-full">
+                  <tbody>
+                    <tr>
+                      <td className="py-1">Queries:</td>
+                      <td className="py-1 text-right font-medium">{sanitize(rows || 0)}<DeltaComponent delta={deltas?.rows} metric="rows" /></td>
+                    </tr>
+                    <tr>
+                      <td className="py-1">Clicks:</td>
+                      <td className="py-1 text-right font-medium">{sanitize(metrics?.clicks || 0)}<DeltaComponent delta={deltas?.clicks} metric="clicks" /></td>
+                    </tr>
+                    <tr>
+                      <td className="py-1">Impressions:</td>
+                      <td className="py-1 text-right font-medium">{sanitize(metrics?.impressions || 0)}<DeltaComponent delta={deltas?.impressions} metric="impressions" /></td>
+                    </tr>
+                    <tr>
+                      <td className="py-1">CTR:</td>
+                      <td className="py-1 text-right font-medium">{sanitize(ctr.toFixed(1))}%<DeltaComponent delta={deltas?.ctr} metric="ctr" /></td>
+                    </tr>
+                    <tr>
+                      <td className="py-1">Avg Position:</td>
+                      <td className="py-1 text-right font-medium">{sanitize((metrics?.avgPosition || 0).toFixed(1))}<DeltaComponent delta={deltas?.avgPosition} metric="avgPosition" /></td>
+                    </tr>
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 mt-2">
+                  {sanitize(ctr >= ctrBenchmark ? `CTR is above industry average (${ctrBenchmark}%)!` : `CTR is below industry average (${ctrBenchmark}%). Consider optimizing titles and content.`)}
+                </p>
+              </div>
+            );
+          })}
         </div>
 
         {/* Top Performing Queries */}
         <div className="mb-6 grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div className="p-4 bg-blue-50 rounded">
-            <h3 className="font-medium mb-3 text-blue-600">Top 5 Branded Queries</h3>
-            {topBrandedQueries.length > 0 ? (
-              <table className="w-full text-sm">
-                <thead>
-                  <tr className="bg-blue-100">
-                    <th className="p-2 text-left">Query</th>
-                    <th className="p-2 text-right">Clicks</th>
-                    <th className="p-2 text-right">Impressions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {topBrandedQueries.map((query, index) => (
-                    <tr key={`top-branded-${index}`} className={index % 2 === 0 ? 'bg-blue-50' : ''}>
-                      <td className="p-2">{sanitize(query.query || 'N/A')}</td>
-                      <td className="p-2 text-right">{sanitize(query.clicks || 0)}</td>
-                      <td className="p-2 text-right">{sanitize(query.impressions || 0)}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            ) : (
-              <p className="text-sm text-gray-500">No branded queries available.</p>
-            )}
-          </div>
-          <div className="p-4 bg-green-50 rounded">
-            <h3 className="font-medium mb-3 text-green-600">Top 5 Non-Branded Queries</h3>
-            {topNonBrandedQueries.length > 0 ? (
-              <table className="w-full text-sm">
-                <thead>
-                  <tr className="bg-green-100">
-                    <th className="p-2 text-left">Query</th>
-                    <th className="p-2 text-right">Clicks</th>
-                    <th className="p-2 text-right">Impressions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {topNonBrandedQueries.map((query, index) => (
-                    <tr key={`top-nonbranded-${index}`} className={index % 2 === 0 ? 'bg-green-50' : ''}>
-                      <td className="p-2">{sanitize(query.query || 'N/A')}</td>
-                      <td className="p-2 text-right">{sanitize(query.clicks || 0)}</td>
-                      <td className="p-2 text-right">{sanitize(query.impressions || 0)}</td>
+          {segmentList.map(({ id, name, color }) => (
+            <div key={id} className="p-4 bg-gray-50 rounded">
+              <h3 className="font-medium mb-3" style={{ color }}>Top 5 {sanitize(name)} Queries</h3>
+              {topSegmentQueries[id]?.length > 0 ? (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="p-2 text-left">Query</th>
+                      <th className="p-2 text-right">Clicks</th>
+                      <th className="p-2 text-right">Impressions</th>
                     </tr>
-                  ))}
-                </tbody>
-              </table>
-            ) : (
-              <p className="text-sm text-gray-500">No non-branded queries available.</p>
-            )}
-          </div>
+                  </thead>
+                  <tbody>
+                    {topSegmentQueries[id].map((query, index) => (
+                      <tr key={`top-${id}-${index}`} className={index % 2 === 0 ? 'bg-white' : ''}>
+                        <td className="p-2">{sanitize(query.query || 'N/A')}</td>
+                        <td className="p-2 text-right">{sanitize(query.clicks || 0)}<DeltaComponent delta={comparison?.queries.get(query.key || query.query)?.deltas.clicks} /></td>
+                        <td className="p-2 text-right">{sanitize(query.impressions || 0)}<DeltaComponent delta={comparison?.queries.get(query.key || query.query)?.deltas.impressions} metric="impressions" /></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-500">No {sanitize(name.toLowerCase())} queries available.</p>
+              )}
+            </div>
+          ))}
         </div>
 
+        <IntentBreakdownComponent segments={segmentList} />
+
         {/* Trend Chart (if Date data exists) */}
         {trendData.length > 0 && (
           <div className="mb-6 p-4 bg-gray-50 rounded">
@@ -520,8 +2065,13 @@ export const VisualizationComponent = React.memo(({
                 <YAxis />
                 <Tooltip />
                 <Legend />
-                <Line type="monotone" dataKey="brandedClicks" stroke="#0088FE" name="Branded Clicks" />
-                <Line type="monotone" dataKey="nonBrandedClicks" stroke="#00C49F" name="Non-Branded Clicks" />
+                {trendData[0].totalClicks !== undefined ? (
+                  <Line type="monotone" dataKey="totalClicks" stroke="#8884d8" name="Total Clicks" />
+                ) : (
+                  segmentList.map(({ id, name, color }) => (
+                    <Line key={id} type="monotone" dataKey={`${id}Clicks`} stroke={color} name={`${name} Clicks`} />
+                  ))
+                )}
               </LineChart>
             </ResponsiveContainer>
           </div>
@@ -559,7 +2109,7 @@ export const VisualizationComponent = React.memo(({
                   dataKey="value"
                 >
                   {samplePieData.map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                    <Cell key={`cell-${index}`} fill={entry.color} />
                   ))}
                 </Pie>
                 <Tooltip />
@@ -596,15 +2146,59 @@ export const VisualizationComponent = React.memo(({
         </div>
       </div>
     );
+  } else if (type === 'trends') {
+    return <TrendsComponent timeSeries={results.timeSeries || []} segmentDefinitions={segmentList} dateRange={results.dateRange} onDateRangeChange={onDateRangeChange} />;
+  } else if (type === 'comparison') {
+    return <ComparisonComponent comparison={comparison} segmentDefinitions={segmentList} dateRange={results.dateRange} onExport={onExportComparison} />;
   } else if (type === 'urlAnalysis') {
-    const sortedPathData = sortData(results.pathData || samplePathData, sortConfig.key);
+    const pathTree = results.pathTree || [];
+    const currentNode = pathPrefix ? pathTree.find(({ name }) => name === pathPrefix) : null;
+    // Below a node: its child paths, then the URLs whose path ends at the node
+    const levelRows = currentNode
+      ? [
+        ...pathTree.filter(({ parent }) => parent === currentNode.name),
+        ...(results.urlData || []).filter(({ path }) => path === currentNode.name).map((url) => ({ ...url, isUrl: true })),
+      ]
+      : results.pathData || samplePathData;
+    const sortedPathData = withShares(sortData(levelRows, sortConfig.key));
+    const shownPathData = showAllPaths ? sortedPathData : sortedPathData.slice(0, 10);
+    const pathDeltas = currentNode ? comparison?.pathTree : comparison?.paths;
+    const treeNodes = new Set(pathTree.map(({ name }) => name));
+    const breadcrumbs = currentNode ? currentNode.name.split('/').filter(Boolean).map((segment, index, segments) => '/' + segments.slice(0, index + 1).join('/')) : [];
+    const drillInto = (path) => {
+      setPathPrefix(path);
+      setExpandedPath(null);
+      setShowAllPaths(false);
+    };
+    // Example URLs at the configured level, or every URL under a node once drilled in
+    const urlsUnder = (name) => (results.urlData || []).filter(({ path }) => isWithinPath(path, name)).sort((a, b) => b.clicks - a.clicks).map(({ name: url }) => url);
+    const examplesOf = (name) => (currentNode ? urlsUnder(name) : pathUrlExamples[name] || []);
+    const exampleCountOf = (name) => (currentNode ? examplesOf(name).length : pathUrlCounts[name] || 0);
     return (
       <div>
         <h2 className="text-xl font-semibold mb-4">URL Path Analysis</h2>
-        <div className="mb-4 flex gap-4">
+        {pagesSheetNotice}
+        <div className="mb-4 flex flex-wrap gap-4">
+          {shareBasisSelector}
+          {hostScopeSelector}
           <button onClick={onExport} className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">Export URL Analysis Data</button>
           <button onClick={onExportAll} className="px-3 py-2 bg-purple-600 text-white rounded hover:bg-purple-700">Export All Data</button>
         </div>
+        {pathTree.length > 0 && (
+          <div className="mb-4 flex flex-wrap items-center gap-1 text-sm">
+            <button onClick={() => drillInto(null)} className={currentNode ? 'text-blue-600 hover:underline' : 'font-medium'}>
+              All paths ({sanitize(PATH_LEVELS.find(({ id }) => id === results.pathLevel)?.label || PATH_LEVELS[0].label)})
+            </button>
+            {breadcrumbs.map((crumb) => (
+              <React.Fragment key={crumb}>
+                <span className="text-gray-400">›</span>
+                <button onClick={() => drillInto(crumb)} className={crumb === currentNode.name ? 'font-medium' : 'text-blue-600 hover:underline'}>
+                  {sanitize(crumb)}
+                </button>
+              </React.Fragment>
+            ))}
+          </div>
+        )}
         <div className="mb-6">
           <h3 className="font-medium mb-3">URL Path Traffic Distribution</h3>
           <div className="p-4 bg-gray-50 rounded" style={{ minHeight: '450px' }}>
@@ -615,11 +2209,12 @@ export const VisualizationComponent = React.memo(({
                 <YAxis type="category" dataKey="name" width={150} />
                 <Tooltip formatter={(value) => `${sanitize(value)}%`} />
                 <Legend />
-                <Bar dataKey="branded" stackId="a" fill="#0088FE" name="Branded %" />
-                <Bar dataKey="nonBranded" stackId="a" fill="#00C49F" name="Non-Branded %" />
+                {segmentBars('Share', ` % (${shareBasisLabel})`)}
               </BarChart>
             </ResponsiveContainer>
-            <p className="text-sm text-center text-gray-500 mt-2">Showing top 10 URL paths by traffic volume</p>
+            <p className="text-sm text-center text-gray-500 mt-2">
+              {currentNode ? `Showing the top 10 paths and URLs under ${sanitize(currentNode.name)}` : 'Showing top 10 URL paths by traffic volume'}
+            </p>
           </div>
         </div>
         <div className="overflow-x-auto bg-gray-50 rounded p-4">
@@ -633,46 +2228,69 @@ export const VisualizationComponent = React.memo(({
                 <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('sortableTotal')}>
                   Queries {sortConfig.key === 'sortableTotal' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
                 </th>
-                <th className="p-2 border text-right">Branded %</th>
-                <th className="p-2 border text-right">Non-Branded %</th>
+                <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('clicks')}>
+                  Clicks {sortConfig.key === 'clicks' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
+                </th>
+                <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('impressions')}>
+                  Impressions {sortConfig.key === 'impressions' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
+                </th>
+                <th className="p-2 border text-right">CTR</th>
+                <th className="p-2 border text-right">Avg Position</th>
+                {segmentShareHeaders}
                 <th className="p-2 border text-center">Examples</th>
               </tr>
             </thead>
             <tbody>
-              {sortedPathData.slice(0, 10).map((pathData, index) => (
+              {shownPathData.map((pathData, index) => (
                 <React.Fragment key={`path-${index}`}>
                   <tr className={index % 2 === 0 ? 'bg-gray-50' : ''}>
-                    <td className="p-2 border font-medium">{sanitize(pathData.name)}</td>
-                    <td className="p-2 border text-right">{sanitize(pathData.sortableTotal || 0)}</td>
-                    <td className="p-2 border text-right bg-blue-50">{sanitize((pathData.branded || 0).toFixed(1))}%</td>
-                    <td className="p-2 border text-right bg-green-50">{sanitize((pathData.nonBranded || 0).toFixed(1))}%</td>
+                    <td className={`p-2 border font-medium ${pathData.isUrl ? 'text-sm break-all' : ''}`}>
+                      {!pathData.isUrl && treeNodes.has(pathData.name) ? (
+                        <button onClick={() => drillInto(pathData.name)} className="text-blue-600 hover:underline text-left" title="Drill down">
+                          {sanitize(pathData.name)}
+                        </button>
+                      ) : sanitize(pathData.name)}
+                      {pathData.isUrl && <span className="ml-2 text-xs text-gray-500">URL</span>}
+                    </td>
+                    <td className="p-2 border text-right">{sanitize(pathData.sortableTotal || 0)}<DeltaComponent delta={pathDeltas?.get(pathData.name)?.deltas.rows} metric="rows" /></td>
+                    <td className="p-2 border text-right">{sanitize(pathData.clicks || 0)}<DeltaComponent delta={pathDeltas?.get(pathData.name)?.deltas.clicks} /></td>
+                    <td className="p-2 border text-right">{sanitize(pathData.impressions || 0)}<DeltaComponent delta={pathDeltas?.get(pathData.name)?.deltas.impressions} metric="impressions" /></td>
+                    <td className="p-2 border text-right">{sanitize(((pathData.ctr || 0) * 100).toFixed(1))}%<DeltaComponent delta={pathDeltas?.get(pathData.name)?.deltas.ctr} metric="ctr" /></td>
+                    <td className="p-2 border text-right">{sanitize((pathData.avgPosition || 0).toFixed(1))}<DeltaComponent delta={pathDeltas?.get(pathData.name)?.deltas.avgPosition} metric="avgPosition" /></td>
+                    {segmentShareCells(pathData)}
                     <td className="p-2 border text-center">
-                      <button
-                        className="text-blue-600 hover:text-blue-800 text-sm"
-                        onClick={() => setExpandedPath(expandedPath === pathData.name ? null : pathData.name)}
-                      >
-                        Show URLs
-                      </button>
+                      {!pathData.isUrl && (
+                        <>
+                          <button
+                            className="text-blue-600 hover:text-blue-800 text-sm"
+                            onClick={() => setExpandedPath(expandedPath === pathData.name ? null : pathData.name)}
+                          >
+                            Show URLs
+                          </button>
+                          <span className="mx-1 text-gray-300">|</span>
+                          <FilterButton dimension="path" value={results.pageSource === 'pagesSheet' ? null : pathData.name} filters={results.filters} onFilterChange={onFilterChange} />
+                        </>
+                      )}
                     </td>
                   </tr>
                   {expandedPath === pathData.name && (
                     <tr>
-                      <td colSpan="5" className="p-3 border bg-gray-50">
+                      <td colSpan={7 + segmentList.length} className="p-3 border bg-gray-50">
                         <div className="text-sm">
                           <div className="flex justify-between items-center mb-2">
                             <p className="font-medium">Example URLs for {sanitize(pathData.name)}:</p>
-                            {(pathUrlCounts[pathData.name] || 0) > 0 && (
+                            {exampleCountOf(pathData.name) > 0 && (
                               <p className="text-xs text-gray-500">
-                                Showing {sanitize(Math.min(pathExampleLimit, (pathUrlExamples[pathData.name] || []).length))} of {sanitize(pathUrlCounts[pathData.name])} URLs
+                                Showing {sanitize(Math.min(pathExampleLimit, examplesOf(pathData.name).length))} of {sanitize(exampleCountOf(pathData.name))} URLs
                               </p>
                             )}
                           </div>
                           <ul className="list-disc list-inside space-y-1 ml-2">
-                            {(pathUrlExamples[pathData.name] || []).slice(0, pathExampleLimit).map((url, urlIndex) => (
+                            {examplesOf(pathData.name).slice(0, pathExampleLimit).map((url, urlIndex) => (
                               <li key={`url-${index}-${urlIndex}`} className="text-gray-700 break-all">{sanitize(url)}</li>
                             )) || <li className="text-gray-500">No URL examples available for this path</li>}
                           </ul>
-                          {((pathUrlExamples[pathData.name] || []).length > 5) && (
+                          {examplesOf(pathData.name).length > 5 && (
                             <div className="mt-3 text-right">
                               {pathExampleLimit <= 5 ? (
                                 <button className="text-blue-600 hover:underline text-sm" onClick={() => setPathExampleLimit(20)}>
@@ -693,15 +2311,33 @@ export const VisualizationComponent = React.memo(({
               ))}
             </tbody>
           </table>
+          {sortedPathData.length > 10 && (
+            <button onClick={() => setShowAllPaths(!showAllPaths)} className="mt-2 text-sm text-blue-600 hover:text-blue-800">
+              {showAllPaths ? 'Show top 10' : `Show all ${sortedPathData.length} rows`}
+            </button>
+          )}
         </div>
       </div>
     );
   } else if (type === 'languages') {
-    const sortedLanguageData = sortData(results.languageData || sampleLanguageData, sortConfig.key);
+    // Locale rows split a language by region ("en-gb", "en-us")
+    const byLocale = languageGrouping === 'locale';
+    const sortedLanguageData = withShares(sortData((byLocale ? results.localeData : results.languageData) || sampleLanguageData, sortConfig.key));
+    const languageDeltas = byLocale ? comparison?.locales : comparison?.languages;
     return (
       <div>
         <h2 className="text-xl font-semibold mb-4">Language Analysis</h2>
-        <div className="mb-4 flex gap-4">
+        {pagesSheetNotice}
+        <div className="mb-4 flex flex-wrap gap-4">
+          <div className="flex items-center">
+            <label className="mr-2 font-medium">Group by:</label>
+            <select value={languageGrouping} onChange={(e) => setLanguageGrouping(e.target.value)} className="p-2 border rounded">
+              <option value="language">Language</option>
+              <option value="locale">Locale (language and region)</option>
+            </select>
+          </div>
+          {shareBasisSelector}
+          {hostScopeSelector}
           <button onClick={onExport} className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">Export Language Analysis Data</button>
           <button onClick={onExportAll} className="px-3 py-2 bg-purple-600 text-white rounded hover:bg-purple-700">Export All Data</button>
         </div>
@@ -715,11 +2351,10 @@ export const VisualizationComponent = React.memo(({
                 <YAxis />
                 <Tooltip />
                 <Legend />
-                <Bar dataKey="sortableTotal" fill="#8884d8" name="Total Queries" />
-                <Bar dataKey="clicks" fill="#82ca9d" name="Clicks" />
+                {segmentBars('Value', ` (${shareBasisLabel})`)}
               </BarChart>
             </ResponsiveContainer>
-            <p className="text-sm text-center text-gray-500 mt-2">Showing top 10 languages by query volume</p>
+            <p className="text-sm text-center text-gray-500 mt-2">Showing top 10 {byLocale ? 'locales' : 'languages'}, split by {sanitize(shareBasisLabel.toLowerCase())}</p>
           </div>
         </div>
         <div className="overflow-x-auto bg-gray-50 rounded p-4">
@@ -731,12 +2366,21 @@ export const VisualizationComponent = React.memo(({
                   Language {sortConfig.key === 'language' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
                 </th>
                 <th className="p-2 border text-left">Code</th>
+                {byLocale && <th className="p-2 border text-left">Region</th>}
                 <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('sortableTotal')}>
                   Total Queries {sortConfig.key === 'sortableTotal' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
                 </th>
-                <th className="p-2 border text-right">Clicks</th>
-                <th className="p-2 border text-right">Branded %</th>
-                <th className="p-2 border text-right">Non-Branded %</th>
+                <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('clicks')}>
+                  Clicks {sortConfig.key === 'clicks' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
+                </th>
+                <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('impressions')}>
+                  Impressions {sortConfig.key === 'impressions' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
+                </th>
+                <th className="p-2 border text-right">CTR</th>
+                <th className="p-2 border text-right">Avg Position</th>
+                {segmentShareHeaders}
+                {!byLocale && <th className="p-2 border text-left" title="Rows classified by the rules for all languages and by the rules scoped to this language">Brand Term Sets</th>}
+                <th className="p-2 border text-center">Actions</th>
               </tr>
             </thead>
             <tbody>
@@ -744,10 +2388,23 @@ export const VisualizationComponent = React.memo(({
                 <tr key={`lang-${index}`} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
                   <td className="p-2 border font-medium">{sanitize(item.language === 'unknown' ? 'Unknown' : item.language)}</td>
                   <td className="p-2 border">{sanitize(item.code)}</td>
-                  <td className="p-2 border text-right">{sanitize(item.sortableTotal)}</td>
-                  <td className="p-2 border text-right">{sanitize(item.clicks)}</td>
-                  <td className="p-2 border text-right bg-blue-50">{sanitize((item.branded || 0).toFixed(1))}%</td>
-                  <td className="p-2 border text-right bg-green-50">{sanitize((item.nonBranded || 0).toFixed(1))}%</td>
+                  {byLocale && <td className="p-2 border">{sanitize(item.region || '—')}</td>}
+                  <td className="p-2 border text-right">{sanitize(item.sortableTotal)}<DeltaComponent delta={languageDeltas?.get(item.code)?.deltas.rows} metric="rows" /></td>
+                  <td className="p-2 border text-right">{sanitize(item.clicks)}<DeltaComponent delta={languageDeltas?.get(item.code)?.deltas.clicks} /></td>
+                  <td className="p-2 border text-right">{sanitize(item.impressions || 0)}<DeltaComponent delta={languageDeltas?.get(item.code)?.deltas.impressions} metric="impressions" /></td>
+                  <td className="p-2 border text-right">{sanitize(((item.ctr || 0) * 100).toFixed(1))}%<DeltaComponent delta={languageDeltas?.get(item.code)?.deltas.ctr} metric="ctr" /></td>
+                  <td className="p-2 border text-right">{sanitize((item.avgPosition || 0).toFixed(1))}<DeltaComponent delta={languageDeltas?.get(item.code)?.deltas.avgPosition} metric="avgPosition" /></td>
+                  {segmentShareCells(item)}
+                  {!byLocale && (
+                    <td className="p-2 border text-xs">
+                      {(item.termSets || []).length > 0
+                        ? item.termSets.map(({ set, rows }) => `${set === 'global' ? 'Global' : set} ${rows.toLocaleString()}`).map(sanitize).join(' · ')
+                        : '—'}
+                    </td>
+                  )}
+                  <td className="p-2 border text-center">
+                    <FilterButton dimension="language" value={results.pageSource === 'pagesSheet' ? null : item.code} filters={results.filters} onFilterChange={onFilterChange} />
+                  </td>
                 </tr>
               ))}
             </tbody>
@@ -770,9 +2427,214 @@ export const VisualizationComponent = React.memo(({
         </div>
       </div>
     );
+  } else if (type === 'contentTypes') {
+    const contentTypeData = results.contentTypeData || [];
+    const sortedContentTypes = withShares(sortData(contentTypeData, sortConfig.key));
+    // The busiest URLs of the selected type, with the rule that typed each one
+    const typedUrls = (results.urlData || [])
+      .filter(({ contentType }) => !contentTypeFilter || contentType === contentTypeFilter)
+      .sort((a, b) => b.clicks - a.clicks)
+      .slice(0, MAX_TYPED_URLS);
+    return (
+      <div>
+        <h2 className="text-xl font-semibold mb-4">Content Type Analysis</h2>
+        {pagesSheetNotice}
+        {contentTypeData.length === 0 ? (
+          <p className="text-sm text-gray-500">No page column found, so pages can&apos;t be typed.</p>
+        ) : (
+          <>
+            <div className="mb-4 flex flex-wrap gap-4">
+              {shareBasisSelector}
+              <button onClick={onExport} className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">Export Content Type Data</button>
+            </div>
+            <div className="mb-6 p-4 bg-gray-50 rounded" style={{ minHeight: '400px' }}>
+              <ResponsiveContainer width="100%" height={350}>
+                <BarChart data={sortedContentTypes}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis />
+                  <Tooltip />
+                  <Legend />
+                  {segmentBars('Value', ` (${shareBasisLabel})`)}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="overflow-x-auto mb-6">
+              <table className="min-w-full bg-white border">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="p-2 border text-left">Content Type</th>
+                    <th className="p-2 border text-right">URLs</th>
+                    <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('sortableTotal')}>
+                      Queries {sortConfig.key === 'sortableTotal' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
+                    </th>
+                    <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('clicks')}>
+                      Clicks {sortConfig.key === 'clicks' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
+                    </th>
+                    <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('impressions')}>
+                      Impressions {sortConfig.key === 'impressions' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
+                    </th>
+                    <th className="p-2 border text-right">CTR</th>
+                    <th className="p-2 border text-right">Avg Position</th>
+                    {segmentShareHeaders}
+                  </tr>
+                </thead>
+                <tbody>
+                  {sortedContentTypes.map((item, index) => (
+                    <tr
+                      key={item.name}
+                      className={`cursor-pointer ${contentTypeFilter === item.name ? 'bg-blue-100' : index % 2 === 0 ? 'bg-gray-50' : ''}`}
+                      onClick={() => setContentTypeFilter(contentTypeFilter === item.name ? null : item.name)}
+                      title="Show this type's URLs below"
+                    >
+                      <td className="p-2 border font-medium">{sanitize(item.name)}</td>
+                      <td className="p-2 border text-right">{sanitize(item.urls || 0)}</td>
+                      <td className="p-2 border text-right">{sanitize(item.sortableTotal || 0)}</td>
+                      <td className="p-2 border text-right">{sanitize(item.clicks || 0)}</td>
+                      <td className="p-2 border text-right">{sanitize(item.impressions || 0)}</td>
+                      <td className="p-2 border text-right">{sanitize(((item.ctr || 0) * 100).toFixed(1))}%</td>
+                      <td className="p-2 border text-right">{sanitize((item.avgPosition || 0).toFixed(1))}</td>
+                      {segmentShareCells(item)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="p-4 bg-gray-50 rounded">
+              <h3 className="font-medium mb-3">
+                {contentTypeFilter ? `Top ${sanitize(contentTypeFilter)} URLs` : 'Top URLs'} and the Rule That Typed Them
+              </h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full bg-white border text-sm">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="p-2 border text-left">URL</th>
+                      <th className="p-2 border text-left">Content Type</th>
+                      <th className="p-2 border text-left">Matched Rule</th>
+                      <th className="p-2 border text-right">Clicks</th>
+                      <th className="p-2 border text-right">Impressions</th>
+                      {segmentShareHeaders}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {withShares(typedUrls).map((url) => (
+                      <tr key={url.name}>
+                        <td className="p-2 border break-all">{sanitize(url.name)}</td>
+                        <td className="p-2 border">{sanitize(url.contentType)}</td>
+                        <td className="p-2 border text-gray-600">{sanitize(describeContentTypeRule(url.contentTypeRule))}</td>
+                        <td className="p-2 border text-right">{sanitize(url.clicks || 0)}</td>
+                        <td className="p-2 border text-right">{sanitize(url.impressions || 0)}</td>
+                        {segmentShareCells(url)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">Showing up to {MAX_TYPED_URLS} URLs by clicks. Click a content type above to list only its URLs.</p>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  } else if (type === 'countries' || type === 'devices' || type === 'hosts') {
+    const pagesFromSheet = results.pageSource === 'pagesSheet';
+    const dimension = {
+      countries: { id: 'country', title: 'Country Analysis', label: 'Country', sheet: 'Countries', data: results.countryData || [], fromSheet: results.countrySource === 'countriesSheet', deltas: comparison?.countries },
+      devices: { id: 'device', title: 'Device Analysis', label: 'Device', sheet: 'Devices', data: results.deviceData || [], fromSheet: results.deviceSource === 'devicesSheet', deltas: comparison?.devices },
+      hosts: hostGrouping === 'site'
+        ? { id: 'site', title: 'Host Analysis', label: 'Site', sheet: 'Pages', data: results.siteData || [], fromSheet: pagesFromSheet, deltas: comparison?.sites, detail: { label: 'Hosts', of: (item) => (item.hosts || []).join(', ') } }
+        : { id: 'host', title: 'Host Analysis', label: 'Host', sheet: 'Pages', data: results.hostData || [], fromSheet: pagesFromSheet, deltas: comparison?.hosts, detail: { label: 'Site', of: (item) => (item.site === item.name ? '' : item.site) } },
+    }[type];
+    const { deltas } = dimension;
+    const sortedDimensionData = withShares(sortData(dimension.data, sortConfig.key));
+    return (
+      <div>
+        <h2 className="text-xl font-semibold mb-4">{dimension.title}</h2>
+        {dimension.fromSheet && (
+          <div className="mb-4 p-3 bg-yellow-50 text-sm text-yellow-800 rounded">
+            {dimension.label} data comes from the Search Console {dimension.sheet} sheet, which has no query column, so branded and non-branded shares are not available here.
+          </div>
+        )}
+        {dimension.data.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            {type === 'hosts'
+              ? 'No page column found. Hosts are read from the page URLs.'
+              : `No ${dimension.id} column found. Include the ${dimension.label} dimension in your Search Console export to see this breakdown.`}
+          </p>
+        ) : (
+          <>
+            <div className="mb-4 flex flex-wrap gap-4">
+              {type === 'hosts' && (
+                <div className="flex items-center">
+                  <label className="mr-2 font-medium">Group by:</label>
+                  <select value={hostGrouping} onChange={(e) => setHostGrouping(e.target.value)} className="p-2 border rounded">
+                    <option value="host">Host</option>
+                    <option value="site">Site</option>
+                  </select>
+                </div>
+              )}
+              {shareBasisSelector}
+              <button onClick={onExport} className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">Export {dimension.label} Data</button>
+            </div>
+            <div className="mb-6 p-4 bg-gray-50 rounded" style={{ minHeight: '400px' }}>
+              <ResponsiveContainer width="100%" height={350}>
+                <BarChart data={sortedDimensionData.slice(0, 10)}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis />
+                  <Tooltip />
+                  <Legend />
+                  {segmentBars('Value', ` (${shareBasisLabel})`)}
+                </BarChart>
+              </ResponsiveContainer>
+              <p className="text-sm text-center text-gray-500 mt-2">Showing top 10, split by {sanitize(shareBasisLabel.toLowerCase())}</p>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white border">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="p-2 border text-left">{dimension.label}</th>
+                    {dimension.detail && <th className="p-2 border text-left">{dimension.detail.label}</th>}
+                    <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('sortableTotal')}>
+                      Queries {sortConfig.key === 'sortableTotal' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
+                    </th>
+                    <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('clicks')}>
+                      Clicks {sortConfig.key === 'clicks' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
+                    </th>
+                    <th className="p-2 border text-right cursor-pointer" onClick={() => handleSort('impressions')}>
+                      Impressions {sortConfig.key === 'impressions' ? (sortConfig.direction === 'asc' ? '↑' : '↓') : ''}
+                    </th>
+                    <th className="p-2 border text-right">CTR</th>
+                    <th className="p-2 border text-right">Avg Position</th>
+                    {segmentShareHeaders}
+                    <th className="p-2 border text-center">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sortedDimensionData.map((item, index) => (
+                    <tr key={`${dimension.id}-${item.name}`} className={results.filters?.[dimension.id] === item.name ? 'bg-blue-100' : index % 2 === 0 ? 'bg-gray-50' : ''}>
+                      <td className="p-2 border font-medium">{sanitize(item.name)}</td>
+                      {dimension.detail && <td className="p-2 border text-sm text-gray-600">{sanitize(dimension.detail.of(item))}</td>}
+                      <td className="p-2 border text-right">{sanitize(item.sortableTotal || 0)}<DeltaComponent delta={deltas?.get(item.name)?.deltas.rows} metric="rows" /></td>
+                      <td className="p-2 border text-right">{sanitize(item.clicks || 0)}<DeltaComponent delta={deltas?.get(item.name)?.deltas.clicks} /></td>
+                      <td className="p-2 border text-right">{sanitize(item.impressions || 0)}<DeltaComponent delta={deltas?.get(item.name)?.deltas.impressions} metric="impressions" /></td>
+                      <td className="p-2 border text-right">{sanitize(((item.ctr || 0) * 100).toFixed(1))}%<DeltaComponent delta={deltas?.get(item.name)?.deltas.ctr} metric="ctr" /></td>
+                      <td className="p-2 border text-right">{sanitize((item.avgPosition || 0).toFixed(1))}<DeltaComponent delta={deltas?.get(item.name)?.deltas.avgPosition} metric="avgPosition" /></td>
+                      {segmentShareCells(item)}
+                      <td className="p-2 border text-center">
+                        <FilterButton dimension={dimension.id} value={dimension.fromSheet ? null : item.name} filters={results.filters} onFilterChange={onFilterChange} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    );
   } else if (type === 'queries') {
-    const sortedBrandedQueries = sortData(results.branded?.samples || [], 'clicks');
-    const sortedNonBrandedQueries = sortData(results.nonBranded?.samples || [], 'clicks');
+    const sortedSegmentQueries = segmentList.map((segment) => ({ ...segment, sorted: sortData(segment.queries || [], 'clicks') }));
     return (
       <div>
         <h2 className="text-xl font-semibold mb-4">Query Analysis</h2>
@@ -790,120 +2652,80 @@ export const VisualizationComponent = React.memo(({
               <option value="100">Top 100</option>
             </select>
           </div>
-          <button onClick={onExportBranded} className="px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">
-            Export Branded Queries
-          </button>
-          <button onClick={onExportNonBranded} className="px-3 py-2 bg-green-600 text-white rounded hover:bg-green-700">
-            Export Non-Branded Queries
-          </button>
+          {segmentList.map(({ id, name, color }) => (
+            <button key={id} onClick={() => onExportSegment(id)} className="px-3 py-2 text-white rounded hover:opacity-90" style={{ backgroundColor: color }}>
+              Export {sanitize(name)} Queries
+            </button>
+          ))}
           <button onClick={onExportAll} className="px-3 py-2 bg-purple-600 text-white rounded hover:bg-purple-700">
             Export All Data
           </button>
         </div>
+        <TopicClustersComponent segments={segmentList} topicClusters={topicClusters} onCluster={onClusterTopics} onExport={onExportTopics} />
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div>
-            <h3 className="font-medium mb-3 text-blue-600">Top Branded Queries</h3>
-            <div className="bg-gray-100 p-2 mb-3 rounded flex justify-between">
-              <span>Showing top {queryDisplayLimit} of {results.summary?.brandedRows || 0} branded queries</span>
-            </div>
-            {sortedBrandedQueries.slice(0, queryDisplayLimit).map((queryData, index) => (
-              <div key={`branded-q-${index}`} className="mb-4 p-3 bg-blue-50 rounded shadow-sm">
-                <div className="flex justify-between mb-1">
-                  <span className="font-medium">{sanitize(queryData.query || 'N/A')}</span>
-                  <span className="text-sm bg-blue-200 text-blue-800 px-2 py-0.5 rounded">Clicks: {sanitize(queryData.clicks || 0)}</span>
-                </div>
-                <div className="text-sm grid grid-cols-2 gap-x-4 mb-2">
-                  <div>Impressions: {sanitize(queryData.impressions || 0)}</div>
-                  <div>CTR: {sanitize(((queryData.ctr || 0) * 100).toFixed(1))}%</div>
-                  <div>Avg Position: {sanitize((queryData.avgPosition || 0).toFixed(1))}</div>
-                  <div>Content Types: {sanitize(Array.isArray(queryData.contentTypes) ? queryData.contentTypes.join(', ') : queryData.contentTypes || 'N/A')}</div>
-                </div>
-                <div className="text-sm">
-                  <div className="font-medium mt-1">Landing Pages:</div>
-                  <ul className="mt-1 list-disc list-inside text-xs">
-                    {(queryData.urls || []).map((urlData, urlIndex) => (
-                      <li key={`branded-url-${index}-${urlIndex}`} className="mb-1 truncate">
-                        <span className="text-gray-600">[{sanitize(urlData.contentType || 'Unknown')}]</span> {sanitize(urlData.url || 'N/A')}
-                        {urlData.language && <span className="ml-1 text-gray-500">({sanitize(urlData.language)})</span>}
-                      </li>
-                    )) || <li className="text-gray-500">No URLs available</li>}
-                  </ul>
-                </div>
+          {sortedSegmentQueries.map(({ id, name, color, sorted }) => (
+            <div key={id}>
+              <h3 className="font-medium mb-3" style={{ color }}>Top {sanitize(name)} Queries</h3>
+              <div className="bg-gray-100 p-2 mb-3 rounded flex justify-between">
+                <span>Showing top {Math.min(queryDisplayLimit, sorted.length)} of {sorted.length} {sanitize(name.toLowerCase())} queries</span>
               </div>
-            ))}
-          </div>
-          <div>
-            <h3 className="font-medium mb-3 text-green-600">Top Non-Branded Queries</h3>
-            <div className="bg-gray-100 p-2 mb-3 rounded flex justify-between">
-              <span>Showing top {queryDisplayLimit} of {results.summary?.nonBrandedRows || 0} non-branded queries</span>
-            </div>
-            {sortedNonBrandedQueries.slice(0, queryDisplayLimit).map((queryData, index) => (
-              <div key={`nonbranded-q-${index}`} className="mb-4 p-3 bg-green-50 rounded shadow-sm">
-                <div className="flex justify-between mb-1">
-                  <span className="font-medium">{sanitize(queryData.query || 'N/A')}</span>
-                  <span className="text-sm bg-green-200 text-green-800 px-2 py-0.5 rounded">Clicks: {sanitize(queryData.clicks || 0)}</span>
-                </div>
-                <div className="text-sm grid grid-cols-2 gap-x-4 mb-2">
-                  <div>Impressions: {sanitize(queryData.impressions || 0)}</div>
-                  <div>CTR: {sanitize(((queryData.ctr || 0) * 100).toFixed(1))}%</div>
-                  <div>Avg Position: {sanitize((queryData.avgPosition || 0).toFixed(1))}</div>
-                  <div>Content Types: {sanitize(Array.isArray(queryData.contentTypes) ? queryData.contentTypes.join(', ') : queryData.contentTypes || 'N/A')}</div>
-                </div>
-                <div className="text-sm">
-                  <div className="font-medium mt-1">Landing Pages:</div>
-                  <ul className="mt-1 list-disc list-inside text-xs">
-                    {(queryData.urls || []).map((urlData, urlIndex) => (
-                      <li key={`nonbranded-url-${index}-${urlIndex}`} className="mb-1 truncate">
-                        <span className="text-gray-600">[{sanitize(urlData.contentType || 'Unknown')}]</span> {sanitize(urlData.url || 'N/A')}
-                        {urlData.language && <span className="ml-1 text-gray-500">({sanitize(urlData.language)})</span>}
-                      </li>
-                    )) || <li className="text-gray-500">No URLs available</li>}
-                  </ul>
+              {sorted.slice(0, queryDisplayLimit).map((queryData, index) => (
+                <div key={`${id}-q-${index}`} className="mb-4 p-3 rounded shadow-sm" style={{ backgroundColor: `${color}1A` }}>
+                  <div className="flex justify-between mb-1">
+                    <span className="font-medium">
+                      {sanitize(queryData.query || 'N/A')}
+                      {queryData.scope && <span className="ml-2 text-xs text-gray-500" title="Rows classified with the rules scoped to this language">{sanitize(queryData.scope)} rules</span>}
+                    </span>
+                    <span className="text-sm bg-white px-2 py-0.5 rounded" style={{ color }}>Clicks: {sanitize(queryData.clicks || 0)}</span>
+                  </div>
+                  <div className="mb-1">
+                    <ReclassifyControl query={queryData.query} category={id} overridden={queryData.overridden} segments={segmentList} onReclassify={onReclassify} />
+                  </div>
+                  <DeltaComponent delta={comparison?.queries.get(queryData.key || queryData.query)?.deltas.clicks} />
+                  <div className="text-sm grid grid-cols-2 gap-x-4 mb-2">
+                    <div>Impressions: {sanitize(queryData.impressions || 0)}<DeltaComponent delta={comparison?.queries.get(queryData.key || queryData.query)?.deltas.impressions} metric="impressions" /></div>
+                    <div>CTR: {sanitize(((queryData.ctr || 0) * 100).toFixed(1))}%<DeltaComponent delta={comparison?.queries.get(queryData.key || queryData.query)?.deltas.ctr} metric="ctr" /></div>
+                    <div>Avg Position: {sanitize((queryData.avgPosition || 0).toFixed(1))}<DeltaComponent delta={comparison?.queries.get(queryData.key || queryData.query)?.deltas.avgPosition} metric="avgPosition" /></div>
+                    <div>Content Types: {sanitize(Array.isArray(queryData.contentTypes) ? queryData.contentTypes.join(', ') : queryData.contentTypes || 'N/A')}</div>
+                    {queryData.intent && <div>Intent: {sanitize(INTENT_LABELS[queryData.intent] || queryData.intent)}</div>}
+                    {queryData.confidence !== undefined && (
+                      <div title={sanitize(CLASSIFICATION_CONFIDENCE[queryData.classifiedBy]?.label || '')}>Confidence: {sanitize(queryData.confidence)}%</div>
+                    )}
+                  </div>
+                  <div className="text-sm">
+                    <div className="font-medium mt-1">Landing Pages:</div>
+                    <ul className="mt-1 list-disc list-inside text-xs">
+                      {(queryData.urls || []).map((urlData, urlIndex) => (
+                        <li key={`${id}-url-${index}-${urlIndex}`} className="mb-1 truncate">
+                          <span className="text-gray-600">[{sanitize(urlData.contentType || 'Unknown')}]</span> {sanitize(urlData.url || 'N/A')}
+                          {urlData.language && <span className="ml-1 text-gray-500">({sanitize(urlData.language)})</span>}
+                          <span className="ml-1 text-gray-500">
+                            — {sanitize(urlData.clicks || 0)} clicks, {sanitize(urlData.impressions || 0)} impr., CTR {sanitize(((urlData.ctr || 0) * 100).toFixed(1))}%, pos {sanitize((urlData.avgPosition || 0).toFixed(1))}
+                          </span>
+                        </li>
+                      )) || <li className="text-gray-500">No URLs available</li>}
+                    </ul>
+                  </div>
                 </div>
-              </div>
-            ))}
-          </div>
+              ))}
+            </div>
+          ))}
         </div>
       </div>
     );
   } else if (type === 'dataQuality') {
     const totalRows = results.summary?.totalRows || 0;
     const missingValues = dataQuality?.missingValues || {};
-    const expectedColumns = ['query', 'page', 'clicks', 'impressions', 'ctr', 'position'];
-
-    // Recalculate missing values with normalized keys
-    const recalculateMissingValues = (data) => {
-      const missing = {};
-      expectedColumns.forEach(col => {
-        missing[col] = data.reduce((count, row) => {
-          return count + (row[col] === null || row[col] === undefined || row[col] === '' ? 1 : 0);
-        }, 0);
-      });
-      console.log('Recalculated Missing Values:', missing); // Logging missing values
-      return missing;
-    };
-
-    const normalizedMissingValues = recalculateMissingValues(results.data || []);
+    // Missing values are counted by the analysis worker, which holds the full dataset
+    const expectedColumns = ['query', 'page', 'clicks', 'impressions', 'ctr', 'position'].filter(col => col in missingValues);
+    const normalizedMissingValues = missingValues;
     const completeness = totalRows > 0 && expectedColumns.length > 0
       ? ((totalRows * expectedColumns.length - Object.values(normalizedMissingValues).reduce((sum, val) => sum + val, 0)) / (totalRows * expectedColumns.length) * 100).toFixed(1)
       : 0;
 
-    const consistency = completeness > 0 && results.data && results.data.length >= 2
-      ? (() => {
-          const clicksImpressionsRatio = results.data
-            .map(row => (row.clicks || 0) / (row.impressions || 1))
-            .filter(r => !isNaN(r) && isFinite(r));
-          if (clicksImpressionsRatio.length === 0) return 94.5;
-          const avgRatio = clicksImpressionsRatio.reduce((a, b) => a + b, 0) / clicksImpressionsRatio.length;
-          const stdDev = Math.sqrt(
-            clicksImpressionsRatio.reduce((sum, val) => sum + Math.pow(val - avgRatio, 2), 0) / clicksImpressionsRatio.length
-          );
-          console.log('Consistency Calculation - Avg Ratio:', avgRatio, 'Std Dev:', stdDev); // Logging consistency metrics
-          return (stdDev < 0.1 ? 98 : stdDev < 0.2 ? 95 : 90).toFixed(1);
-        })()
-      : 0;
+    const consistency = completeness > 0 ? Number(dataQuality?.consistency || 0).toFixed(1) : 0;
 
-    const outlierCount = Object.values(dataQuality?.outliers || {}).flat().length;
+    const outlierCount = Object.values(dataQuality?.outlierCounts || {}).reduce((sum, count) => sum + count, 0);
     const outlierScore = outlierCount === 0 ? 100 : Math.max(0, 100 - (outlierCount * 5));
 
     const recalculatedHealthScore = (() => {
@@ -1165,7 +2987,7 @@ export const VisualizationComponent = React.memo(({
                   <li key={`branded-sample-${index}`} className="p-2 bg-white rounded shadow-sm">
                     <div className="flex justify-between">
                       <span className="font-medium">{sanitize(item.query || 'N/A')}</span>
-                      <span className="text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded">branded</span>
+                      <ReclassifyControl query={item.query} category={BRANDED_SEGMENT} overridden={item.overridden} segments={segmentList} onReclassify={onReclassify} />
                     </div>
                     <div className="text-xs text-gray-500 mt-1">Clicks: {sanitize(item.clicks || 0)} | Impressions: {sanitize(item.impressions || 0)}</div>
                   </li>
@@ -1179,7 +3001,7 @@ export const VisualizationComponent = React.memo(({
                   <li key={`nonbranded-sample-${index}`} className="p-2 bg-white rounded shadow-sm">
                     <div className="flex justify-between">
                       <span className="font-medium">{sanitize(item.query || 'N/A')}</span>
-                      <span className="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded">non-branded</span>
+                      <ReclassifyControl query={item.query} category={FALLBACK_SEGMENT} overridden={item.overridden} segments={segmentList} onReclassify={onReclassify} />
                     </div>
                     <div className="text-xs text-gray-500 mt-1">Clicks: {sanitize(item.clicks || 0)} | Impressions: {sanitize(item.impressions || 0)}</div>
                   </li>
@@ -1188,20 +3010,72 @@ export const VisualizationComponent = React.memo(({
             </div>
             <div className="p-4 bg-yellow-50 rounded border">
               <h4 className="font-medium mb-2 text-yellow-800">Borderline Cases</h4>
-              <p className="text-xs text-gray-700 mb-2">Queries containing brand terms but classified as non-branded</p>
+              <p className="text-xs text-gray-700 mb-2">The lowest-confidence classifications: near misses, fuzzy, regex-only and substring matches</p>
+              {(segmentationSamples?.borderline || []).length === 0 && (
+                <p className="text-xs text-gray-500">Every query matched a rule as a whole word or matched none at all.</p>
+              )}
               <ul className="space-y-2">
                 {(segmentationSamples?.borderline || []).map((item, index) => (
                   <li key={`borderline-sample-${index}`} className="p-2 bg-white rounded shadow-sm">
-                    <div className="flex justify-between">
+                    <div className="flex justify-between gap-2">
                       <span className="font-medium">{sanitize(item.query || 'N/A')}</span>
-                      <button className="text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded hover:bg-blue-200">reclassify as branded</button>
+                      <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded whitespace-nowrap">{sanitize(item.confidence)}%</span>
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      {sanitize(segmentList.find(({ id }) => id === item.category)?.name || item.category)}: {sanitize(CLASSIFICATION_CONFIDENCE[item.classifiedBy]?.label || item.classifiedBy)}
+                      {item.nearMissTerm && <> (contains &quot;{sanitize(item.nearMissTerm)}&quot;)</>}
                     </div>
                     <div className="text-xs text-gray-500 mt-1">Clicks: {sanitize(item.clicks || 0)} | Impressions: {sanitize(item.impressions || 0)}</div>
+                    <div className="mt-1">
+                      <ReclassifyControl query={item.query} category={item.category} overridden={item.overridden} segments={segmentList} onReclassify={onReclassify} />
+                    </div>
                   </li>
                 ))}
               </ul>
             </div>
           </div>
+          {segmentationSamples?.fuzzy?.length > 0 && (
+            <div className="mt-4 p-4 bg-purple-50 rounded border">
+              <h4 className="font-medium mb-2 text-purple-800">Fuzzy Matches</h4>
+              <p className="text-xs text-gray-700 mb-2">
+                {segmentationSamples.fuzzy.length.toLocaleString()} queries were assigned to a segment only through fuzzy matching
+                ({segmentationSamples.fuzzy.reduce((sum, item) => sum + (item.clicks || 0), 0).toLocaleString()} clicks)
+                {segmentationSamples.fuzzy.length > MAX_FUZZY_ROWS ? `, top ${MAX_FUZZY_ROWS} by clicks shown` : ''}
+              </p>
+              <div className="max-h-96 overflow-y-auto">
+                <table className="w-full text-sm border-collapse">
+                  <thead>
+                    <tr className="bg-purple-100">
+                      <th className="p-2 border text-left">Query</th>
+                      <th className="p-2 border text-left">Matched Text</th>
+                      <th className="p-2 border text-left">Segment</th>
+                      <th className="p-2 border text-left">Term</th>
+                      <th className="p-2 border text-right">Edits</th>
+                      <th className="p-2 border text-right">Clicks</th>
+                      {onReclassify && <th className="p-2 border text-center">Actions</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {segmentationSamples.fuzzy.slice(0, MAX_FUZZY_ROWS).map((item) => (
+                      <tr key={item.key || item.query} className="bg-white">
+                        <td className="p-2 border">{sanitize(item.query)}</td>
+                        <td className="p-2 border">{sanitize(item.matched)}</td>
+                        <td className="p-2 border">{sanitize(segmentList.find(({ id }) => id === item.segment)?.name || item.segment)}</td>
+                        <td className="p-2 border">{sanitize(item.term)}</td>
+                        <td className="p-2 border text-right">{sanitize(item.distance)}</td>
+                        <td className="p-2 border text-right">{sanitize(item.clicks || 0)}</td>
+                        {onReclassify && (
+                          <td className="p-2 border text-center">
+                            <ReclassifyControl query={item.query} category={item.segment} segments={segmentList} onReclassify={onReclassify} />
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
         </div>
       </div>
     );
@@ -1240,14 +3114,14 @@ export const VisualizationComponent = React.memo(({
       }
 
       // 3. Top Queries Insight
-      const topQuery = [...(results.branded?.samples || []), ...(results.nonBranded?.samples || [])]
+      const topQuery = [...(results.queries || [])]
         .sort((a, b) => (b.clicks || 0) - (a.clicks || 0))[0];
       if (topQuery) {
         insights.push(`Top performing query "${sanitize(topQuery.query || 'pricing')}" with ${sanitize(topQuery.clicks || 942)} clicks may benefit from dedicated content, such as a landing page or blog post, to capitalize on its popularity.`);
       }
 
       // 4. Conversion Potential Insight
-      const conversionPotentialQuery = [...(results.branded?.samples || []), ...(results.nonBranded?.samples || [])]
+      const conversionPotentialQuery = (results.queries || [])
         .filter(query => (query.clicks || 0) > 500 && ((query.ctr || 0) * 100) < 2)
         .sort((a, b) => (b.impressions || 0) - (a.impressions || 0))[0];
       if (conversionPotentialQuery) {
@@ -1296,7 +3170,7 @@ export const VisualizationComponent = React.memo(({
       }
 
       // 10. Cannibalization Insight
-      const queriesWithMultiplePages = (results.branded?.samples || []).concat(results.nonBranded?.samples || [])
+      const queriesWithMultiplePages = (results.queries || [])
         .filter(query => (query.urls || []).length > 1)
         .sort((a, b) => (b.clicks || 0) - (a.clicks || 0))[0];
       if (queriesWithMultiplePages) {
@@ -1348,14 +3222,14 @@ export const VisualizationComponent = React.memo(({
         action: 'Launch a branding campaign to increase branded search volume and awareness.',
         priority: 'Medium',
       }] : []),
-      ...([...(results.branded?.samples || []), ...(results.nonBranded?.samples || [])]
+      ...((results.queries || [])
         .filter(query => (query.clicks || 0) > 500 && ((query.ctr || 0) * 100) < 2)
         .map(query => ({
           insight: 'Conversion Potential',
           action: `Optimize the landing page for "${sanitize(query.query)}" with a strong CTA to improve conversions.`,
           priority: 'High',
         }))),
-      ...((results.branded?.samples || []).concat(results.nonBranded?.samples || [])
+      ...((results.queries || [])
         .filter(query => (query.urls || []).length > 1)
         .map(query => ({
           insight: 'Keyword Cannibalization',
@@ -1428,8 +3302,14 @@ export const VisualizationComponent = React.memo(({
 export const TabsComponent = ({ activeTab, setActiveTab }) => {
   const tabs = [
     { id: 'results', label: 'Results' },
+    { id: 'trends', label: 'Trends' },
+    { id: 'comparison', label: 'Comparison' },
     { id: 'urlAnalysis', label: 'URL Analysis' },
     { id: 'languages', label: 'Languages' },
+    { id: 'contentTypes', label: 'Content Types' },
+    { id: 'countries', label: 'Countries' },
+    { id: 'devices', label: 'Devices' },
+    { id: 'hosts', label: 'Hosts' },
     { id: 'queries', label: 'Queries' },
     { id: 'dataQuality', label: 'Data Quality' },
     { id: 'insights', label: 'Insights' },
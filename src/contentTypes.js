@@ -0,0 +1,109 @@
+// Content-type taxonomy. Rules are checked in order and the first match names the page's
+// type; pages no rule matches get the fallback type. Prefix and regex rules test the URL
+// path with its locale segment removed ("/" for the homepage), contains rules the whole
+// lower-cased URL.
+import { validateCustomRegex } from './regexSafety.js';
+import { pathLocaleOf } from './locale.js';
+
+export const CONTENT_TYPE_MATCHES = [
+  { id: 'prefix', label: 'Path starts with' },
+  { id: 'contains', label: 'URL contains' },
+  { id: 'regex', label: 'Path matches regex' },
+];
+
+let ruleCounter = 0;
+
+export const createContentTypeRule = ({ type = '', match = 'prefix', pattern = '' } = {}) => ({
+  id: `content-type-${Date.now().toString(36)}-${ruleCounter++}`,
+  type,
+  match,
+  pattern,
+});
+
+const defaultRules = (type, match, patterns) => patterns.map((pattern) => ({ type, match, pattern }));
+
+export const DEFAULT_CONTENT_TYPES = {
+  rules: [
+    { type: 'Homepage', match: 'regex', pattern: '^/$' },
+    ...defaultRules('Blog', 'prefix', ['/blog', '/article', '/articles', '/news']),
+    ...defaultRules('Product', 'prefix', ['/product', '/products', '/pricing', '/shop']),
+    ...defaultRules('Support', 'prefix', ['/support', '/help', '/faq']),
+    ...defaultRules('About', 'prefix', ['/about', '/company', '/team']),
+    ...defaultRules('Auth', 'prefix', ['/login', '/signin', '/account']),
+  ].map((rule, index) => ({ ...rule, id: `default-${index}` })),
+  fallback: 'Other',
+};
+
+export const UNKNOWN_CONTENT_TYPE = 'Unknown';
+
+// Compiled URLs are remembered up to this many, then the cache starts over
+const MAX_CACHED_URLS = 50000;
+
+// "/blog" matches "/blog" and "/blog/post" but not "/blogger"; "/blog/" only matches below it
+const matchesPrefix = (path, prefix) => (prefix.endsWith('/')
+  ? path.startsWith(prefix)
+  : path === prefix || path.startsWith(`${prefix}/`));
+
+// Why a rule can't run, or null
+export const contentTypeRuleError = ({ match, pattern }) => {
+  if (!pattern) return 'Enter a pattern';
+  if (match === 'prefix' && !pattern.startsWith('/')) return 'Prefixes start with /';
+  if (match === 'regex') {
+    const validation = validateCustomRegex(pattern, 'i');
+    return validation.valid ? null : validation.message;
+  }
+  return null;
+};
+
+const compileRule = (rule) => {
+  const pattern = String(rule.pattern || '').trim();
+  if (contentTypeRuleError({ ...rule, pattern })) return null;
+  if (rule.match === 'regex') {
+    const regex = new RegExp(pattern, 'i');
+    return { rule, test: ({ path }) => regex.test(path) };
+  }
+  const lower = pattern.toLowerCase();
+  if (rule.match === 'contains') return { rule, test: ({ url }) => url.includes(lower) };
+  return { rule, test: ({ path }) => matchesPrefix(path, lower) };
+};
+
+// The lower-cased URL and its path without the leading locale segment
+const parseTarget = (url, localeAliases) => {
+  let pathname;
+  try {
+    pathname = new URL(url.startsWith('http') ? url : `https://${url}`).pathname;
+  } catch {
+    pathname = '/';
+  }
+  const segments = pathname.toLowerCase().split('/').filter(Boolean);
+  const locale = pathLocaleOf(segments, localeAliases);
+  if (locale) segments.splice(locale.index, 1);
+  return { url: url.toLowerCase(), path: `/${segments.join('/')}` };
+};
+
+// `taxonomy` is `{ rules, fallback }`; rules with an invalid pattern are skipped.
+// `localeAliases` (see parseLocaleAliases) decide whether the leading path segment is the locale.
+// `typeOf(url)` returns `{ type, rule }`, `rule` being the matching rule or null.
+export const compileContentTypes = (taxonomy = DEFAULT_CONTENT_TYPES, { localeAliases = {} } = {}) => {
+  const compiled = (taxonomy?.rules || []).filter(({ type }) => type).map(compileRule).filter(Boolean);
+  const fallback = taxonomy?.fallback || DEFAULT_CONTENT_TYPES.fallback;
+  const cache = new Map();
+
+  const typeOf = (url) => {
+    if (!url) return { type: UNKNOWN_CONTENT_TYPE, rule: null };
+    const key = String(url);
+    if (cache.has(key)) return cache.get(key);
+    const target = parseTarget(key, localeAliases);
+    const match = compiled.find(({ test }) => test(target));
+    const result = match ? { type: match.rule.type, rule: match.rule } : { type: fallback, rule: null };
+    if (cache.size >= MAX_CACHED_URLS) cache.clear();
+    cache.set(key, result);
+    return result;
+  };
+  return { typeOf };
+};
+
+// "Path starts with /blog", or the fallback note for unmatched URLs
+export const describeContentTypeRule = (rule) => (rule
+  ? `${CONTENT_TYPE_MATCHES.find(({ id }) => id === rule.match)?.label || rule.match} ${rule.pattern}`
+  : 'No rule matched (fallback)');
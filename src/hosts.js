@@ -0,0 +1,39 @@
+// Hosts and sites. Every page's hostname is a host; sites are user-defined groups of
+// hosts, e.g. "Acme UK" for acme.co.uk and *.acme.co.uk. A host belongs to the first
+// site listing it and hosts no site lists form a site of their own.
+
+let siteCounter = 0;
+
+export const createSiteGroup = (fields = {}) => ({
+  id: `site-${Date.now().toString(36)}-${siteCounter++}`,
+  name: 'New Site',
+  hosts: [],
+  ...fields,
+});
+
+// Host patterns are lower-cased; "www.acme.com" matches that host only, "*.acme.com"
+// every subdomain of acme.com but not acme.com itself
+export const parseHostPatterns = (text) => String(text || '')
+  .split(/[\s,]+/)
+  .map((pattern) => pattern.trim().toLowerCase())
+  .filter(Boolean);
+
+const matchesHost = (host, pattern) => (pattern.startsWith('*.')
+  ? host.endsWith(pattern.slice(1))
+  : host === pattern);
+
+// `siteOf(host)` returns the name of the host's site
+export const compileSiteGroups = (groups = []) => {
+  const named = groups.filter(({ name, hosts }) => name && hosts?.length);
+  const cache = new Map();
+  return {
+    siteOf: (host) => {
+      if (!host) return null;
+      if (!cache.has(host)) {
+        const group = named.find(({ hosts }) => hosts.some((pattern) => matchesHost(host, pattern)));
+        cache.set(host, group ? group.name : host);
+      }
+      return cache.get(host);
+    },
+  };
+};
@@ -0,0 +1,190 @@
+// Search Console UI exports name their first column after the table ("Top queries",
+// "Top pages"), so headers are mapped onto the canonical names used by the analysis.
+export const COLUMN_ALIASES = {
+  query: ['query', 'queries', 'top queries'],
+  page: ['page', 'pages', 'top pages'],
+  clicks: ['clicks'],
+  impressions: ['impressions'],
+  ctr: ['ctr'],
+  position: ['position'],
+  country: ['country', 'countries'],
+  device: ['device', 'devices'],
+  date: ['date', 'dates'],
+  filter: ['filter'],
+  value: ['value'],
+};
+
+const METRIC_COLUMNS = ['clicks', 'impressions', 'ctr', 'position'];
+
+// Sheet types in order of detection. `full` is the classic query + page export that
+// the analysis was built around; the others are the single-dimension tables in the ZIP.
+export const SHEET_TYPES = [
+  { id: 'full', label: 'Queries by page', required: ['query', 'page', ...METRIC_COLUMNS] },
+  { id: 'queries', label: 'Queries', required: ['query', ...METRIC_COLUMNS] },
+  { id: 'pages', label: 'Pages', required: ['page', ...METRIC_COLUMNS] },
+  { id: 'countries', label: 'Countries', required: ['country', ...METRIC_COLUMNS] },
+  { id: 'devices', label: 'Devices', required: ['device', ...METRIC_COLUMNS] },
+  { id: 'dates', label: 'Dates', required: ['date', ...METRIC_COLUMNS] },
+  { id: 'filters', label: 'Filters', required: ['filter', 'value'] },
+];
+
+const aliasLookup = Object.entries(COLUMN_ALIASES).reduce((lookup, [column, aliases]) => {
+  aliases.forEach((alias) => { lookup[alias] = column; });
+  return lookup;
+}, {});
+
+export const canonicalColumn = (header) => {
+  const key = String(header || '').trim().toLowerCase();
+  return aliasLookup[key] || key;
+};
+
+// The header each canonical column is read from, for a row store's selectColumns. When
+// two headers name the same column the later one wins.
+export const canonicalColumnSources = (headers) =>
+  Object.fromEntries(headers.map((header) => [canonicalColumn(header), header]));
+
+export const detectSheetType = (fields) => {
+  const columns = new Set(fields.map(canonicalColumn));
+  return SHEET_TYPES.find((type) => type.required.every((col) => columns.has(col))) || null;
+};
+
+// The sheet that drives brand classification: the full query + page table when present,
+// otherwise the Queries table from a Search Console ZIP.
+export const primarySheet = (sheets) => sheets.full || sheets.queries || null;
+
+// Column mapping for sources that don't use Search Console headers. A mapping points each
+// canonical column at a header of the uploaded file; page, ctr and position are optional.
+export const MAPPABLE_COLUMNS = [
+  { id: 'query', label: 'Query', required: true },
+  { id: 'page', label: 'Landing page', required: false },
+  { id: 'clicks', label: 'Clicks', required: true },
+  { id: 'impressions', label: 'Impressions', required: true },
+  { id: 'ctr', label: 'CTR', required: false },
+  { id: 'position', label: 'Position', required: false },
+];
+
+// Built-in presets list candidate headers per column; the first one present in the file wins.
+// Ahrefs and Semrush report estimated traffic and search volume rather than clicks and
+// impressions, so those are used as the closest equivalents.
+export const BUILTIN_COLUMN_PRESETS = [
+  {
+    name: 'Bing Webmaster Tools',
+    mapping: { query: ['Keyword', 'Query'], page: ['Page', 'URL'], clicks: ['Clicks'], impressions: ['Impressions'], ctr: ['CTR'], position: ['Avg. Position', 'Avg Position', 'Average Position'] },
+  },
+  {
+    name: 'Ahrefs organic keywords',
+    mapping: { query: ['Keyword'], page: ['Current URL', 'URL'], clicks: ['Current organic traffic', 'Organic traffic', 'Traffic'], impressions: ['Volume'], ctr: [], position: ['Current position', 'Position'] },
+  },
+  {
+    name: 'Semrush organic positions',
+    mapping: { query: ['Keyword'], page: ['URL'], clicks: ['Traffic'], impressions: ['Search Volume'], ctr: [], position: ['Position'] },
+  },
+  {
+    name: 'Search Console (German)',
+    mapping: { query: ['Häufigste Suchanfragen', 'Suchanfrage'], page: ['Häufigste Seiten', 'Seite'], clicks: ['Klicks'], impressions: ['Impressionen'], ctr: ['CTR', 'Klickrate'], position: ['Position'] },
+  },
+  {
+    name: 'Search Console (Spanish)',
+    mapping: { query: ['Consultas principales', 'Consulta'], page: ['Páginas principales', 'Página'], clicks: ['Clics'], impressions: ['Impresiones'], ctr: ['CTR'], position: ['Posición'] },
+  },
+  {
+    name: 'Search Console (French)',
+    mapping: { query: ['Requêtes les plus fréquentes', 'Requête'], page: ['Pages les plus populaires', 'Page'], clicks: ['Clics'], impressions: ['Impressions'], ctr: ['CTR'], position: ['Position'] },
+  },
+  {
+    name: 'Search Console (Portuguese)',
+    mapping: { query: ['Principais consultas', 'Consulta'], page: ['Principais páginas', 'Página'], clicks: ['Cliques'], impressions: ['Impressões'], ctr: ['CTR'], position: ['Posição'] },
+  },
+  {
+    name: 'Search Console (Russian)',
+    mapping: { query: ['Самые популярные запросы', 'Запрос'], page: ['Самые популярные страницы', 'Страница'], clicks: ['Клики'], impressions: ['Показы'], ctr: ['CTR'], position: ['Позиция'] },
+  },
+];
+
+const normalizeHeader = (header) => String(header || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const HEADER_SYNONYMS = {
+  query: ['query', 'queries', 'top queries', 'keyword', 'keywords', 'search term', 'search query', 'search terms'],
+  page: ['page', 'pages', 'top pages', 'url', 'landing page', 'landing pages', 'address', 'current url'],
+  clicks: ['clicks', 'click', 'traffic', 'organic traffic', 'visits', 'sessions'],
+  impressions: ['impressions', 'impr', 'search volume', 'volume'],
+  ctr: ['ctr', 'click through rate', 'clickthrough rate'],
+  position: ['position', 'avg position', 'average position', 'avg pos', 'pos', 'rank', 'ranking', 'current position'],
+};
+
+// Every header a built-in preset knows about is also a synonym for guessing
+BUILTIN_COLUMN_PRESETS.forEach(({ mapping }) => {
+  Object.entries(mapping).forEach(([column, headers]) => {
+    headers.forEach((header) => HEADER_SYNONYMS[column].push(normalizeHeader(header)));
+  });
+});
+
+// Guesses a header for each column: exact synonym matches first, then headers that
+// contain a synonym as a whole word (e.g. "Avg. pos" -> position). A header is used once.
+export const guessColumnMapping = (fields) => {
+  const mapping = {};
+  const used = new Set();
+  const normalized = fields.map((field) => ({ field, key: normalizeHeader(field) }));
+  const pick = (column, matches) => {
+    const hit = normalized.find(({ field, key }) => !used.has(field) && HEADER_SYNONYMS[column].some((synonym) => matches(key, synonym)));
+    if (!hit) return false;
+    mapping[column] = hit.field;
+    used.add(hit.field);
+    return true;
+  };
+  MAPPABLE_COLUMNS.forEach(({ id }) => {
+    mapping[id] = null;
+    if (!pick(id, (key, synonym) => key === synonym)) {
+      pick(id, (key, synonym) => ` ${key} `.includes(` ${synonym} `));
+    }
+  });
+  return mapping;
+};
+
+export const resolvePresetMapping = (preset, fields) => {
+  const byKey = new Map(fields.map((field) => [normalizeHeader(field), field]));
+  return Object.fromEntries(MAPPABLE_COLUMNS.map(({ id }) => {
+    const candidates = [].concat(preset.mapping[id] || []);
+    const match = candidates.map((header) => byKey.get(normalizeHeader(header))).find(Boolean);
+    return [id, match || null];
+  }));
+};
+
+export const missingMappedColumns = (mapping) =>
+  MAPPABLE_COLUMNS.filter(({ id, required }) => required && !mapping[id]).map(({ id }) => id);
+
+// The mapped header each canonical column is read from, for a row store's selectColumns.
+// Values stay as text until the number format is confirmed; a missing CTR column is
+// derived from clicks and impressions at that point.
+export const mappedColumnSources = (mapping) =>
+  Object.fromEntries(MAPPABLE_COLUMNS.filter(({ id }) => mapping[id]).map(({ id }) => [id, mapping[id]]));
+
+const PRESET_STORAGE_KEY = 'brandTrafficColumnPresets';
+
+export const loadColumnPresets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '[]');
+  } catch (e) {
+    console.warn('Could not read saved column presets', e);
+    return [];
+  }
+};
+
+// Saved presets store the exact headers the user confirmed, replacing any preset with the same name
+export const saveColumnPreset = (name, mapping) => {
+  const preset = { name, mapping: Object.fromEntries(Object.entries(mapping).map(([column, header]) => [column, header ? [header] : []])) };
+  const presets = [...loadColumnPresets().filter((p) => p.name !== name), preset];
+  localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+};
+
+export const deleteColumnPreset = (name) => {
+  const presets = loadColumnPresets().filter((p) => p.name !== name);
+  localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+};
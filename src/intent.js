@@ -0,0 +1,133 @@
+// Rule-based search intent. Each query gets one intent from modifier dictionaries per
+// language; when several match, navigational wins over transactional, transactional over
+// commercial and commercial over informational. A modifier ending in `*` matches any word
+// starting with it ("review*" matches "reviews"), otherwise modifiers match whole words.
+import { createNormalizer } from './textNormalization.js';
+
+export const INTENTS = [
+  { id: 'navigational', label: 'Navigational', color: '#8884D8' },
+  { id: 'transactional', label: 'Transactional', color: '#FF7300' },
+  { id: 'commercial', label: 'Commercial', color: '#FFBB28' },
+  { id: 'informational', label: 'Informational', color: '#00C49F' },
+];
+
+export const UNKNOWN_INTENT = { id: 'other', label: 'Other', color: '#BBBBBB' };
+
+export const INTENT_LANGUAGES = [
+  { id: 'en', label: 'English' },
+  { id: 'de', label: 'German' },
+  { id: 'fr', label: 'French' },
+  { id: 'es', label: 'Spanish' },
+  { id: 'it', label: 'Italian' },
+  { id: 'pt', label: 'Portuguese' },
+  { id: 'nl', label: 'Dutch' },
+  { id: 'ru', label: 'Russian' },
+];
+
+export const DEFAULT_INTENT_MODIFIERS = {
+  en: {
+    informational: ['how', 'what', 'why', 'when', 'where', 'who', 'guide', 'tutorial', 'tips', 'ideas', 'meaning', 'definition', 'example*', 'learn'],
+    commercial: ['best', 'top', 'vs', 'versus', 'review*', 'compare', 'comparison', 'alternative*', 'rating*'],
+    transactional: ['buy', 'price*', 'pricing', 'cost', 'cheap', 'deal*', 'discount*', 'coupon*', 'promo', 'order', 'sale', 'shop', 'for sale', 'free trial'],
+    navigational: ['login', 'log in', 'sign in', 'sign up', 'account', 'website', 'official', 'contact', 'support', 'customer service', 'app', 'download'],
+  },
+  de: {
+    informational: ['wie', 'was', 'warum', 'wann', 'wo', 'wer', 'anleitung', 'tipps', 'bedeutung', 'beispiel*'],
+    commercial: ['beste*', 'test', 'vergleich', 'erfahrung*', 'bewertung*', 'alternative*'],
+    transactional: ['kaufen', 'preis*', 'kosten', 'günstig', 'angebot*', 'rabatt*', 'gutschein*', 'bestellen'],
+    navigational: ['anmelden', 'login', 'konto', 'kontakt', 'kundenservice', 'webseite', 'offiziell*'],
+  },
+  fr: {
+    informational: ['comment', 'quoi', 'pourquoi', 'quand', 'où', 'qui', 'guide', 'tutoriel', 'conseils', 'définition'],
+    commercial: ['meilleur*', 'comparatif', 'avis', 'test', 'alternative*'],
+    transactional: ['acheter', 'prix', 'pas cher', 'promo*', 'réduction', 'code promo', 'commander', 'soldes'],
+    navigational: ['connexion', 'se connecter', 'compte', 'contact', 'service client', 'site officiel'],
+  },
+  es: {
+    informational: ['cómo', 'como', 'qué', 'que es', 'por qué', 'cuándo', 'dónde', 'guía', 'tutorial', 'consejos', 'significado'],
+    commercial: ['mejor*', 'comparativa', 'opiniones', 'reseña*', 'alternativa*'],
+    transactional: ['comprar', 'precio*', 'barato*', 'oferta*', 'descuento*', 'cupón', 'pedir'],
+    navigational: ['iniciar sesión', 'login', 'cuenta', 'contacto', 'atención al cliente', 'sitio oficial'],
+  },
+  it: {
+    informational: ['come', 'cosa', 'perché', 'quando', 'dove', 'chi', 'guida', 'consigli', 'significato'],
+    commercial: ['migliore', 'migliori', 'confronto', 'recension*', 'opinioni', 'alternativ*'],
+    transactional: ['comprare', 'acquista*', 'prezz*', 'economic*', 'offert*', 'sconto', 'coupon', 'ordinare'],
+    navigational: ['accedi', 'login', 'account', 'contatti', 'assistenza clienti', 'sito ufficiale'],
+  },
+  pt: {
+    informational: ['como', 'o que', 'por que', 'quando', 'onde', 'quem', 'guia', 'tutorial', 'dicas', 'significado'],
+    commercial: ['melhor*', 'comparação', 'comparativo', 'review', 'avaliaç*', 'alternativa*'],
+    transactional: ['comprar', 'preço*', 'barato*', 'oferta*', 'desconto*', 'cupom', 'cupão', 'encomendar'],
+    navigational: ['entrar', 'login', 'conta', 'contato', 'contacto', 'atendimento', 'site oficial'],
+  },
+  nl: {
+    informational: ['hoe', 'wat', 'waarom', 'wanneer', 'waar', 'wie', 'handleiding', 'tips', 'betekenis'],
+    commercial: ['beste', 'vergelijk*', 'review*', 'ervaring*', 'alternatie*'],
+    transactional: ['kopen', 'prijs', 'prijzen', 'goedkoop', 'aanbieding*', 'korting*', 'bestellen'],
+    navigational: ['inloggen', 'login', 'account', 'contact', 'klantenservice', 'officiële website'],
+  },
+  ru: {
+    informational: ['как', 'что', 'почему', 'когда', 'где', 'кто', 'инструкция', 'советы', 'значение'],
+    commercial: ['лучш*', 'сравнение', 'отзыв*', 'обзор*', 'рейтинг', 'аналог*'],
+    transactional: ['купить', 'цена', 'цены', 'стоимость', 'дешев*', 'недорого', 'скидк*', 'промокод', 'заказать'],
+    navigational: ['вход', 'войти', 'личный кабинет', 'аккаунт', 'контакты', 'официальный сайт'],
+  },
+};
+
+const WORD_CHARACTER = '[\\p{L}\\p{N}]';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One regex per intent and language, or null when the dictionary is empty
+const compileModifiers = (modifiers, normalize) => {
+  const alternatives = (modifiers || [])
+    .map((modifier) => normalize(String(modifier).trim()).toLowerCase())
+    .filter((modifier) => modifier && modifier !== '*')
+    .map((modifier) => (modifier.endsWith('*')
+      ? `${escapeRegex(modifier.slice(0, -1))}${WORD_CHARACTER}*`
+      : escapeRegex(modifier)));
+  if (!alternatives.length) return null;
+  return new RegExp(`(?<!${WORD_CHARACTER})(?:${alternatives.join('|')})(?!${WORD_CHARACTER})`, 'u');
+};
+
+// Lower-case tokens of the site's own sections, e.g. "blog" from /blog, for the
+// brand + site section rule
+const sectionWords = (paths) => new Set(paths
+  .flatMap((path) => String(path).toLowerCase().split(/[^\p{L}\p{N}]+/u))
+  .filter((word) => word.length >= 3 && word !== 'homepage'));
+
+// `modifiers` is `{ [language]: { [intent]: string[] } }`. Queries in a language with a
+// dictionary use it plus English; other queries use every dictionary. Own-brand queries
+// that name one of `sitePaths` ("acme blog") are navigational.
+export const compileIntentClassifier = (modifiers = DEFAULT_INTENT_MODIFIERS, { normalization, sitePaths = [] } = {}) => {
+  const normalize = createNormalizer(normalization);
+  const compiled = Object.fromEntries(Object.entries(modifiers || {}).map(([language, dictionary]) => [
+    language,
+    Object.fromEntries(INTENTS.map(({ id }) => [id, compileModifiers(dictionary?.[id], normalize)])),
+  ]));
+  const allLanguages = Object.keys(compiled);
+  const sections = sectionWords(sitePaths);
+
+  // "es-es" uses the "es" dictionary
+  const dictionariesFor = (language) => {
+    const base = language ? language.split(/[-_]/)[0] : null;
+    if (!base || !compiled[base]) return allLanguages;
+    return [base, ...(base !== 'en' && compiled.en ? ['en'] : [])];
+  };
+
+  return (query, { language = null, branded = false } = {}) => {
+    const text = normalize(String(query || '')).toLowerCase();
+    const languages = dictionariesFor(language);
+    if (branded && text.split(/[^\p{L}\p{N}]+/u).some((word) => sections.has(word))) return 'navigational';
+    return INTENTS.find(({ id }) => languages.some((lang) => compiled[lang][id]?.test(text)))?.id || UNKNOWN_INTENT.id;
+  };
+};
+
+// Dictionaries saved by the user only override the languages and intents they contain
+export const mergeIntentModifiers = (saved) => Object.fromEntries(
+  [...new Set([...Object.keys(DEFAULT_INTENT_MODIFIERS), ...Object.keys(saved || {})])].map((language) => [
+    language,
+    { ...DEFAULT_INTENT_MODIFIERS[language], ...saved?.[language] },
+  ]),
+);
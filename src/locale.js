@@ -0,0 +1,163 @@
+// URL locale detection. Each source reads a locale from one part of the URL: a path
+// segment (/en-gb/), a query parameter (?hl=fr), a language subdomain (de.example.com)
+// or a country-code domain (example.fr). Sources are tried in the configured order; the
+// first one naming a language sets it, and the region comes from the first source with a
+// region that doesn't name a different language (example.ch + /fr/ is fr-CH).
+//
+// Only the leading path segment is read as a locale. Tokens are read as language codes
+// wherever they appear, so "uk" is Ukrainian in /uk/ and in uk.example.com alike.
+// User-defined aliases ("uk=en-gb") remap a token for the path, query and subdomain
+// sources together.
+
+export const LANGUAGE_CODES = new Set([
+  'en', 'es', 'es-es', 'de', 'fr', 'pt', 'ru', 'it', 'pl', 'zh', 'zh-hant', 'zh-hans', 'ja', 'uk', 'id', 'lv',
+  'ar', 'bg', 'ca', 'cs', 'da', 'el', 'fi', 'he', 'hi', 'hr', 'hu', 'ko', 'lt', 'nl', 'no', 'ro', 'sk', 'sl', 'sr', 'sv', 'th', 'tr', 'vi'
+]);
+
+export const LOCALE_SOURCES = [
+  { id: 'path', label: 'First path segment', example: '/en-gb/' },
+  { id: 'query', label: 'Query parameter', example: '?hl=fr' },
+  { id: 'subdomain', label: 'Subdomain', example: 'de.example.com' },
+  { id: 'tld', label: 'Country domain', example: 'example.fr' },
+];
+
+export const DEFAULT_LOCALE_SOURCES = LOCALE_SOURCES.map(({ id }) => ({ id, enabled: true }));
+
+export const UNKNOWN_LOCALE = 'unknown';
+
+const LOCALE_PARAMETERS = ['lang', 'hl', 'locale', 'language', 'lng'];
+
+// Country-code domains and the language they imply; null where several languages are
+// common and the domain only tells the region. Generic-use domains (.co, .io, .me, .tv)
+// are left out.
+const COUNTRY_DOMAINS = {
+  ar: 'es', at: 'de', au: 'en', be: null, bg: 'bg', br: 'pt', ca: null, ch: null, cl: 'es', cn: 'zh',
+  cz: 'cs', de: 'de', dk: 'da', ee: null, es: 'es', fi: 'fi', fr: 'fr', gr: 'el', hr: 'hr', hu: 'hu',
+  ie: 'en', il: 'he', in: null, it: 'it', jp: 'ja', kr: 'ko', lt: 'lt', lu: null, lv: 'lv', mx: 'es',
+  nl: 'nl', no: 'no', nz: 'en', pe: 'es', pl: 'pl', pt: 'pt', ro: 'ro', rs: 'sr', ru: 'ru', se: 'sv',
+  si: 'sl', sk: 'sk', th: 'th', tr: 'tr', tw: 'zh', ua: 'uk', uk: 'en', vn: 'vi',
+};
+
+// The ISO region of a country-code domain where it differs from the domain
+const DOMAIN_REGIONS = { uk: 'GB' };
+
+// ISO 3166-1 alpha-2 country codes and the UN M.49 area codes used in locales (es-419).
+// A path segment like /no-go/ or /it-ok/ has a language code in front but isn't a locale.
+const REGIONS = new Set([
+  'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY',
+  'BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK',
+  'FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR',
+  'IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK',
+  'ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM',
+  'PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF',
+  'TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW',
+  '001 002 003 005 009 011 013 014 015 017 018 019 021 029 030 034 035 039 053 054 057 061 142 143 145 150 151 154 155 202 419',
+].join(' ').split(' '));
+
+// Regions written the way sites often do but ISO doesn't
+const REGION_ALIASES = { UK: 'GB' };
+
+const LOCALE_PATTERN = /^([a-z]{2,3})(?:[-_]([a-z]{4}))?(?:[-_]([a-z]{2}|\d{3}))?$/i;
+
+// "en-GB", "pt_br" and "zh-Hant" -> `{ tag, language, region }` with a lower-case tag
+// ("en-gb") and an upper-case region ("GB"), or null when the text isn't a locale of a
+// known language and region. "en-uk" reads as en-gb.
+export const parseLocale = (text) => {
+  const match = LOCALE_PATTERN.exec(String(text || '').trim());
+  if (!match) return null;
+  const [, language, script, region] = match.map((part) => part && part.toLowerCase());
+  const base = script ? `${language}-${script}` : language;
+  if (!LANGUAGE_CODES.has(base) && !LANGUAGE_CODES.has(language)) return null;
+  const code = region ? REGION_ALIASES[region.toUpperCase()] || region.toUpperCase() : null;
+  if (code && !REGIONS.has(code)) return null;
+  return {
+    tag: [base, code && code.toLowerCase()].filter(Boolean).join('-'),
+    language: base,
+    region: code,
+  };
+};
+
+// "uk=en-gb, gb=en-gb" -> `{ uk: 'en-gb', gb: 'en-gb' }`; pairs whose target isn't a
+// locale are dropped
+export const parseLocaleAliases = (text) => Object.fromEntries(String(text || '')
+  .split(/[,\n]/)
+  .map((pair) => pair.split('=').map((part) => part.trim().toLowerCase()))
+  .filter(([token, target]) => token && parseLocale(target))
+  .map(([token, target]) => [token, parseLocale(target).tag]));
+
+export const formatLocaleAliases = (aliases) => Object.entries(aliases || {}).map(([token, target]) => `${token}=${target}`).join(', ');
+
+// A path segment, parameter value or subdomain read as a locale, after `aliases`
+const tokenLocale = (token, aliases) => {
+  const key = String(token || '').trim().toLowerCase();
+  return parseLocale(Object.prototype.hasOwnProperty.call(aliases, key) ? aliases[key] : key);
+};
+
+// The locale of the leading path segment, with its index so callers can drop it. Later
+// segments are slugs and IDs, where /products/id/ or /tags/it-ok/ only look like locales.
+export const pathLocaleOf = (segments, aliases = {}) => {
+  const locale = segments.length ? tokenLocale(segments[0], aliases) : null;
+  return locale ? { ...locale, index: 0 } : null;
+};
+
+const DETECTORS = {
+  path: (url, aliases) => pathLocaleOf(url.pathname.split('/').filter(Boolean), aliases),
+  query: (url, aliases) => {
+    const parameter = LOCALE_PARAMETERS.find((name) => url.searchParams.has(name));
+    return parameter ? tokenLocale(url.searchParams.get(parameter), aliases) : null;
+  },
+  // Only below a registered domain: de.example.com, but not example.com
+  subdomain: (url, aliases) => {
+    const labels = url.hostname.split('.');
+    return labels.length > 2 ? tokenLocale(labels[0], aliases) : null;
+  },
+  tld: (url) => {
+    const domain = url.hostname.split('.').pop().toLowerCase();
+    if (!(domain in COUNTRY_DOMAINS)) return null;
+    const region = DOMAIN_REGIONS[domain] || domain.toUpperCase();
+    const language = COUNTRY_DOMAINS[domain];
+    return { language, region };
+  },
+};
+
+// `sources` is an ordered list of `{ id, enabled }` and `aliases` maps tokens to locale
+// tags (see parseLocaleAliases). Returns `resolve(url)` taking a URL object and returning
+// `{ tag, language, region }`; `tag` and `language` are 'unknown' when no enabled source
+// names a language.
+export const createLocaleResolver = (sources = DEFAULT_LOCALE_SOURCES, aliases = {}) => {
+  const detectors = (sources || DEFAULT_LOCALE_SOURCES)
+    .filter(({ id, enabled }) => enabled && DETECTORS[id])
+    .map(({ id }) => DETECTORS[id]);
+  return (url) => {
+    const found = detectors.map((detect) => detect(url, aliases || {})).filter(Boolean);
+    const language = found.find((locale) => locale.language)?.language;
+    if (!language) return { tag: UNKNOWN_LOCALE, language: UNKNOWN_LOCALE, region: null };
+    const region = found.find((locale) => locale.region && (!locale.language || locale.language === language))?.region || null;
+    return { tag: region ? `${language}-${region.toLowerCase()}` : language, language, region };
+  };
+};
+
+// Sources saved by the user keep their order; sources added since are appended enabled
+export const mergeLocaleSources = (saved) => {
+  const known = (saved || []).filter(({ id }) => DETECTORS[id]);
+  return [...known, ...DEFAULT_LOCALE_SOURCES.filter(({ id }) => !known.some((source) => source.id === id))];
+};
+
+let displayNames = null;
+try {
+  displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+} catch {
+  // Older runtimes show the code instead
+}
+
+// "en-gb" -> "British English", falling back to the capitalized code
+export const localeName = (tag) => {
+  if (!tag || tag === UNKNOWN_LOCALE) return 'Unknown';
+  try {
+    const name = displayNames?.of(tag);
+    if (name && name.toLowerCase() !== tag) return name;
+  } catch {
+    // Not a valid BCP 47 tag
+  }
+  return tag.charAt(0).toUpperCase() + tag.slice(1);
+};
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocaleResolver, parseLocaleAliases, parseLocale } from './locale.js';
+import { processCsvData } from './utils.js';
+
+const tagOf = (resolve, url) => resolve(new URL(url)).tag;
+
+test('a token means the same locale in the path and the subdomain', () => {
+  const resolve = createLocaleResolver();
+  assert.equal(tagOf(resolve, 'https://example.com/uk/shoes'), 'uk');
+  assert.equal(tagOf(resolve, 'https://uk.example.com/shoes'), 'uk');
+});
+
+test('aliases remap a token in every source', () => {
+  const resolve = createLocaleResolver(undefined, parseLocaleAliases('uk=en-gb, gb = en_GB, xx=nope'));
+  assert.equal(tagOf(resolve, 'https://example.com/uk/shoes'), 'en-gb');
+  assert.equal(tagOf(resolve, 'https://uk.example.com/shoes'), 'en-gb');
+  assert.equal(tagOf(resolve, 'https://example.com/shoes?lang=gb'), 'en-gb');
+  assert.deepEqual(parseLocaleAliases('uk=en-gb, gb = en_GB, xx=nope'), { uk: 'en-gb', gb: 'en-gb' });
+});
+
+test('only the leading path segment is read as a locale', () => {
+  const resolve = createLocaleResolver();
+  ['https://example.com/blog/no-go', 'https://example.com/tags/it-ok', 'https://example.com/products/id/123', 'https://example.com/a/hi']
+    .forEach((url) => assert.equal(tagOf(resolve, url), 'unknown', url));
+  assert.equal(tagOf(resolve, 'https://example.com/en-gb/blog/no-go'), 'en-gb');
+});
+
+test('regions must be ISO country codes or UN area codes', () => {
+  assert.equal(parseLocale('no-go'), null);
+  assert.equal(parseLocale('it-ok'), null);
+  assert.equal(parseLocale('es-419').tag, 'es-419');
+  assert.equal(parseLocale('es-123'), null);
+  assert.deepEqual(parseLocale('en_UK'), { tag: 'en-gb', language: 'en', region: 'GB' });
+});
+
+test('slugs that look like locales stay in the page path', async () => {
+  const rows = ['blog/no-go', 'tags/it-ok', 'products/id/123', 'a/hi', 'it-ok/x']
+    .map((path) => ({ query: path, page: `https://example.com/${path}`, clicks: 1, impressions: 10, position: 1 }));
+  const { urlData } = await processCsvData(rows, { detectLanguageCodes: true, pathLevel: 'full' });
+  assert.deepEqual(urlData.map(({ path }) => path).sort(), ['/a/hi', '/blog/no-go', '/it-ok/x', '/products/id/123', '/tags/it-ok']);
+});
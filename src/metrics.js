@@ -0,0 +1,67 @@
+// Shared metrics engine for segments, paths, languages, content types and queries.
+// Clicks and impressions are summed, CTR is derived from the sums and position is
+// weighted by impressions, the same way Search Console reports aggregated position.
+
+export const createMetrics = () => ({ rows: 0, clicks: 0, impressions: 0, positionWeight: 0, positionSum: 0 });
+
+export const addMetrics = (metrics, { clicks = 0, impressions = 0, position = 0 }) => {
+  metrics.rows++;
+  metrics.clicks += clicks;
+  metrics.impressions += impressions;
+  metrics.positionWeight += position * impressions;
+  metrics.positionSum += position;
+  return metrics;
+};
+
+// Adds the raw sums of one metrics bucket to another, e.g. days into a week
+export const mergeMetrics = (metrics, other) => {
+  metrics.rows += other.rows;
+  metrics.clicks += other.clicks;
+  metrics.impressions += other.impressions;
+  metrics.positionWeight += other.positionWeight;
+  metrics.positionSum += other.positionSum;
+  return metrics;
+};
+
+export const finalizeMetrics = ({ rows, clicks, impressions, positionWeight, positionSum }) => ({
+  rows,
+  clicks,
+  impressions,
+  ctr: impressions > 0 ? clicks / impressions : 0,
+  // Rows without impressions carry no weight, so fall back to the plain mean
+  avgPosition: impressions > 0 ? positionWeight / impressions : (rows ? positionSum / rows : 0),
+});
+
+// A breakdown holds the total for a dimension value plus one metrics bucket per segment
+export const createBreakdown = () => ({ total: createMetrics(), segments: {} });
+
+export const addToBreakdown = (breakdown, segment, values) => {
+  addMetrics(breakdown.total, values);
+  breakdown.segments[segment] = addMetrics(breakdown.segments[segment] || createMetrics(), values);
+  return breakdown;
+};
+
+export const finalizeBreakdown = (breakdown) => ({
+  total: finalizeMetrics(breakdown.total),
+  segments: Object.fromEntries(
+    Object.entries(breakdown.segments).map(([segment, metrics]) => [segment, finalizeMetrics(metrics)])
+  ),
+});
+
+export const SHARE_BASES = [
+  { id: 'queries', label: 'Query count', field: 'rows' },
+  { id: 'clicks', label: 'Clicks', field: 'clicks' },
+  { id: 'impressions', label: 'Impressions', field: 'impressions' },
+];
+
+const basisField = (basis) => (SHARE_BASES.find((b) => b.id === basis) || SHARE_BASES[0]).field;
+
+// Absolute value of a segment on the chosen basis (rows, clicks or impressions)
+export const segmentValue = (breakdown, segment, basis = 'queries') =>
+  breakdown?.segments?.[segment]?.[basisField(basis)] || 0;
+
+// Percentage of a dimension value that belongs to a segment on the chosen basis
+export const segmentShare = (breakdown, segment, basis = 'queries') => {
+  const total = breakdown?.total?.[basisField(basis)] || 0;
+  return total ? (segmentValue(breakdown, segment, basis) / total) * 100 : 0;
+};
@@ -0,0 +1,130 @@
+// Locale-aware parsing for the metric columns. Exports are read as text so that values
+// like "1.234" (European thousands) or "12,5 %" aren't mangled by the CSV parser; the
+// number format is detected from a sample of the file and confirmed by the user.
+
+export const NUMBER_LOCALES = [
+  { id: 'en', label: 'Decimal point (1,234.5)', decimal: '.', group: ',' },
+  { id: 'eu', label: 'Decimal comma (1.234,5 or 1 234,5)', decimal: ',', group: '.' },
+];
+
+export const CTR_FORMATS = [
+  { id: 'percent', label: 'Percentage (12.5 or 12.5%)' },
+  { id: 'fraction', label: 'Fraction (0.125)' },
+];
+
+export const DEFAULT_NUMBER_FORMAT = { locale: 'en', ctr: 'percent' };
+
+export const METRIC_COLUMNS = ['clicks', 'impressions', 'ctr', 'position'];
+
+const DETECTION_SAMPLE_ROWS = 2000;
+
+// Spaces (including the non-breaking and narrow no-break spaces used by French and
+// Nordic locales) and apostrophes (Swiss) only ever group digits
+const GROUPING_CHARACTERS = /[\s'\u2019]/g;
+
+const localeById = (id) => NUMBER_LOCALES.find((locale) => locale.id === id) || NUMBER_LOCALES[0];
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const stripNumberText = (value) => String(value).replace(GROUPING_CHARACTERS, '').replace(/%/g, '');
+
+// Returns NaN for blank or non-numeric values so callers can tell them apart from zero
+export const parseLocaleNumber = (value, localeId = DEFAULT_NUMBER_FORMAT.locale) => {
+  if (typeof value === 'number') return value;
+  if (isBlank(value)) return NaN;
+  const { decimal, group } = localeById(localeId);
+  const text = stripNumberText(value).split(group).join('').replace(decimal, '.');
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text) ? Number(text) : NaN;
+};
+
+// CTR is stored as a fraction, matching the ctr computed by the metrics engine
+export const parseCtr = (value, { locale, ctr } = DEFAULT_NUMBER_FORMAT) => {
+  const number = parseLocaleNumber(value, locale);
+  if (isNaN(number)) return NaN;
+  return ctr === 'fraction' && !String(value).includes('%') ? number : number / 100;
+};
+
+// Votes for the decimal separator of a single value. Clicks and impressions are whole
+// numbers, so a lone separator followed by exactly three digits is a thousands separator.
+const voteDecimal = (votes, value, isCount) => {
+  const text = stripNumberText(value);
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  if (lastDot >= 0 && lastComma >= 0) {
+    votes[lastDot > lastComma ? '.' : ','] += 2;
+    return;
+  }
+  const separator = lastDot >= 0 ? '.' : lastComma >= 0 ? ',' : null;
+  if (!separator) return;
+  const other = separator === '.' ? ',' : '.';
+  if (text.indexOf(separator) !== text.lastIndexOf(separator)) {
+    votes[other]++;
+  } else if (text.length - text.lastIndexOf(separator) - 1 !== 3) {
+    votes[separator]++;
+  } else if (isCount) {
+    votes[other]++;
+  }
+};
+
+// CTR convention: an explicit % sign settles it; otherwise compare the values against
+// clicks / impressions, and fall back to "all values <= 1 means fractions"
+const detectCtrFormat = (rows, locale) => {
+  const ctrRows = rows.filter((row) => !isBlank(row.ctr));
+  if (!ctrRows.length) return DEFAULT_NUMBER_FORMAT.ctr;
+  if (ctrRows.some((row) => String(row.ctr).includes('%'))) return 'percent';
+
+  const votes = { percent: 0, fraction: 0 };
+  let maxCtr = 0;
+  ctrRows.forEach((row) => {
+    const ctr = parseLocaleNumber(row.ctr, locale);
+    const clicks = parseLocaleNumber(row.clicks, locale);
+    const impressions = parseLocaleNumber(row.impressions, locale);
+    if (isNaN(ctr)) return;
+    maxCtr = Math.max(maxCtr, ctr);
+    if (!(impressions > 0) || isNaN(clicks) || ctr === 0) return;
+    const expected = clicks / impressions;
+    votes[Math.abs(ctr - expected) <= Math.abs(ctr / 100 - expected) ? 'fraction' : 'percent']++;
+  });
+  if (votes.percent !== votes.fraction) return votes.percent > votes.fraction ? 'percent' : 'fraction';
+  return maxCtr <= 1 ? 'fraction' : 'percent';
+};
+
+// Samples the metric columns of the given rows and infers the decimal separator and CTR
+// convention. `evidence` counts the values that pointed at each separator.
+export const detectNumberFormat = (rows) => {
+  const sample = rows.slice(0, DETECTION_SAMPLE_ROWS);
+  const votes = { '.': 0, ',': 0 };
+  sample.forEach((row) => {
+    METRIC_COLUMNS.forEach((column) => {
+      if (!isBlank(row[column]) && typeof row[column] !== 'number') {
+        voteDecimal(votes, row[column], column === 'clicks' || column === 'impressions');
+      }
+    });
+  });
+  const locale = votes[','] > votes['.'] ? 'eu' : 'en';
+  return {
+    locale,
+    ctr: detectCtrFormat(sample, locale),
+    evidence: { decimalPoint: votes['.'], decimalComma: votes[','] },
+    ambiguous: votes['.'] > 0 && votes['.'] === votes[','],
+  };
+};
+
+const toMetric = (number) => (isNaN(number) ? null : number);
+
+// Converts the metric columns of every row to numbers (CTR as a fraction), in place so a
+// large upload isn't copied. Unparseable values become null so they show up as missing in
+// the data quality report. Sources without a CTR column get one derived from clicks and impressions.
+export const applyNumberFormat = (rows, format = DEFAULT_NUMBER_FORMAT) => {
+  rows.forEach((row) => {
+    ['clicks', 'impressions', 'position'].forEach((column) => {
+      if (column in row) row[column] = toMetric(parseLocaleNumber(row[column], format.locale));
+    });
+    if ('ctr' in row) {
+      row.ctr = toMetric(parseCtr(row.ctr, format));
+    } else if ('clicks' in row && 'impressions' in row) {
+      row.ctr = row.impressions > 0 ? (row.clicks || 0) / row.impressions : 0;
+    }
+  });
+  return rows;
+};
@@ -0,0 +1,34 @@
+// Manual reclassifications. An override pins a query to a segment ahead of every rule
+// and the custom regex. Overrides are matched on the trimmed, lower-cased query, the way
+// Search Console reports queries.
+import { CLASSIFICATION_CONFIDENCE } from './segments.js';
+
+export const overrideKey = (query) => String(query || '').trim().toLowerCase();
+
+// Adds or replaces the override for `query`
+export const setOverride = (overrides, query, segment) => [
+  ...overrides.filter((override) => overrideKey(override.query) !== overrideKey(query)),
+  { query: String(query).trim(), segment, createdAt: new Date().toISOString() },
+];
+
+export const removeOverride = (overrides, query) =>
+  overrides.filter((override) => overrideKey(override.query) !== overrideKey(query));
+
+// Wraps a compileSegments classifier. Overrides pointing at a segment that no longer
+// exists are ignored, so the query falls back to the rules.
+export const applyOverrides = (classifier, overrides = [], segments = []) => {
+  const segmentIds = new Set(segments.map(({ id }) => id));
+  const pinned = new Map(overrides
+    .filter(({ segment }) => segmentIds.has(segment))
+    .map(({ query, segment }) => [overrideKey(query), segment]));
+  if (!pinned.size) return { ...classifier, isOverridden: () => false };
+  return {
+    ...classifier,
+    classify: (query, language) => pinned.get(overrideKey(query)) || classifier.classify(query, language),
+    isOverridden: (query) => pinned.has(overrideKey(query)),
+    termSetOf: (query, segmentId, language) => (pinned.has(overrideKey(query)) ? null : classifier.termSetOf(query, segmentId, language)),
+    confidenceOf: (query, segmentId, language) => (pinned.has(overrideKey(query))
+      ? { reason: 'override', score: CLASSIFICATION_CONFIDENCE.override.score }
+      : classifier.confidenceOf(query, segmentId, language)),
+  };
+};
@@ -0,0 +1,153 @@
+// Static safety check for user-supplied regular expressions. JavaScript regexes can't be
+// interrupted once running, so patterns that can backtrack catastrophically are rejected
+// before they ever run. The check is conservative: it looks for the constructs behind
+// exponential backtracking rather than trying to prove a pattern slow.
+//
+// Rejected:
+// - nested repetition, e.g. (a+)+, (\w*\s?)*, (x{2,})+
+// - repeated groups with optional or variable-width parts, e.g. (\w\w?){18}, (ab?)+
+// - repeated groups whose alternatives aren't distinct literals, e.g. (a|ab)*, (\w|\d)+
+// - backreferences, e.g. (a)\1
+// - repetition counts above MAX_REPEAT_COUNT, e.g. a{1,100000}
+// - wide repetitions with only optional atoms between them, e.g. .*.*, \w+\s*\w+, which
+//   backtrack polynomially
+// - more than MAX_WIDE_REPETITIONS wide repetitions, e.g. .*a.*b.*c.*d
+//
+// A repetition is wide when it is unbounded or its count range is above MAX_BOUNDED_SPAN.
+
+const MAX_REPEAT_COUNT = 1000;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_BOUNDED_SPAN = 16;
+const MAX_WIDE_REPETITIONS = 3;
+
+const REGEX_SPECIALS = /[\\^$.|?*+()[\]{}]/;
+
+// Reads a quantifier at `index`: its length, whether it can repeat its atom, whether the
+// repetition is wide, whether it can skip the atom, whether the number of repetitions can
+// vary and the largest count written in braces
+const readQuantifier = (pattern, index) => {
+  const char = pattern[index];
+  if (char === '*' || char === '+') return { length: 1, repeats: true, wide: true, optional: char === '*', variable: true, count: 0 };
+  if (char === '?') return { length: 1, repeats: false, wide: false, optional: true, variable: true, count: 0 };
+  if (char !== '{') return null;
+  const match = pattern.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+  if (!match) return null;
+  const min = Number(match[1]);
+  const max = match[2] ? (match[3] === '' ? Infinity : Number(match[3])) : min;
+  return {
+    length: match[0].length,
+    repeats: max > 1,
+    wide: max - min > MAX_BOUNDED_SPAN,
+    optional: min === 0,
+    variable: min !== max,
+    count: Math.max(min, max === Infinity ? 0 : max),
+  };
+};
+
+// Anchors and word boundaries match no characters, so they don't separate repetitions
+const isZeroWidth = (atom) => ['^', '$', '\\b', '\\B'].includes(atom);
+
+// Alternatives of a repeated group are safe when they are plain literals and none is a
+// prefix of another, so each position in the input can only be consumed one way
+const hasAmbiguousAlternatives = (alternatives) => {
+  if (alternatives.some((alternative) => !alternative || REGEX_SPECIALS.test(alternative))) return true;
+  return alternatives.some((a, i) => alternatives.some((b, j) => i !== j && b.startsWith(a)));
+};
+
+const rejection = (message) => ({ valid: false, message });
+
+export const validateCustomRegex = (pattern, flags = '') => {
+  if (!pattern) return rejection('Enter a pattern');
+  if (pattern.length > MAX_PATTERN_LENGTH) return rejection(`Patterns are limited to ${MAX_PATTERN_LENGTH} characters`);
+  try {
+    new RegExp(pattern, flags);
+  } catch (err) {
+    return rejection(err.message);
+  }
+
+  // One frame per open group: whether it contains repetition, whether it contains a
+  // quantifier whose count can vary (so its width can), the raw text of its top-level
+  // alternatives, and whether a wide repetition may still run into the next
+  // atom (`open`): on entry, in the current alternative and at the end of any alternative
+  const stack = [{ repeats: false, variable: false, alternatives: [''], start: 0, openOnEntry: false, open: false, openOnExit: false }];
+  let lastAtom = null;
+  let wideRepetitions = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const frame = stack[stack.length - 1];
+    const quantifier = readQuantifier(pattern, i);
+
+    if (quantifier && lastAtom) {
+      if (quantifier.count > MAX_REPEAT_COUNT) return rejection(`Repetition counts above ${MAX_REPEAT_COUNT} aren't allowed`);
+      if (quantifier.repeats && lastAtom.group) {
+        if (lastAtom.group.repeats) return rejection(`Nested repetition near "${pattern.slice(lastAtom.start, i + quantifier.length)}" can take exponential time`);
+        // A group that can match different lengths can split the same input many ways
+        // across its repetitions, e.g. (\w\w?){18}
+        if (lastAtom.group.variable) return rejection(`Repeated group near "${pattern.slice(lastAtom.start, i + quantifier.length)}" has optional parts and can take exponential time`);
+        if (lastAtom.group.alternatives.length > 1 && hasAmbiguousAlternatives(lastAtom.group.alternatives)) {
+          return rejection(`Repeated alternation near "${pattern.slice(lastAtom.start, i + quantifier.length)}" can take exponential time; use distinct literal alternatives`);
+        }
+      }
+      if (quantifier.wide) {
+        if (lastAtom.openBefore) return rejection(`Repetitions near "${pattern.slice(lastAtom.start, i + quantifier.length)}" follow another repetition and can take polynomial time; separate them with a required literal`);
+        wideRepetitions++;
+        if (wideRepetitions > MAX_WIDE_REPETITIONS) return rejection(`Patterns may have at most ${MAX_WIDE_REPETITIONS} unbounded repetitions such as .* or \\w+`);
+        frame.open = true;
+      } else if (quantifier.optional) {
+        frame.open = lastAtom.openBefore || frame.open;
+      }
+      if (quantifier.repeats) frame.repeats = true;
+      if (quantifier.variable) frame.variable = true;
+      frame.alternatives[frame.alternatives.length - 1] += pattern.slice(i, i + quantifier.length);
+      i += quantifier.length - 1;
+      // A lazy `?` suffix belongs to the quantifier
+      if (pattern[i + 1] === '?') i++;
+      lastAtom = null;
+      continue;
+    }
+
+    if (char === '\\') {
+      const escape = pattern.slice(i, i + 2);
+      if (/^\\[1-9]$/.test(escape) || pattern.startsWith('\\k<', i)) return rejection('Backreferences aren\'t allowed');
+      frame.alternatives[frame.alternatives.length - 1] += escape;
+      lastAtom = { start: i, openBefore: frame.open };
+      if (!isZeroWidth(escape)) frame.open = false;
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; it matches a single character
+      let end = i + 1;
+      if (pattern[end] === '^') end++;
+      if (pattern[end] === ']') end++;
+      while (end < pattern.length && pattern[end] !== ']') end += pattern[end] === '\\' ? 2 : 1;
+      frame.alternatives[frame.alternatives.length - 1] += pattern.slice(i, end + 1);
+      lastAtom = { start: i, openBefore: frame.open };
+      frame.open = false;
+      i = end;
+    } else if (char === '(') {
+      const opener = pattern.slice(i).match(/^\((\?(:|=|!|<=|<!|<[A-Za-z_$][\w$]*>))?/)[0];
+      // Lookarounds match no characters, so they neither continue nor break a run
+      const lookaround = /^\(\?(=|!|<=|<!)/.test(opener);
+      stack.push({ repeats: false, variable: false, alternatives: [''], start: i, lookaround, openOnEntry: frame.open, open: lookaround ? false : frame.open, openOnExit: false });
+      i += opener.length - 1;
+      lastAtom = null;
+    } else if (char === ')') {
+      const group = stack.pop();
+      const parent = stack[stack.length - 1];
+      if (group.repeats) parent.repeats = true;
+      if (group.variable) parent.variable = true;
+      parent.alternatives[parent.alternatives.length - 1] += pattern.slice(group.start, i + 1);
+      if (!group.lookaround) parent.open = group.openOnExit || group.open;
+      lastAtom = { start: group.start, group, openBefore: group.openOnEntry };
+    } else if (char === '|') {
+      frame.openOnExit = frame.openOnExit || frame.open;
+      frame.open = frame.lookaround ? false : frame.openOnEntry;
+      frame.alternatives.push('');
+      lastAtom = null;
+    } else {
+      frame.alternatives[frame.alternatives.length - 1] += char;
+      lastAtom = { start: i, openBefore: frame.open };
+      if (!isZeroWidth(char)) frame.open = false;
+    }
+  }
+  return { valid: true, message: null };
+};
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCustomRegex } from './regexSafety.js';
+
+const isValid = (pattern) => validateCustomRegex(pattern, 'i').valid;
+
+test('adjacent unbounded repetitions are rejected', () => {
+  assert.equal(isValid('.*.*.*.*.*.*x'), false);
+  assert.equal(isValid('\\w*\\w*\\w*\\w*\\w*\\w*\\w*!'), false);
+  assert.equal(isValid('\\w+\\s*\\w+'), false);
+  assert.equal(isValid('(\\w*)(\\w*)'), false);
+  assert.equal(isValid('.*\\b.*'), false);
+  assert.equal(isValid('a.{0,1000}.{0,1000}'), false);
+});
+
+test('patterns with more than three unbounded repetitions are rejected', () => {
+  assert.equal(isValid('a.*b.*c.*d'), true);
+  assert.equal(isValid('a.*b.*c.*d.*e'), false);
+});
+
+test('common brand patterns stay valid', () => {
+  ['acme.*corp', '^acme.*(shoes|boots).*$', 'acme|acmecorp', '\\bacme\\b', '\\d{2}-?\\d{2}', 'colou?r', '(acme)?.*corp', 'acme(corp)?.*']
+    .forEach((pattern) => assert.equal(isValid(pattern), true, pattern));
+});
+
+test('repeated groups with optional or variable-width parts are rejected', () => {
+  ['(?:\\w\\w?){18}!', '(?:\\w\\w?)+', '(?:ab?){2,}', '(?:a{1,2}b?){5}', '(?:(?:x)?y)*', '(?:a|ab){18}', '(?:a|ab){2}x']
+    .forEach((pattern) => assert.equal(isValid(pattern), false, pattern));
+  ['(?:\\w\\w){18}!', '(?:ab){2,}', '(?:acme|shoes)+', '(colou?r)?'].forEach((pattern) => assert.equal(isValid(pattern), true, pattern));
+});
@@ -0,0 +1,40 @@
+import { validateCustomRegex } from './regexSafety.js';
+
+// Runs the regex tester off the page so a slow pattern can't freeze typing. Results are
+// cached per pattern and distinct query, since the sample often repeats queries and the
+// same pattern is re-tested as the rest of the configuration changes. The page stops the
+// worker when a request runs past its time budget; the budget is also checked here
+// between queries so a run that is merely slow ends cleanly.
+const MAX_CACHED_PATTERNS = 20;
+const cache = new Map();
+
+const resultsFor = (pattern, flags) => {
+  const key = `${flags}/${pattern}`;
+  if (!cache.has(key)) {
+    if (cache.size >= MAX_CACHED_PATTERNS) cache.delete(cache.keys().next().value);
+    cache.set(key, { regex: new RegExp(pattern, flags), matches: new Map() });
+  }
+  return cache.get(key);
+};
+
+self.onmessage = ({ data: { id, pattern, flags, queries, budgetMs } }) => {
+  const validation = validateCustomRegex(pattern, flags);
+  if (!validation.valid) {
+    self.postMessage({ id, type: 'error', message: validation.message });
+    return;
+  }
+  const { regex, matches } = resultsFor(pattern, flags);
+  const deadline = performance.now() + budgetMs;
+  const result = [];
+  for (const query of queries) {
+    if (!matches.has(query)) {
+      if (performance.now() > deadline) {
+        self.postMessage({ id, type: 'timeout' });
+        return;
+      }
+      matches.set(query, regex.test(query));
+    }
+    result.push(matches.get(query));
+  }
+  self.postMessage({ id, type: 'done', matches: result });
+};
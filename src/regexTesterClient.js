@@ -0,0 +1,63 @@
+// Promise wrapper around the regex tester worker. test() resolves with one boolean per
+// query. A request that runs past `budgetMs` stops the worker and rejects with an error
+// flagged `timeout`; a newer request replaces a running one, which rejects with an error
+// flagged `superseded`.
+const DEFAULT_BUDGET_MS = 500;
+
+export const createRegexTester = ({ budgetMs = DEFAULT_BUDGET_MS } = {}) => {
+  let worker = null;
+  let current = null;
+  let nextId = 0;
+
+  const stopWorker = () => {
+    if (worker) worker.terminate();
+    worker = null;
+  };
+
+  const settle = (error, matches) => {
+    const request = current;
+    current = null;
+    clearTimeout(request.timer);
+    if (error) request.reject(error);
+    else request.resolve(matches);
+  };
+
+  const startWorker = () => {
+    worker = new Worker(new URL('./regexTester.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      if (!current || data.id !== current.id) return;
+      if (data.type === 'done') settle(null, data.matches);
+      else if (data.type === 'timeout') settle(Object.assign(new Error('The pattern took too long to test'), { timeout: true }));
+      else settle(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      stopWorker();
+      if (current) settle(new Error(event.message || 'Regex tester failed'));
+    };
+  };
+
+  const test = (pattern, flags, queries) => new Promise((resolve, reject) => {
+    if (current) {
+      // The worker may be stuck in the old pattern, so it can't be reused
+      stopWorker();
+      settle(Object.assign(new Error('Replaced by a newer test'), { superseded: true }));
+    }
+    if (!worker) startWorker();
+    const id = ++nextId;
+    // Past the budget, with some slack for the worker's own check, the worker is
+    // assumed stuck in a single match and is stopped
+    const timer = setTimeout(() => {
+      stopWorker();
+      settle(Object.assign(new Error('The pattern took too long to test'), { timeout: true }));
+    }, budgetMs * 2);
+    current = { id, resolve, reject, timer };
+    worker.postMessage({ id, pattern, flags, queries, budgetMs });
+  });
+
+  const terminate = () => {
+    stopWorker();
+    if (current) settle(Object.assign(new Error('Regex tester stopped'), { superseded: true }));
+  };
+
+  return { test, terminate };
+};
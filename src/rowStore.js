@@ -0,0 +1,150 @@
+// Compact table for the rows the analysis worker keeps between analyses. Text columns are
+// dictionary-encoded: each distinct value is stored once and every row holds a 32-bit
+// code, so a query or URL repeated across dates and pages costs 4 bytes per row instead
+// of a property on a row object. Metric columns become Float64Arrays once the number
+// format is applied. Rows are built one at a time when read; forEach, map, filter, some,
+// every, slice and `length` behave like their array counterparts, so a store can be passed
+// where the analysis, the data quality report or brand discovery expect an array of rows.
+
+const INITIAL_CAPACITY = 1024;
+// Code of a text cell whose row has no value for the column
+const ABSENT = -1;
+
+const createTextColumn = (capacity) => ({ numeric: false, values: [], lookup: new Map(), cells: new Int32Array(capacity).fill(ABSENT) });
+
+// Metric cells hold NaN where the value is missing or unparseable; they read back as null
+const createNumberColumn = (capacity) => ({ numeric: true, cells: new Float64Array(capacity).fill(NaN) });
+
+const grow = (column, capacity) => {
+  const cells = column.numeric ? new Float64Array(capacity).fill(NaN) : new Int32Array(capacity).fill(ABSENT);
+  cells.set(column.cells);
+  return { ...column, cells };
+};
+
+const writeText = (column, index, value) => {
+  if (value === undefined) return;
+  let code = column.lookup.get(value);
+  if (code === undefined) {
+    code = column.values.length;
+    column.values.push(value);
+    column.lookup.set(value, code);
+  }
+  column.cells[index] = code;
+};
+
+export const createRowStore = () => {
+  let columns = new Map();
+  let length = 0;
+  let capacity = INITIAL_CAPACITY;
+
+  const rowAt = (index) => {
+    const row = {};
+    columns.forEach((column, name) => {
+      const cell = column.cells[index];
+      if (column.numeric) row[name] = Number.isNaN(cell) ? null : cell;
+      else if (cell !== ABSENT) row[name] = column.values[cell];
+    });
+    return row;
+  };
+
+  const push = (row) => {
+    if (length === capacity) {
+      capacity *= 2;
+      columns = new Map([...columns].map(([name, column]) => [name, grow(column, capacity)]));
+    }
+    Object.keys(row).forEach((name) => {
+      if (!columns.has(name)) columns.set(name, createTextColumn(capacity));
+      const column = columns.get(name);
+      if (column.numeric) column.cells[length] = row[name] === null || row[name] === undefined ? NaN : Number(row[name]);
+      else writeText(column, length, row[name]);
+    });
+    length++;
+  };
+
+  const forEach = (callback) => {
+    for (let index = 0; index < length; index++) callback(rowAt(index), index);
+  };
+
+  return {
+    get length() {
+      return length;
+    },
+    push,
+    rowAt,
+    columnNames: () => [...columns.keys()],
+    // Each value of a text column once; may include values of rows since dropped by keep()
+    distinctValues: (name) => (columns.get(name)?.values || []).slice(),
+    forEach,
+    map: (callback) => {
+      const mapped = new Array(length);
+      forEach((row, index) => { mapped[index] = callback(row, index); });
+      return mapped;
+    },
+    filter: (callback) => {
+      const kept = [];
+      forEach((row, index) => { if (callback(row, index)) kept.push(row); });
+      return kept;
+    },
+    some: (callback) => {
+      for (let index = 0; index < length; index++) if (callback(rowAt(index), index)) return true;
+      return false;
+    },
+    every: (callback) => {
+      for (let index = 0; index < length; index++) if (!callback(rowAt(index), index)) return false;
+      return true;
+    },
+    slice: (start = 0, end = length) => {
+      const rows = [];
+      for (let index = Math.max(0, start); index < Math.min(end, length); index++) rows.push(rowAt(index));
+      return rows;
+    },
+
+    // Replaces the columns with `sources`, an object naming the existing column each new
+    // column is read from. Columns left out are dropped; a missing source is skipped.
+    selectColumns: (sources) => {
+      columns = new Map(Object.entries(sources)
+        .filter(([, source]) => columns.has(source))
+        .map(([name, source]) => [name, columns.get(source)]));
+    },
+
+    // Rewrites `names` as metric columns. `convert` gets each row's values for those
+    // columns and returns them as numbers (or null); it may add columns, such as a CTR
+    // derived from clicks and impressions.
+    convertColumns: (names, convert) => {
+      const converted = new Map();
+      for (let index = 0; index < length; index++) {
+        const values = {};
+        names.forEach((name) => {
+          const column = columns.get(name);
+          if (!column) return;
+          const cell = column.cells[index];
+          if (column.numeric) values[name] = Number.isNaN(cell) ? null : cell;
+          else if (cell !== ABSENT) values[name] = column.values[cell];
+        });
+        Object.entries(convert(values)).forEach(([name, value]) => {
+          if (!converted.has(name)) converted.set(name, createNumberColumn(capacity));
+          converted.get(name).cells[index] = value === null || value === undefined ? NaN : value;
+        });
+      }
+      converted.forEach((column, name) => columns.set(name, column));
+    },
+
+    // Drops the rows `predicate` rejects, in place
+    keep: (predicate) => {
+      let kept = 0;
+      for (let index = 0; index < length; index++) {
+        if (!predicate(rowAt(index), index)) continue;
+        if (kept !== index) columns.forEach((column) => { column.cells[kept] = column.cells[index]; });
+        kept++;
+      }
+      columns.forEach((column) => { column.cells.fill(column.numeric ? NaN : ABSENT, kept, length); });
+      length = kept;
+    },
+  };
+};
+
+export const rowStoreFrom = (rows) => {
+  const store = createRowStore();
+  rows.forEach((row) => store.push(row));
+  return store;
+};
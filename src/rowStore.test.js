@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRowStore, rowStoreFrom } from './rowStore.js';
+import { canonicalColumnSources } from './ingest.js';
+import { applyNumberFormat, METRIC_COLUMNS } from './numberFormat.js';
+import { findDuplicateRows } from './utils.js';
+
+test('rows read back as they were pushed, past the initial capacity', () => {
+  const store = createRowStore();
+  for (let index = 0; index < 3000; index++) store.push({ Query: `query ${index % 7}`, Clicks: String(index) });
+  assert.equal(store.length, 3000);
+  assert.deepEqual(store.rowAt(2999), { Query: 'query 3', Clicks: '2999' });
+  assert.equal(store.filter((row) => row.Query === 'query 0').length, 429);
+});
+
+test('columns are renamed, converted to numbers and filtered in place', () => {
+  const store = rowStoreFrom([
+    { 'Top queries': 'acme', Clicks: '1,200', Impressions: '2,400' },
+    { 'Top queries': 'acme', Clicks: '1,200', Impressions: '2,400' },
+    { 'Top queries': 'boots', Clicks: 'n/a', Impressions: '10' },
+  ]);
+  store.selectColumns(canonicalColumnSources(store.columnNames()));
+  store.convertColumns(METRIC_COLUMNS, (values) => applyNumberFormat([values])[0]);
+  assert.deepEqual(store.rowAt(0), { query: 'acme', clicks: 1200, impressions: 2400, ctr: 0.5 });
+  assert.equal(store.rowAt(2).clicks, null);
+
+  const seen = new Set();
+  store.keep((row) => !seen.has(row.query) && seen.add(row.query));
+  assert.deepEqual(store.map((row) => row.query), ['acme', 'boots']);
+});
+
+test('duplicate rows point at the first row with the same key', () => {
+  const rows = [
+    { query: 'acme', page: 'https://example.com/', date: '2024-01-01' },
+    { query: 'acme', page: 'https://example.com/', date: '2024-01-02' },
+    { query: 'acme', page: 'https://example.com/', date: '2024-01-01' },
+    { query: 'boots', page: 'https://example.com/' },
+    { query: 'boots', page: 'https://example.com/' },
+  ];
+  assert.deepEqual([...findDuplicateRows(rowStoreFrom(rows))], [-1, -1, 0, -1, 3]);
+  assert.deepEqual([...findDuplicateRows(rows)], [-1, -1, 0, -1, 3]);
+});
@@ -0,0 +1,103 @@
+// Search Console API connector. Search Analytics rows are fetched page by page and
+// flattened into the same row objects a CSV upload produces, then loaded into the
+// analysis worker like an upload.
+//
+// All HTTP goes through a transport: `request({ method, path, body, signal })` resolving
+// to the parsed JSON response. createFetchTransport talks to Google (or a local stand-in
+// server via `baseUrl`); createFixtureTransport replays recorded responses.
+
+export const SEARCH_CONSOLE_API_URL = 'https://www.googleapis.com/webmasters/v3';
+
+export const SEARCH_CONSOLE_DIMENSIONS = ['query', 'page', 'date', 'country', 'device'];
+
+// The API's maximum page size
+export const MAX_ROW_LIMIT = 25000;
+
+// API rows are already numeric and report CTR as a fraction
+export const SEARCH_CONSOLE_NUMBER_FORMAT = { locale: 'en', ctr: 'fraction' };
+
+const apiError = (status, payload) => {
+  const message = payload?.error?.message || `Request failed with status ${status}`;
+  return Object.assign(new Error(`Search Console API error (${status}): ${message}`), { status });
+};
+
+export const createFetchTransport = ({ accessToken, baseUrl = SEARCH_CONSOLE_API_URL, fetchFn = fetch }) =>
+  async ({ method = 'GET', path, body, signal }) => {
+    const response = await fetchFn(`${baseUrl.replace(/\/$/, '')}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal,
+    });
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) throw apiError(response.status, payload);
+    return payload;
+  };
+
+// Replays recorded `{ request: { method, path, body }, response }` pairs. Requests are
+// matched on method, path and body; a `status` >= 400 on a fixture is raised as an API error.
+export const createFixtureTransport = (fixtures) => async ({ method = 'GET', path, body }) => {
+  const key = JSON.stringify([method, path, body || null]);
+  const fixture = fixtures.find(({ request }) => JSON.stringify([request.method || 'GET', request.path, request.body || null]) === key);
+  if (!fixture) throw new Error(`No recorded response for ${method} ${path}`);
+  if (fixture.status >= 400) throw apiError(fixture.status, fixture.response);
+  return fixture.response;
+};
+
+export const listSites = async (transport) => {
+  const payload = await transport({ path: '/sites' });
+  return (payload?.siteEntry || [])
+    .filter((site) => site.permissionLevel !== 'siteUnverifiedUser')
+    .map((site) => site.siteUrl)
+    .sort();
+};
+
+const toRow = (dimensions, { keys = [], clicks = 0, impressions = 0, ctr = 0, position = 0 }) => {
+  const row = {};
+  dimensions.forEach((dimension, index) => { row[dimension] = keys[index]; });
+  return { ...row, clicks, impressions, ctr, position };
+};
+
+// Pages through searchAnalytics.query until a short page comes back or `maxRows` is reached.
+// Dates are YYYY-MM-DD; `onProgress` gets the number of rows fetched so far.
+export const fetchSearchAnalytics = async ({
+  transport,
+  siteUrl,
+  startDate,
+  endDate,
+  dimensions = SEARCH_CONSOLE_DIMENSIONS,
+  searchType = 'web',
+  rowLimit = MAX_ROW_LIMIT,
+  maxRows = Infinity,
+  onProgress,
+  signal,
+}) => {
+  if (!siteUrl) throw new Error('Choose a Search Console property');
+  if (!startDate || !endDate || startDate > endDate) throw new Error('Choose a valid date range');
+
+  const path = `/sites/${encodeURIComponent(siteUrl)}/searchAnalytics/query`;
+  const pageSize = Math.min(rowLimit, MAX_ROW_LIMIT);
+  const rows = [];
+  for (let startRow = 0; rows.length < maxRows; startRow += pageSize) {
+    const body = { startDate, endDate, dimensions, searchType, rowLimit: pageSize, startRow };
+    const payload = await transport({ method: 'POST', path, body, signal });
+    const page = payload?.rows || [];
+    for (let i = 0; i < page.length && rows.length < maxRows; i++) rows.push(toRow(dimensions, page[i]));
+    if (onProgress) onProgress(rows.length);
+    if (page.length < pageSize) break;
+  }
+  return rows;
+};
+
+// Fetches a property's rows (see fetchSearchAnalytics for `options`) and loads them into
+// `analysisClient` as the primary sheet. Resolves to `{ name, sheets }` for the upload flow.
+export const importSearchConsole = async ({ analysisClient, ...options }) => {
+  const rows = await fetchSearchAnalytics(options);
+  if (!rows.length) throw new Error('Search Console returned no rows for this property and date range');
+  const name = `Search Console: ${options.siteUrl} (${options.startDate} – ${options.endDate})`;
+  const { sheets } = await analysisClient.loadRows(name, rows, SEARCH_CONSOLE_NUMBER_FORMAT);
+  return { name, sheets };
+};
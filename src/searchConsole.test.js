@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureTransport, listSites, importSearchConsole } from './searchConsole.js';
+
+const SITE = 'https://example.com/';
+const PATH = `/sites/${encodeURIComponent(SITE)}/searchAnalytics/query`;
+const query = (startRow) => ({
+  method: 'POST',
+  path: PATH,
+  body: { startDate: '2024-01-01', endDate: '2024-01-31', dimensions: ['query', 'page'], searchType: 'web', rowLimit: 2, startRow },
+});
+
+const fixtures = [
+  { request: { path: '/sites' }, response: { siteEntry: [{ siteUrl: SITE, permissionLevel: 'siteOwner' }, { siteUrl: 'https://other.com/', permissionLevel: 'siteUnverifiedUser' }] } },
+  { request: query(0), response: { rows: [
+    { keys: ['acme', `${SITE}a`], clicks: 10, impressions: 100, ctr: 0.1, position: 1.5 },
+    { keys: ['shoes', `${SITE}b`], clicks: 2, impressions: 50, ctr: 0.04, position: 8 },
+  ] } },
+  { request: query(2), response: { rows: [{ keys: ['acme shoes', `${SITE}a`], clicks: 5, impressions: 20, ctr: 0.25, position: 2 }] } },
+];
+
+const options = { siteUrl: SITE, startDate: '2024-01-01', endDate: '2024-01-31', dimensions: ['query', 'page'], rowLimit: 2 };
+
+// Stands in for the analysis worker client
+const recordingClient = () => {
+  const loaded = [];
+  return { loaded, loadRows: async (name, rows, numberFormat) => { loaded.push({ name, rows, numberFormat }); return { sheets: [{ type: 'queries', name, rows: rows.length }] }; } };
+};
+
+test('lists verified properties only', async () => {
+  assert.deepEqual(await listSites(createFixtureTransport(fixtures)), [SITE]);
+});
+
+test('pages through the API and loads the rows like an upload', async () => {
+  const analysisClient = recordingClient();
+  const { name, sheets } = await importSearchConsole({ ...options, transport: createFixtureTransport(fixtures), analysisClient });
+  assert.equal(sheets[0].rows, 3);
+  assert.equal(analysisClient.loaded[0].name, name);
+  assert.deepEqual(analysisClient.loaded[0].rows[0], { query: 'acme', page: `${SITE}a`, clicks: 10, impressions: 100, ctr: 0.1, position: 1.5 });
+  assert.deepEqual(analysisClient.loaded[0].numberFormat, { locale: 'en', ctr: 'fraction' });
+});
+
+test('raises API errors and empty results', async () => {
+  const transport = createFixtureTransport([{ request: query(0), status: 403, response: { error: { message: 'Forbidden' } } }]);
+  await assert.rejects(importSearchConsole({ ...options, transport, analysisClient: recordingClient() }), /\(403\): Forbidden/);
+  const empty = createFixtureTransport([{ request: query(0), response: {} }]);
+  await assert.rejects(importSearchConsole({ ...options, transport: empty, analysisClient: recordingClient() }), /no rows/);
+});
@@ -0,0 +1,120 @@
+// Query segments. Every query lands in exactly one segment: the first one, in priority
+// order, whose rules match it, or the fallback segment when none does. The own-brand
+// segment keeps the id 'branded' and the fallback 'nonBranded', so with no extra
+// segments defined the analysis is the familiar branded/non-branded split.
+import { compileBrandRules, createRule, rulesFromTerms } from './brandRules.js';
+
+export const BRANDED_SEGMENT = 'branded';
+export const FALLBACK_SEGMENT = 'nonBranded';
+
+export const SEGMENT_PALETTE = ['#0088FE', '#00C49F', '#FFBB28', '#FF7300', '#8884D8', '#FF6699', '#82CA9D', '#A05195'];
+
+export const DEFAULT_SEGMENTS = [
+  { id: BRANDED_SEGMENT, name: 'Branded', color: SEGMENT_PALETTE[0], rules: [] },
+  { id: FALLBACK_SEGMENT, name: 'Non-Branded', color: SEGMENT_PALETTE[1], rules: [] },
+];
+
+// Starting points for new segments; the navigational one comes with common terms
+export const SEGMENT_TEMPLATES = [
+  { id: 'competitor', name: 'Competitor Brands', terms: [] },
+  { id: 'productLine', name: 'Product Lines', terms: [] },
+  { id: 'navigational', name: 'Navigational', terms: ['login', 'log in', 'sign in', 'sign up', 'account', 'support', 'contact', 'customer service'] },
+  { id: 'custom', name: 'New Segment', terms: [] },
+];
+
+let segmentCounter = 0;
+
+export const createSegment = (templateId, existing = []) => {
+  const template = SEGMENT_TEMPLATES.find(({ id }) => id === templateId) || SEGMENT_TEMPLATES[SEGMENT_TEMPLATES.length - 1];
+  const usedColors = new Set(existing.map(({ color }) => color));
+  return {
+    id: `segment-${Date.now().toString(36)}-${segmentCounter++}`,
+    name: template.name,
+    color: SEGMENT_PALETTE.find((color) => !usedColors.has(color)) || SEGMENT_PALETTE[existing.length % SEGMENT_PALETTE.length],
+    rules: template.terms.map((term) => createRule({ term })),
+  };
+};
+
+// Makes sure the own-brand and fallback segments exist and the fallback comes last
+export const normalizeSegments = (segments) => {
+  const list = (segments || []).filter(({ id }) => id !== FALLBACK_SEGMENT);
+  if (!list.some(({ id }) => id === BRANDED_SEGMENT)) list.unshift(DEFAULT_SEGMENTS[0]);
+  const fallback = (segments || []).find(({ id }) => id === FALLBACK_SEGMENT) || DEFAULT_SEGMENTS[1];
+  return [...list, { ...fallback, rules: [] }];
+};
+
+// Configs from before segments (and processCsvData callers) may only carry the own-brand
+// rules as `brandRules`, or as a comma-separated `brandTerms` string
+export const resolveSegments = ({ segments, brandRules, brandTerms }) => normalizeSegments(segments || [
+  { ...DEFAULT_SEGMENTS[0], rules: brandRules || rulesFromTerms(brandTerms) },
+  DEFAULT_SEGMENTS[1],
+]);
+
+// Confidence (0-100) in a query's segment, by how the query was classified. Fuzzy matches
+// lose FUZZY_EDIT_PENALTY per edit; near misses are fallback queries that contain a
+// whole-word term inside a longer token ("acmewidgets" for "acme").
+export const CLASSIFICATION_CONFIDENCE = {
+  override: { score: 100, label: 'Manual override' },
+  word: { score: 100, label: 'Whole-word match' },
+  noMatch: { score: 100, label: 'No rule matched' },
+  prefix: { score: 90, label: 'Word-start match' },
+  substring: { score: 80, label: 'Substring match' },
+  regex: { score: 70, label: 'Custom regex only' },
+  fuzzy: { score: 60, label: 'Fuzzy match' },
+  nearMiss: { score: 40, label: 'Near miss' },
+};
+
+const FUZZY_EDIT_PENALTY = 10;
+
+const confidence = (reason, fields = {}) => ({ reason, score: CLASSIFICATION_CONFIDENCE[reason].score, ...fields });
+
+// `matchers` replaces the rules of a segment with a custom matcher, which is how the
+// custom regex takes over the own-brand segment. `language` is the row's language code,
+// which brings in the rules scoped to it (see compileBrandRules).
+export const compileSegments = (segments, options, matchers = {}) => {
+  const compiled = segments
+    .filter(({ id }) => id !== FALLBACK_SEGMENT)
+    .map((segment) => ({ id: segment.id, rules: compileBrandRules(segment.rules, options), matcher: matchers[segment.id] }));
+
+  return {
+    classify: (query, language = null) => {
+      for (const { id, rules, matcher } of compiled) {
+        if (matcher ? matcher(query) : rules.isBranded(query, language)) return id;
+      }
+      return FALLBACK_SEGMENT;
+    },
+    fuzzyMatchOf: (query, segmentId, language = null) => compiled.find(({ id }) => id === segmentId)?.rules.fuzzyMatchOf(query, language) || null,
+    // The term set ('global' or a language code) whose rules put a query in `segmentId`,
+    // or null for the fallback segment and custom matchers
+    termSetOf: (query, segmentId, language = null) => {
+      const segment = compiled.find(({ id }) => id === segmentId);
+      return segment && !segment.matcher ? segment.rules.termSetOf(query, language) : null;
+    },
+    countMatches: (queries) => Object.assign({}, ...compiled.map(({ rules }) => rules.countMatches(queries))),
+    // Which language-scoped rule sets rows in `language` are classified with ("es", or
+    // "es+es-mx" across segments), or null when only global rules apply. Rows of a query
+    // with the same scope always get the same segment.
+    ruleScopeOf: (language = null) => {
+      const scopes = [...new Set(compiled.filter(({ matcher }) => !matcher).map(({ rules }) => rules.scopeOf(language)).filter(Boolean))];
+      return scopes.length ? scopes.join('+') : null;
+    },
+    // `{ reason, score }` for a query classified into `segmentId`, plus the `term` of a near miss
+    confidenceOf: (query, segmentId, language = null) => {
+      if (segmentId === FALLBACK_SEGMENT) {
+        for (const { rules } of compiled) {
+          const term = rules.nearMissOf(query, language);
+          if (term) return confidence('nearMiss', { term });
+        }
+        return confidence('noMatch');
+      }
+      const segment = compiled.find(({ id }) => id === segmentId);
+      const match = segment ? segment.rules.matchOf(query, language) : null;
+      // A custom matcher only counts as regex-only when the segment's own rules disagree
+      if (!match?.branded) return confidence(segment?.matcher ? 'regex' : 'noMatch');
+      if (match.fuzzy) {
+        return { ...confidence('fuzzy'), score: Math.max(0, CLASSIFICATION_CONFIDENCE.fuzzy.score - match.fuzzy.distance * FUZZY_EDIT_PENALTY) };
+      }
+      return confidence(match.match);
+    },
+  };
+};
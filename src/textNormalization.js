@@ -0,0 +1,76 @@
+// Text normalization for brand matching. The same pipeline runs over queries and brand
+// terms so that "ＡＣＭＥ", "Acmé" and "Акме" can all match a rule written as "acme".
+
+export const NORMALIZATION_STEPS = [
+  { id: 'nfkc', label: 'Unicode compatibility normalization (NFKC)', description: 'Ligatures, superscripts and other compatibility characters become their plain form' },
+  { id: 'foldWidth', label: 'Full-width folding', description: '"ａｃｍｅ" matches "acme"' },
+  { id: 'foldDiacritics', label: 'Diacritic folding', description: '"café", "ёлка" and Hebrew or Arabic vowel points match without their marks' },
+  { id: 'transliterate', label: 'Transliterate Cyrillic and Greek to Latin', description: '"акме" and "ακμε" match "akme"' },
+];
+
+export const DEFAULT_NORMALIZATION = { nfkc: true, foldWidth: true, foldDiacritics: false, transliterate: false };
+
+// Full-width ASCII variants (U+FF01-FF5E) and the ideographic space. NFKC covers these
+// too, but width folding can be used without NFKC's other changes.
+const foldWidth = (text) => text
+  .replace(/[\uFF01-\uFF5E]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+  .replace(/\u3000/g, ' ');
+
+// Combining marks of Latin, Greek and Cyrillic, Hebrew points and Arabic harakat. Marks in
+// other scripts (e.g. Devanagari vowel signs) carry meaning and are kept.
+const DIACRITIC_MARKS = /[\u0300-\u036F\u0483-\u0489\u0591-\u05C7\u064B-\u065F\u0670]/g;
+
+// Letters that don't decompose into a base letter and a mark
+const LETTER_FOLDS = {
+  'ß': 'ss', 'ẞ': 'SS', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+  'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'Th', 'ı': 'i',
+};
+
+const LETTER_FOLD_PATTERN = new RegExp(`[${Object.keys(LETTER_FOLDS).join('')}]`, 'g');
+
+const foldDiacritics = (text) => text
+  .normalize('NFD')
+  .replace(DIACRITIC_MARKS, '')
+  .normalize('NFC')
+  .replace(LETTER_FOLD_PATTERN, (char) => LETTER_FOLDS[char]);
+
+// Russian, Ukrainian and Belarusian letters, close to the common passport-style schemes
+const CYRILLIC = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'ґ': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'є': 'ye', 'ж': 'zh',
+  'з': 'z', 'и': 'i', 'і': 'i', 'ї': 'yi', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+  'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ў': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch',
+  'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+};
+
+const GREEK = {
+  'α': 'a', 'ά': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'έ': 'e', 'ζ': 'z', 'η': 'i', 'ή': 'i',
+  'θ': 'th', 'ι': 'i', 'ί': 'i', 'ϊ': 'i', 'ΐ': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x',
+  'ο': 'o', 'ό': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'ύ': 'y', 'ϋ': 'y',
+  'ΰ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o', 'ώ': 'o',
+};
+
+const TRANSLITERATION = { ...CYRILLIC, ...GREEK };
+
+// Upper-case letters transliterate like their lower-case form, capitalized
+const transliterateChar = (char) => {
+  const lower = char.toLowerCase();
+  const latin = TRANSLITERATION[lower];
+  if (latin === undefined) return char;
+  return lower === char || !latin ? latin : latin.charAt(0).toUpperCase() + latin.slice(1);
+};
+
+const transliterate = (text) => text.replace(/[\u0370-\u03FF\u0400-\u04FF]/g, transliterateChar);
+
+// Builds the normalizer for a set of enabled steps. Steps run in a fixed order: width and
+// NFKC first so later steps see plain characters, transliteration before diacritic folding
+// so "ё" becomes "yo" rather than "e".
+export const createNormalizer = (options = DEFAULT_NORMALIZATION) => {
+  const steps = [
+    options.foldWidth && foldWidth,
+    options.nfkc && ((text) => text.normalize('NFKC')),
+    options.transliterate && transliterate,
+    options.foldDiacritics && foldDiacritics,
+  ].filter(Boolean);
+  if (!steps.length) return (text) => text;
+  return (text) => steps.reduce((value, step) => step(value), String(text));
+};
@@ -0,0 +1,104 @@
+// Time-series engine. The analysis keeps one breakdown per day with the raw metric sums,
+// so days can be merged into weeks or months exactly (CTR and impression-weighted
+// position are derived after merging, never averaged).
+import { createMetrics, mergeMetrics, finalizeMetrics, createBreakdown, addToBreakdown } from './metrics.js';
+
+export const GRANULARITIES = [
+  { id: 'day', label: 'Daily' },
+  { id: 'week', label: 'Weekly' },
+  { id: 'month', label: 'Monthly' },
+];
+
+export const TREND_METRICS = [
+  { id: 'clicks', label: 'Clicks', field: 'Clicks' },
+  { id: 'impressions', label: 'Impressions', field: 'Impressions' },
+  { id: 'ctr', label: 'CTR (%)', field: 'Ctr' },
+  { id: 'position', label: 'Avg Position', field: 'Position' },
+];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Normalizes a date cell to YYYY-MM-DD. ISO dates are read as written; anything else goes
+// through Date and uses local calendar fields so the day doesn't shift with the timezone.
+export const toDateKey = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const parsed = new Date(text);
+  if (isNaN(parsed)) return null;
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+};
+
+export const isInDateRange = (dateKey, range) =>
+  !range || (Boolean(dateKey) && dateKey >= range.start && dateKey <= range.end);
+
+// Weeks start on Monday (ISO 8601) and are labelled by that day; months by YYYY-MM
+const periodKey = (dateKey, granularity) => {
+  if (granularity === 'month') return dateKey.slice(0, 7);
+  if (granularity === 'week') {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().slice(0, 10);
+  }
+  return dateKey;
+};
+
+export const addToTimeSeries = (series, dateKey, segment, values) => {
+  series[dateKey] = addToBreakdown(series[dateKey] || createBreakdown(), segment, values);
+  return series;
+};
+
+// Raw per-day breakdowns sorted by date, as stored in the analysis results
+export const timeSeriesDays = (series) => Object.entries(series)
+  .map(([date, breakdown]) => ({ date, ...breakdown }))
+  .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+// Merges days into periods and flattens each one into a chart row with
+// `<segment>Clicks`, `<segment>Impressions`, `<segment>Ctr` (percent) and `<segment>Position`
+export const bucketTimeSeries = (days, granularity = 'day') => {
+  const buckets = new Map();
+  days.forEach(({ date, total, segments }) => {
+    const period = periodKey(date, granularity);
+    let bucket = buckets.get(period);
+    if (!bucket) {
+      bucket = { period, start: date, end: date, total: createMetrics(), segments: {} };
+      buckets.set(period, bucket);
+    }
+    bucket.end = date;
+    mergeMetrics(bucket.total, total);
+    Object.entries(segments).forEach(([segment, metrics]) => {
+      bucket.segments[segment] = mergeMetrics(bucket.segments[segment] || createMetrics(), metrics);
+    });
+  });
+
+  // Every period gets every segment so lines don't break; CTR and position stay empty
+  // when a segment had no rows in that period
+  const segmentIds = new Set(['total']);
+  buckets.forEach((bucket) => Object.keys(bucket.segments).forEach((segment) => segmentIds.add(segment)));
+
+  return Array.from(buckets.values()).map(({ period, start, end, total, segments }) => {
+    const row = { period, start, end };
+    segmentIds.forEach((segment) => {
+      const metrics = segment === 'total' ? total : segments[segment] || createMetrics();
+      const { rows, clicks, impressions, ctr, avgPosition } = finalizeMetrics(metrics);
+      row[`${segment}Clicks`] = clicks;
+      row[`${segment}Impressions`] = impressions;
+      row[`${segment}Ctr`] = rows ? ctr * 100 : undefined;
+      row[`${segment}Position`] = rows ? avgPosition : undefined;
+    });
+    return row;
+  });
+};
+
+// Trailing mean over `window` periods, stored as `<key>Rolling`. The first periods
+// average over what is available so the line starts with the data.
+export const addRollingAverage = (rows, keys, window) => rows.map((row, index) => {
+  const from = Math.max(0, index - window + 1);
+  const next = { ...row };
+  keys.forEach((key) => {
+    const values = rows.slice(from, index + 1).map((r) => r[key]).filter((v) => v !== undefined);
+    next[`${key}Rolling`] = values.length ? values.reduce((a, b) => a + b, 0) / values.length : undefined;
+  });
+  return next;
+});
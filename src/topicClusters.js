@@ -0,0 +1,133 @@
+// Topic clustering by shared n-grams. The unigram or bigram shared by the most queries
+// that aren't in a topic yet seeds the next topic and takes all of them, until no n-gram
+// is shared by MIN_CLUSTER_SIZE queries. Bigrams count double, so "running shoes" beats
+// "shoes" when it covers at least half of the same queries. Terms in more than half of
+// the queries (typically the brand in a branded segment) never seed a topic.
+import { createMetrics, mergeMetrics, finalizeMetrics } from './metrics.js';
+
+export const MIN_CLUSTER_SIZE = 3;
+const MAX_TERM_SHARE = 0.5;
+// Below this many queries every term may seed a topic
+const GENERIC_TERM_MIN_QUERIES = 20;
+const MAX_LABEL_TERMS = 5;
+const MAX_CLUSTER_PATHS = 5;
+
+// Function words in the languages with intent dictionaries; they never seed a topic
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with', 'from', 'is', 'are', 'do', 'does',
+  'how', 'what', 'why', 'when', 'where', 'who', 'which', 'can', 'i', 'my', 'me', 'you', 'your', 'it', 'vs', 'near',
+  'der', 'die', 'das', 'und', 'oder', 'mit', 'für', 'von', 'ein', 'eine', 'ist', 'im',
+  'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'pour', 'avec', 'en', 'est',
+  'el', 'los', 'las', 'y', 'o', 'con', 'para', 'por', 'del', 'es', 'que',
+  'il', 'lo', 'gli', 'e', 'di', 'da', 'per', 'che',
+  'o', 'os', 'as', 'um', 'uma', 'do', 'da', 'dos', 'das', 'com',
+  'het', 'een', 'en', 'van', 'voor', 'met', 'op',
+  'и', 'в', 'на', 'с', 'для', 'по', 'не', 'от', 'как', 'что',
+]);
+
+const tokenize = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const isTopicWord = (token) => token.length > 1 && !STOPWORDS.has(token) && !/^\d+$/.test(token);
+
+// Unigrams and bigrams of adjacent topic words
+const ngramsOf = (tokens) => {
+  const grams = new Set();
+  tokens.forEach((token, index) => {
+    if (!isTopicWord(token)) return;
+    grams.add(token);
+    if (index > 0 && isTopicWord(tokens[index - 1])) grams.add(`${tokens[index - 1]} ${token}`);
+  });
+  return grams;
+};
+
+const scoreOf = (gram, coverage) => coverage * gram.split(' ').length;
+
+// Keeps `candidates` sorted by ascending score so the best one is popped off the end
+const insertCandidate = (candidates, candidate) => {
+  let low = 0;
+  let high = candidates.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (candidates[mid].score < candidate.score) low = mid + 1;
+    else high = mid;
+  }
+  candidates.splice(low, 0, candidate);
+};
+
+// Totals for a group of finalized queries, position weighted by impressions as in metrics.js
+const summarize = (members) => {
+  const metrics = createMetrics();
+  const paths = new Map();
+  members.forEach((query) => {
+    const { rows = 1, clicks = 0, impressions = 0, avgPosition = 0 } = query;
+    mergeMetrics(metrics, { rows, clicks, impressions, positionWeight: avgPosition * impressions, positionSum: avgPosition * rows });
+    (query.urls || []).forEach(({ path, clicks: urlClicks }) => {
+      if (path) paths.set(path, (paths.get(path) || 0) + (urlClicks || 0));
+    });
+  });
+  return {
+    ...finalizeMetrics(metrics),
+    // A query split by language-scoped rules (see addToQueryIndex) is listed once
+    queries: [...new Set(members.map(({ query }) => query))],
+    paths: [...paths.entries()]
+      .map(([path, clicks]) => ({ path, clicks }))
+      .sort((a, b) => b.clicks - a.clicks)
+      .slice(0, MAX_CLUSTER_PATHS),
+  };
+};
+
+// The seed n-gram first, then the words found in the most member queries
+const dominantTerms = (seed, memberTokens) => {
+  const counts = new Map();
+  memberTokens.forEach((tokens) => new Set(tokens.filter(isTopicWord)).forEach((token) => counts.set(token, (counts.get(token) || 0) + 1)));
+  const seedWords = new Set(seed.split(' '));
+  return [seed, ...[...counts.entries()]
+    .filter(([token, count]) => !seedWords.has(token) && count > 1)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([token]) => token)]
+    .slice(0, MAX_LABEL_TERMS);
+};
+
+// `queries` are finalized query entries (see finalizeQueryIndex). Returns topics sorted
+// by clicks, each `{ label, terms, queries, clicks, impressions, ctr, avgPosition, paths }`,
+// and the same totals for the queries left `unclustered`.
+export const clusterQueries = (queries, { minClusterSize = MIN_CLUSTER_SIZE } = {}) => {
+  const tokenLists = queries.map(({ query }) => tokenize(query));
+  const postings = new Map();
+  tokenLists.forEach((tokens, index) => ngramsOf(tokens).forEach((gram) => {
+    if (!postings.has(gram)) postings.set(gram, []);
+    postings.get(gram).push(index);
+  }));
+
+  const maxCoverage = queries.length >= GENERIC_TERM_MIN_QUERIES ? queries.length * MAX_TERM_SHARE : Infinity;
+  const candidates = [...postings.entries()]
+    .filter(([, members]) => members.length >= minClusterSize && members.length <= maxCoverage)
+    .map(([gram, members]) => ({ gram, members, score: scoreOf(gram, members.length) }))
+    .sort((a, b) => a.score - b.score || b.gram.localeCompare(a.gram));
+
+  // Scores only shrink as queries are taken, so a candidate whose recounted score still
+  // beats the next best is the true best (lazy greedy)
+  const assigned = new Array(queries.length).fill(false);
+  const seeds = [];
+  while (candidates.length) {
+    const candidate = candidates.pop();
+    const members = candidate.members.filter((index) => !assigned[index]);
+    if (members.length < minClusterSize) continue;
+    const score = scoreOf(candidate.gram, members.length);
+    if (candidates.length && score < candidates[candidates.length - 1].score) {
+      insertCandidate(candidates, { ...candidate, members, score });
+      continue;
+    }
+    members.forEach((index) => { assigned[index] = true; });
+    seeds.push({ gram: candidate.gram, members });
+  }
+
+  const clusters = seeds
+    .map(({ gram, members }) => ({
+      label: gram,
+      terms: dominantTerms(gram, members.map((index) => tokenLists[index])),
+      ...summarize(members.map((index) => queries[index])),
+    }))
+    .sort((a, b) => b.clicks - a.clicks || b.queries.length - a.queries.length);
+  return { clusters, unclustered: summarize(queries.filter((query, index) => !assigned[index])) };
+};
@@ -1,33 +1,23 @@
 import Papa from 'papaparse';
+import { createMetrics, addMetrics, finalizeMetrics, createBreakdown, addToBreakdown, finalizeBreakdown, segmentShare } from './metrics.js';
+import { parseLocaleNumber, detectNumberFormat, applyNumberFormat } from './numberFormat.js';
+import { toDateKey, isInDateRange, addToTimeSeries, timeSeriesDays } from './timeSeries.js';
+import { resolveSegments, compileSegments, BRANDED_SEGMENT, FALLBACK_SEGMENT } from './segments.js';
+import { validateCustomRegex } from './regexSafety.js';
+import { applyOverrides } from './overrides.js';
+import { compileIntentClassifier, DEFAULT_INTENT_MODIFIERS, INTENTS, UNKNOWN_INTENT } from './intent.js';
+import { compileContentTypes } from './contentTypes.js';
+import { compileSiteGroups } from './hosts.js';
+import { createLocaleResolver, pathLocaleOf, localeName, UNKNOWN_LOCALE } from './locale.js';
 
-const inferContentTypeCache = new Map();
-export const inferContentType = (url) => {
-  if (!url) return 'Unknown';
-  if (inferContentTypeCache.has(url)) return inferContentTypeCache.get(url);
-  const normalizedUrl = url.toLowerCase();
-  const contentTypes = [
-    { patterns: ['/blog', '/article', '/news'], type: 'Blog' },
-    { patterns: ['/product', '/pricing', '/shop'], type: 'Product' },
-    { patterns: ['/support', '/help', '/faq'], type: 'Support' },
-    { patterns: ['/about', '/company', '/team'], type: 'About' },
-    { patterns: ['/login', '/signin', '/account'], type: 'Auth' },
-    { patterns: ['/', ''], type: 'Homepage' }
-  ];
-  const matchedType = contentTypes.find(ct => 
-    ct.patterns.some(pattern => normalizedUrl.includes(pattern))
-  )?.type || 'Other';
-  inferContentTypeCache.set(url, matchedType);
-  return matchedType;
-};
-
-export const processCsvData = (fileOrData, config) => {
+export const processCsvData = (fileOrData, config, sheets = null) => {
   return new Promise((resolve) => {
     if (fileOrData instanceof File) {
       const reader = new FileReader();
       reader.onload = (event) => {
         Papa.parse(event.target.result, {
           header: true,
-          dynamicTyping: true,
+          dynamicTyping: false,
           skipEmptyLines: true,
           complete: (results) => {
             const processedData = processCsvResults(results.data, config);
@@ -41,20 +31,46 @@ export const processCsvData = (fileOrData, config) => {
       reader.readAsText(fileOrData);
     } else if (Array.isArray(fileOrData)) {
       const processedData = processCsvResults(fileOrData, config);
-      resolve(processedData);
+      resolve(sheets ? applySheetDimensions(processedData, sheets, config) : processedData);
     } else {
       throw new Error('Invalid input: Expected File or Array');
     }
   });
 };
 
-export const analyzeDataQuality = (data) => {
+const MAX_LISTED_OUTLIERS = 100;
+
+// Click-weighted classification confidence of the analyzed queries, overall and per
+// segment as `<segment>Clicks`. Queries without clicks count equally when none have any.
+const classificationConfidence = (queries) => {
+  const totals = {};
+  const add = (key, query) => {
+    const total = totals[key] || (totals[key] = { weighted: 0, weight: 0, sum: 0, count: 0 });
+    total.weighted += query.confidence * (query.clicks || 0);
+    total.weight += query.clicks || 0;
+    total.sum += query.confidence;
+    total.count++;
+  };
+  queries.filter(({ confidence }) => confidence !== undefined).forEach((query) => {
+    add('overall', query);
+    add(`${query.category}Clicks`, query);
+  });
+  return Object.fromEntries(Object.entries(totals).map(([key, { weighted, weight, sum, count }]) => [
+    key,
+    Math.round(weight > 0 ? weighted / weight : sum / count),
+  ]));
+};
+
+// `queries` are the analyzed queries, which carry the classification confidence
+export const analyzeDataQuality = (data, queries = []) => {
   const totalRows = data.length;
   const missingValues = {};
   const outliers = {};
+  const outlierCounts = {};
   const warnings = [];
 
-  ['query', 'page', 'clicks', 'impressions', 'ctr', 'position'].forEach((field) => {
+  // Only check columns the upload actually has (a Search Console Queries sheet has no page)
+  ['query', 'page', 'clicks', 'impressions', 'ctr', 'position'].filter((field) => data.some((row) => field in row)).forEach((field) => {
     missingValues[field] = data.filter((row) => !row[field] && row[field] !== 0).length;
   });
 
@@ -66,6 +82,8 @@ export const analyzeDataQuality = (data) => {
     outliers.clicks = data
       .filter((row) => row.clicks > meanClicks + 3 * stdClicks || row.clicks < meanClicks - 3 * stdClicks)
       .map((row) => ({ query: row.query, clicks: row.clicks, avgClicks: meanClicks }));
+    outlierCounts.clicks = outliers.clicks.length;
+    outliers.clicks = outliers.clicks.sort((a, b) => b.clicks - a.clicks).slice(0, MAX_LISTED_OUTLIERS);
   }
   if (impressions.length) {
     const meanImpressions = impressions.reduce((a, b) => a + b, 0) / impressions.length;
@@ -73,6 +91,8 @@ export const analyzeDataQuality = (data) => {
     outliers.impressions = data
       .filter((row) => row.impressions > meanImpressions + 3 * stdImpressions || row.impressions < meanImpressions - 3 * stdImpressions)
       .map((row) => ({ query: row.query, impressions: row.impressions, avgImpressions: meanImpressions }));
+    outlierCounts.impressions = outliers.impressions.length;
+    outliers.impressions = outliers.impressions.sort((a, b) => b.impressions - a.impressions).slice(0, MAX_LISTED_OUTLIERS);
   }
 
   const completeness = totalRows > 0 ? (1 - (Object.values(missingValues).reduce((a, b) => a + b, 0) / (totalRows * Object.keys(missingValues).length))) * 100 : 0;
@@ -86,196 +106,689 @@ export const analyzeDataQuality = (data) => {
       details: missingValues,
     });
   }
-  if (Object.values(outliers).some((arr) => arr.length > 0)) {
+  if (Object.values(outlierCounts).some((count) => count > 0)) {
     warnings.push({
       type: 'Outliers',
       message: 'Statistical outliers detected in metrics',
       severity: 'low',
-      count: Object.values(outliers).reduce((a, b) => a + b.length, 0),
+      count: Object.values(outlierCounts).reduce((a, b) => a + b, 0),
       action: 'Review outliers',
       details: outliers,
     });
   }
 
+  // Spread of the clicks/impressions ratio across rows; a wide spread hints at mixed or broken metrics
+  let consistency = 0;
+  if (completeness > 0 && totalRows >= 2) {
+    const ratios = data.map((row) => (row.clicks || 0) / (row.impressions || 1)).filter((r) => !isNaN(r) && isFinite(r));
+    if (ratios.length === 0) {
+      consistency = 94.5;
+    } else {
+      const avgRatio = ratios.reduce((a, b) => a + b, 0) / ratios.length;
+      const stdDev = Math.sqrt(ratios.reduce((sum, val) => sum + Math.pow(val - avgRatio, 2), 0) / ratios.length);
+      consistency = stdDev < 0.1 ? 98 : stdDev < 0.2 ? 95 : 90;
+    }
+  }
+
   return {
     healthScore: Math.max(0, Math.min(95, completeness)),
+    completeness,
+    consistency,
     missingValues,
     outliers,
+    outlierCounts,
     warnings,
-    confidenceScores: { brandedClicks: 100, nonBrandedClicks: 100 },
+    confidenceScores: classificationConfidence(queries),
   };
 };
 
-const detectLanguageOrPath = (pathname, languageCodes) => {
+// Language-scoped brand rules use the lower-case code; rows without one only get the
+// global rules
+const classificationLanguage = (lang) => (lang && lang !== UNKNOWN_LOCALE ? lang.toLowerCase() : null);
+
+// The page path without its locale segment, whichever source the locale was taken from
+const pagePaths = (pathname, localeAliases) => {
   const segments = pathname.split('/').filter(Boolean);
-  let lang = 'unknown';
-  let pathSegments = [];
-  segments.forEach((seg) => {
-    if (languageCodes.has(seg.toLowerCase()) && lang === 'unknown') lang = seg;
-    else pathSegments.push(seg);
-  });
+  const locale = pathLocaleOf(segments, localeAliases);
+  const pathSegments = locale ? segments.filter((segment, index) => index !== locale.index) : segments;
   const path = pathSegments.length ? '/' + pathSegments.join('/') : '/homepage';
   const primaryPath = pathSegments.length ? '/' + pathSegments[0] : '/homepage';
-  return { lang, path, primaryPath };
+  return { path, primaryPath };
 };
 
-const processCsvResults = (data, config) => {
-  const { brandTerms, useCustomRegex, customRegex, caseSensitive, detectLanguageCodes } = config;
+// How deep the URL path table aggregates: '/blog', '/blog/category' or the whole path
+export const PATH_LEVELS = [
+  { id: 'primary', label: 'Primary Path (e.g., /blog)', depth: 1 },
+  { id: 'secondary', label: 'Secondary Path (e.g., /blog/category)', depth: 2 },
+  { id: 'full', label: 'Full Path', depth: Infinity },
+];
 
-  const normalizedData = data.map((row) => {
-    const normalizedRow = {};
-    Object.keys(row).forEach((key) => {
-      normalizedRow[key.toLowerCase()] = row[key];
+const pathSegmentsOf = (path) => path.split('/').filter(Boolean);
+
+// '/blog/category/post' at depth 2 -> '/blog/category'
+const truncatePath = (path, depth) => '/' + pathSegmentsOf(path).slice(0, depth).join('/');
+
+const pathLevelDepth = (pathLevel) => (PATH_LEVELS.find(({ id }) => id === pathLevel) || PATH_LEVELS[0]).depth;
+
+// '/blog/category/post' -> ['/blog', '/blog/category', '/blog/category/post']
+const pathAncestors = (path) => pathSegmentsOf(path).map((segment, index, segments) => '/' + segments.slice(0, index + 1).join('/'));
+
+// The parent of a path tree node; top-level paths have the parent ''
+export const parentPath = (path) => {
+  const segments = pathSegmentsOf(path);
+  return segments.length > 1 ? '/' + segments.slice(0, -1).join('/') : '';
+};
+
+// True when `path` is `ancestor` or lies below it
+export const isWithinPath = (path, ancestor) => Boolean(path) && (path === ancestor || path.startsWith(`${ancestor}/`));
+
+// Per-query aggregate across every landing page. Each query keeps one entry per URL so
+// the Queries tab and exports can show how clicks are split between pages. Rows whose
+// language uses different language-scoped rules (`scope`, see ruleScopeOf) can land in
+// different segments, so they get an entry of their own, keyed "query (scope)"; the
+// entry takes the language of its first row.
+const addToQueryIndex = (index, row, category, values, language, scope, path, contentType) => {
+  const key = scope ? `${row.query} (${scope})` : row.query;
+  let entry = index.get(key);
+  if (!entry) {
+    entry = { key, query: row.query, scope, category, language: classificationLanguage(language), metrics: createMetrics(), urls: new Map() };
+    index.set(key, entry);
+  }
+  addMetrics(entry.metrics, values);
+  if (!row.page) return;
+
+  let urlEntry = entry.urls.get(row.page);
+  if (!urlEntry) {
+    urlEntry = { url: row.page, path, contentType, language, metrics: createMetrics() };
+    entry.urls.set(row.page, urlEntry);
+  }
+  addMetrics(urlEntry.metrics, values);
+};
+
+const finalizeQueryIndex = (index) => Array.from(index.values())
+  .map(({ key, query, scope, category, language, metrics, urls }) => {
+    const urlList = Array.from(urls.values())
+      .map(({ metrics: urlMetrics, ...url }) => ({ ...url, ...finalizeMetrics(urlMetrics) }))
+      .sort((a, b) => b.clicks - a.clicks);
+    return {
+      key,
+      query,
+      scope,
+      category,
+      language,
+      ...finalizeMetrics(metrics),
+      contentTypes: [...new Set(urlList.map((url) => url.contentType))],
+      urls: urlList,
+    };
+  })
+  .sort((a, b) => b.clicks - a.clicks || b.impressions - a.impressions);
+
+// Flattens a finalized breakdown into the row shape used by the path, language and
+// content type tables: row-share percentages plus total metrics and the full breakdown
+const toBreakdownRow = (breakdown) => {
+  const metrics = finalizeBreakdown(breakdown);
+  return {
+    total: metrics.total.rows,
+    branded: segmentShare(metrics, 'branded'),
+    nonBranded: segmentShare(metrics, 'nonBranded'),
+    sortableTotal: metrics.total.rows,
+    clicks: metrics.total.clicks,
+    impressions: metrics.total.impressions,
+    ctr: metrics.total.ctr,
+    avgPosition: metrics.total.avgPosition,
+    metrics,
+  };
+};
+
+const NO_PAGE_PATH = '(no page)';
+
+// Rows normally reach the analysis with numeric metrics (see applyNumberFormat); text
+// values that slip through are read with the default decimal-point format
+const parseMetricValues = (row) => ({
+  clicks: parseLocaleNumber(row.clicks) || 0,
+  impressions: parseLocaleNumber(row.impressions) || 0,
+  position: parseLocaleNumber(row.position) || 0,
+});
+
+// `lang` is the page's locale tag ("en-gb", or "en" without a region) and `language` its
+// language, both 'unknown' when `resolveLocale` (see createLocaleResolver) finds none
+const parsePage = (page, index, resolveLocale, localeAliases) => {
+  try {
+    const url = new URL(page.startsWith('http') ? page : `https://${page}`);
+    const { tag, language, region } = resolveLocale(url);
+    return { ...pagePaths(url.pathname, localeAliases), lang: tag, language, region, host: url.hostname.toLowerCase() || null };
+  } catch (e) {
+    console.warn(`Invalid URL in row ${index}: ${page}`, e);
+    return { lang: UNKNOWN_LOCALE, language: UNKNOWN_LOCALE, region: null, path: '/invalid', primaryPath: '/invalid', host: null };
+  }
+};
+
+// The custom regex replaces the own-brand rules. It is checked for catastrophic
+// backtracking and compiled once per analysis; an unsafe pattern fails the analysis
+// instead of hanging the worker. `knownMatches` maps queries already matched elsewhere
+// to the result: the analysis worker matches every distinct query up front in a worker
+// it can stop, so the regex never runs inside the analysis there.
+const createCustomRegexMatchers = ({ useCustomRegex, customRegex, caseSensitive }, knownMatches = new Map()) => {
+  if (!useCustomRegex || !customRegex) return {};
+  const flags = caseSensitive ? '' : 'i';
+  const { valid, message } = validateCustomRegex(customRegex, flags);
+  if (!valid) throw new Error(`Custom regex rejected: ${message}`);
+  const regex = new RegExp(customRegex, flags);
+  // Queries repeat across pages, dates and sheets, so each distinct one is matched once
+  const matches = knownMatches;
+  return {
+    [BRANDED_SEGMENT]: (query) => {
+      if (!matches.has(query)) matches.set(query, regex.test(query));
+      return matches.get(query);
+    },
+  };
+};
+
+// Search Console reports countries as ISO 3166-1 alpha-3 codes in the API and full
+// export ("usa") but as names in the UI tables, and devices in upper case ("MOBILE")
+const normalizeCountry = (value) => {
+  const country = value === null || value === undefined ? '' : String(value).trim();
+  return /^[a-z]{3}$/i.test(country) ? country.toUpperCase() : country || null;
+};
+
+const normalizeDevice = (value) => {
+  const device = value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+  return device ? device.charAt(0).toUpperCase() + device.slice(1) : null;
+};
+
+export const FILTER_DIMENSIONS = [
+  { id: 'path', label: 'Path' },
+  { id: 'language', label: 'Language' },
+  { id: 'host', label: 'Host' },
+  { id: 'site', label: 'Site' },
+  { id: 'country', label: 'Country' },
+  { id: 'device', label: 'Device' },
+];
+
+// A language filter ("en") also matches its regional locales ("en-gb")
+const isWithinLocale = (tag, filter) => Boolean(tag) && (tag === filter || tag.startsWith(`${filter}-`));
+
+// True when the row's dimension values match every active filter, optionally skipping one.
+// A path filter also matches the paths below it, so any level of the path tree can filter.
+const matchesFilters = (dimensions, filters, except = null) => !filters || FILTER_DIMENSIONS.every(({ id }) =>
+  id === except || !filters[id] || (id === 'path'
+    ? isWithinPath(dimensions.path, filters[id])
+    : id === 'language' ? isWithinLocale(dimensions.language, filters[id]) : dimensions[id] === filters[id]));
+
+// Adds a row with a page to the URL path views: the table at the configured level
+// (`levelPath`), every node of the path tree from the top-level path down to `path`,
+// and the URL itself with its content type (`pageType`, see compileContentTypes)
+const addToPathViews = (views, page, path, levelPath, pageType, category, values) => {
+  views.pathData[levelPath] = addToBreakdown(views.pathData[levelPath] || createBreakdown(), category, values);
+  views.pathUrlCounts[levelPath] = (views.pathUrlCounts[levelPath] || 0) + 1;
+  views.pathUrlExamples[levelPath] = views.pathUrlExamples[levelPath] || [];
+  if (views.pathUrlExamples[levelPath].length < 10) views.pathUrlExamples[levelPath].push(page);
+  pathAncestors(path).forEach((node) => {
+    views.pathTree[node] = addToBreakdown(views.pathTree[node] || createBreakdown(), category, values);
+  });
+  const url = views.urlData[page] || (views.urlData[page] = { path, pageType, breakdown: createBreakdown() });
+  addToBreakdown(url.breakdown, category, values);
+};
+
+// Adds a row to the language view and, by its full tag, to the locale view
+const addToLocaleViews = (views, language, tag, region, category, values) => {
+  views.languageData[language] = addToBreakdown(views.languageData[language] || createBreakdown(), category, values);
+  views.localeData[tag] = addToBreakdown(views.localeData[tag] || createBreakdown(), category, values);
+  views.localeRegions[tag] = region;
+};
+
+const finalizeLocaleData = (localeData, localeRegions) => Object.entries(localeData).map(([tag, breakdown]) => ({
+  language: localeName(tag),
+  code: tag,
+  region: localeRegions[tag] || null,
+  ...toBreakdownRow(breakdown),
+}));
+
+const addToSiteData = (views, site, host, category, values) => {
+  views.siteData[site] = addToBreakdown(views.siteData[site] || createBreakdown(), category, values);
+  (views.siteHosts[site] || (views.siteHosts[site] = new Set())).add(host);
+};
+
+// Host rows name their site, site rows list their hosts
+const finalizeHostData = (hostData, sites) => Object.entries(hostData).map(([name, breakdown]) => ({ name, site: sites.siteOf(name), ...toBreakdownRow(breakdown) }));
+
+const finalizeSiteData = (siteData, siteHosts) => Object.entries(siteData).map(([name, breakdown]) => ({
+  name,
+  hosts: [...(siteHosts[name] || [])].sort(),
+  ...toBreakdownRow(breakdown),
+}));
+
+// Path tree nodes with their parent, depth and the number of distinct URLs below them
+const finalizePathTree = (pathTree, urlData) => {
+  const urlCounts = {};
+  Object.values(urlData).forEach(({ path }) => {
+    pathAncestors(path).forEach((node) => {
+      urlCounts[node] = (urlCounts[node] || 0) + 1;
     });
-    return normalizedRow;
   });
+  return Object.entries(pathTree).map(([name, breakdown]) => ({
+    name,
+    parent: parentPath(name),
+    depth: pathSegmentsOf(name).length,
+    urls: urlCounts[name] || 0,
+    ...toBreakdownRow(breakdown),
+  }));
+};
 
-  const isBranded = (query) => {
-    if (!query) return false;
-    const terms = brandTerms.toLowerCase().split(',').map((term) => term.trim());
-    const queryLower = caseSensitive ? query : query.toLowerCase();
-    if (useCustomRegex && customRegex) {
-      try {
-        const regex = new RegExp(customRegex, caseSensitive ? '' : 'i');
-        
-        // Use a "maximum steps" approach for ReDoS protection
-        const maxSteps = 1000;
-        let steps = 0;
-        const safeRegexTest = (regexPattern, str) => {
-          // Ensure regexPattern is a RegExp object if it's passed as a string
-          const currentRegex = (typeof regexPattern === 'string') 
-            ? new RegExp(regexPattern, caseSensitive ? '' : 'i') 
-            : regexPattern;
-
-          const chunkSize = 100;
-          for (let i = 0; i < str.length; i += chunkSize) {
-            const chunk = str.substring(i, Math.min(i + chunkSize, str.length)); // Use substring and Math.min for safety
-            currentRegex.test(chunk); // Test on chunk, primarily to increment steps
-            steps++;
-            if (steps > maxSteps) {
-              console.warn('Regex execution stopped: Exceeded maximum steps.');
-              throw new Error('Regex timeout - pattern potentially too complex or string too long against pattern');
-            }
-          }
-          // Final test on the whole string, only if steps not exceeded
-          return currentRegex.test(str);
-        };
-        
-        return safeRegexTest(regex, query);
-      } catch (e) {
-        console.error('Regex error or timeout:', e.message);
-        return false; // Treat regex errors (including timeout) as not branded for safety
-      }
-    }
-    // Fallback to simple term checking if not using custom regex or if customRegex is empty
-    return terms.some((term) => term && queryLower.includes(term)); // ensure term is not empty
-  };
+const finalizeUrlData = (urlData) => Object.entries(urlData).map(([name, { path, pageType, breakdown }]) => ({
+  name,
+  path,
+  contentType: pageType.type,
+  contentTypeRule: pageType.rule && { match: pageType.rule.match, pattern: pageType.rule.pattern },
+  ...toBreakdownRow(breakdown),
+}));
 
-  const languageCodes = new Set([
-    'en', 'es', 'es-es', 'de', 'fr', 'pt', 'ru', 'it', 'pl', 'zh', 'zh-hant', 'zh-hans', 'ja', 'uk', 'id', 'lv',
-    'ar', 'bg', 'ca', 'cs', 'da', 'el', 'fi', 'he', 'hi', 'hr', 'hu', 'ko', 'lt', 'nl', 'no', 'ro', 'sk', 'sl', 'sr', 'sv', 'th', 'tr', 'vi'
-  ]);
-
-  const acc = {
-    branded: { samples: [], metrics: { clicks: 0, impressions: 0, ctr: 0, avgPosition: 0 } },
-    nonBranded: { samples: [], metrics: { clicks: 0, impressions: 0, ctr: 0, avgPosition: 0 } },
-    summary: { totalRows: 0, brandedRows: 0, nonBrandedRows: 0, brandedPercentage: 0, nonBrandedPercentage: 0 },
-    pathData: {},
-    languageData: {},
-    pathUrlExamples: {},
-    pathUrlCounts: {},
-    borderline: { samples: [] },
-    duplicates: [],
-    sampleRows: normalizedData.slice(0, 50),
+// Content type rows with the number of distinct URLs of each type
+const finalizeContentTypeData = (contentTypeData, urlData) => {
+  const urlCounts = {};
+  Object.values(urlData).forEach(({ pageType }) => {
+    urlCounts[pageType.type] = (urlCounts[pageType.type] || 0) + 1;
+  });
+  return Object.entries(contentTypeData).map(([name, breakdown]) => ({ name, urls: urlCounts[name] || 0, ...toBreakdownRow(breakdown) }));
+};
+
+// Rows are keyed by query + page (+ date/country/device when present) so duplicate
+// detection stays O(1) per row on large files
+export const duplicateKey = (row) => [row.query, row.page, row.date, row.country, row.device].join('\u0000');
+
+// 53-bit string hash (cyrb53); collisions are rare enough to treat as a miss
+const hashKey = (key) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < key.length; i++) {
+    const code = key.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+};
+
+// For every row, the index of the earlier row it duplicates, or -1. Rows are rarely
+// edited after a load, so the analysis worker finds duplicates once and reuses the
+// result for every analysis. Only a hash per distinct row is held while scanning; a hash
+// seen before is confirmed against the earlier row, and a collision counts as distinct.
+export const findDuplicateRows = (rows) => {
+  const originals = new Int32Array(rows.length).fill(-1);
+  const rowAt = rows.rowAt || ((index) => rows[index]);
+  const firstByHash = new Map();
+  rows.forEach((row, index) => {
+    const key = duplicateKey(row);
+    const hash = hashKey(key);
+    const first = firstByHash.get(hash);
+    if (first === undefined) firstByHash.set(hash, index);
+    else if (duplicateKey(rowAt(first)) === key) originals[index] = first;
+  });
+  return originals;
+};
+
+const MAX_SAMPLE_ROWS = 50;
+const MAX_LISTED_DUPLICATES = 1000;
+const MAX_BORDERLINE_SAMPLES = 10;
+
+// Incremental analysis: create, feed rows one at a time, then finalize. This lets the
+// analysis worker read rows one at a time from its compact row store instead of building
+// an array of row objects.
+// Manual overrides in `config.overrides` are applied ahead of the segment rules, and
+// pages are typed by the `config.contentTypes` taxonomy. `customRegexMatches` holds
+// custom regex results computed beforehand (see createCustomRegexMatchers), and
+// `duplicates` the rows' duplicate indexes from findDuplicateRows.
+export const createAnalysis = (config, { customRegexMatches, duplicates = new Int32Array(0) } = {}) => {
+  const segments = resolveSegments(config);
+  const classifier = applyOverrides(compileSegments(segments, {
+    caseSensitive: config.caseSensitive,
+    fuzzyTolerance: config.fuzzyMatching ? config.fuzzyTolerance || 1 : 0,
+    normalization: config.normalization,
+  }, createCustomRegexMatchers(config, customRegexMatches)), config.overrides, segments);
+  return {
+    config,
+    segments,
+    classifier,
+    duplicates,
+    contentTypes: compileContentTypes(config.contentTypes, { localeAliases: config.localeAliases }),
+    sites: compileSiteGroups(config.siteGroups),
+    resolveLocale: createLocaleResolver(config.localeSources, config.localeAliases),
+    acc: {
+      segments: Object.fromEntries(segments.map(({ id }) => [id, createMetrics()])),
+      summary: { totalRows: 0, brandedRows: 0, nonBrandedRows: 0, brandedPercentage: 0, nonBrandedPercentage: 0, duplicateRows: 0, overriddenRows: 0, overriddenQueries: 0 },
+      pathData: {},
+      pathTree: {},
+      urlData: {},
+      languageData: {},
+      languageTermSets: {},
+      localeData: {},
+      localeRegions: {},
+      contentTypeData: {},
+      hostData: {},
+      siteData: {},
+      siteHosts: {},
+      countryData: {},
+      deviceData: {},
+      timeSeries: {},
+      pathUrlExamples: {},
+      pathUrlCounts: {},
+      duplicates: [],
+      sampleRows: [],
+      queryIndex: new Map(),
+      hasPages: false,
+    },
   };
+};
 
-  normalizedData.forEach((row, index) => {
-    if (!row.query || !row.page) {
-      console.warn(`Skipping row ${index}: Missing Query or Page`, row);
-      return;
-    }
+export const addAnalysisRow = ({ config, classifier, duplicates, contentTypes, sites, resolveLocale, acc }, row, index) => {
+  const { detectLanguageCodes } = config;
+  if (acc.sampleRows.length < MAX_SAMPLE_ROWS) acc.sampleRows.push(row);
 
-    acc.summary.totalRows++;
-    const isBrand = isBranded(row.query);
-    const category = isBrand ? 'branded' : 'nonBranded';
-    const target = isBrand ? acc.branded : acc.nonBranded;
-
-    const clicks = Number(row.clicks) || 0;
-    const impressions = Number(String(row.impressions || '0').replace(/,/g, '')) || 0;
-    const ctr = Number(String(row.ctr || '0').replace('%', '')) / 100 || 0;
-    const position = Number(row.position) || 0;
-
-    target.metrics.clicks += clicks;
-    target.metrics.impressions += impressions;
-    target.metrics.avgPosition = (target.metrics.avgPosition * (acc.summary.totalRows - 1) + position) / acc.summary.totalRows;
-    if (target.samples.length < 10) {
-      target.samples.push({ query: row.query, clicks, impressions, ctr, avgPosition: position, contentTypes: [inferContentType(row.page)], urls: [{ url: row.page, contentType: inferContentType(row.page), language: detectLanguageCodes ? 'en' : null }] });
+  // Search Console's Queries sheet has no page column, so only the query is required
+  if (!row.query) {
+    console.warn(`Skipping row ${index}: Missing Query`, row);
+    return;
+  }
+
+  const { primaryPath, path, lang, language: pageLanguage, region, host } = row.page
+    ? parsePage(row.page, index, resolveLocale, config.localeAliases)
+    : { primaryPath: NO_PAGE_PATH, path: NO_PAGE_PATH, lang: UNKNOWN_LOCALE, language: UNKNOWN_LOCALE, region: null, host: null };
+  const site = sites.siteOf(host);
+  const language = detectLanguageCodes ? classificationLanguage(lang) : null;
+  const category = classifier.classify(row.query, language);
+  const pageType = row.page ? contentTypes.typeOf(row.page) : null;
+  const values = parseMetricValues(row);
+
+  const country = normalizeCountry(row.country);
+  const device = normalizeDevice(row.device);
+  const dimensions = { path: row.page ? path : null, language: detectLanguageCodes ? lang : null, host, site, country, device };
+  const { filters } = config;
+
+  // The time series always covers the whole upload so the Trends brush can widen the
+  // range again; everything else only counts rows inside the selected date range
+  const date = toDateKey(row.date);
+  if (date && matchesFilters(dimensions, filters)) addToTimeSeries(acc.timeSeries, date, category, values);
+  if (!isInDateRange(date, config.dateRange)) return;
+
+  // Cross-filtering: each dimension view ignores its own filter, so the selected value
+  // stays visible next to its siblings while every other view narrows down to it
+  if (matchesFilters(dimensions, filters, 'country') && country) {
+    acc.countryData[country] = addToBreakdown(acc.countryData[country] || createBreakdown(), category, values);
+  }
+  if (matchesFilters(dimensions, filters, 'device') && device) {
+    acc.deviceData[device] = addToBreakdown(acc.deviceData[device] || createBreakdown(), category, values);
+  }
+  if (matchesFilters(dimensions, filters, 'host') && host) {
+    acc.hostData[host] = addToBreakdown(acc.hostData[host] || createBreakdown(), category, values);
+  }
+  if (matchesFilters(dimensions, filters, 'site') && site) {
+    addToSiteData(acc, site, host, category, values);
+  }
+  if (row.page) {
+    acc.hasPages = true;
+    if (matchesFilters(dimensions, filters, 'path')) {
+      addToPathViews(acc, row.page, path, truncatePath(path, pathLevelDepth(config.pathLevel)), pageType, category, values);
     }
-    if (isBrand) acc.summary.brandedRows++;
-    else acc.summary.nonBrandedRows++;
-
-    let path = '/homepage', primaryPath = '/homepage', lang = 'unknown';
-    try {
-      const url = new URL(row.page.startsWith('http') ? row.page : `https://${row.page}`);
-      const { lang: detectedLang, path: detectedPath, primaryPath: detectedPrimaryPath } = detectLanguageOrPath(url.pathname, languageCodes);
-      lang = detectLanguageCodes ? detectedLang : 'unknown';
-      path = detectedPath;
-      primaryPath = detectedPrimaryPath;
-    } catch (e) {
-      console.warn(`Invalid URL in row ${index}: ${row.page}`, e);
-      path = primaryPath = '/invalid';
+    if (detectLanguageCodes && matchesFilters(dimensions, filters, 'language')) {
+      addToLocaleViews(acc, pageLanguage, lang, region, category, values);
+      const termSet = classifier.termSetOf(row.query, category, language);
+      if (termSet) {
+        const termSets = acc.languageTermSets[pageLanguage] || (acc.languageTermSets[pageLanguage] = {});
+        const totals = termSets[termSet] || (termSets[termSet] = { rows: 0, clicks: 0 });
+        totals.rows++;
+        totals.clicks += values.clicks;
+      }
     }
+  }
 
-    acc.pathData[primaryPath] = acc.pathData[primaryPath] || { total: 0, branded: 0, nonBranded: 0, sortableTotal: 0 };
-    acc.pathData[primaryPath].total++;
-    acc.pathData[primaryPath][category]++;
-    acc.pathData[primaryPath].sortableTotal = acc.pathData[primaryPath].total;
-    acc.pathUrlCounts[primaryPath] = (acc.pathUrlCounts[primaryPath] || 0) + 1;
-    acc.pathUrlExamples[primaryPath] = (acc.pathUrlExamples[primaryPath] || []).concat([row.page]).slice(0, 10);
-
-    if (detectLanguageCodes) {
-      acc.languageData[lang] = acc.languageData[lang] || { language: lang.charAt(0).toUpperCase() + lang.slice(1), code: lang, total: 0, clicks: 0, branded: 0, nonBranded: 0, sortableTotal: 0 };
-      acc.languageData[lang].total++;
-      acc.languageData[lang].clicks += clicks;
-      acc.languageData[lang][category]++;
-      acc.languageData[lang].sortableTotal = acc.languageData[lang].total;
+  if (matchesFilters(dimensions, filters)) {
+    acc.summary.totalRows++;
+    if (classifier.isOverridden(row.query)) acc.summary.overriddenRows++;
+    addMetrics(acc.segments[category], values);
+    // Overrides pin a query in every language, so its rows never need separate entries
+    const scope = classifier.isOverridden(row.query) ? null : classifier.ruleScopeOf(language);
+    addToQueryIndex(acc.queryIndex, row, category, values, detectLanguageCodes ? lang : null, scope, row.page ? primaryPath : null, pageType?.type);
+    if (pageType) {
+      acc.contentTypeData[pageType.type] = addToBreakdown(acc.contentTypeData[pageType.type] || createBreakdown(), category, values);
     }
+  }
+
+  const originalIndex = duplicates[index] ?? -1;
+  if (originalIndex !== -1) {
+    acc.summary.duplicateRows++;
+    if (acc.duplicates.length < MAX_LISTED_DUPLICATES) acc.duplicates.push({ ...row, originalIndex });
+  }
+};
 
-    const duplicate = normalizedData.find((r, i) => i < index && r.query === row.query && r.page === row.page);
-    if (duplicate) acc.duplicates.push({ ...row, originalIndex: normalizedData.indexOf(duplicate) });
+// Share of the analyzed rows in a segment
+const rowPercentage = (rows, totalRows) => (totalRows ? (rows / totalRows) * 100 : 0);
+
+// Queries, clicks and impressions per intent, every intent listed in a fixed order
+const intentBreakdown = (queries) => {
+  const totals = Object.fromEntries([...INTENTS, UNKNOWN_INTENT].map(({ id }) => [id, { id, queries: 0, clicks: 0, impressions: 0 }]));
+  queries.forEach(({ intent, clicks, impressions }) => {
+    const entry = totals[intent] || totals[UNKNOWN_INTENT.id];
+    entry.queries++;
+    entry.clicks += clicks || 0;
+    entry.impressions += impressions || 0;
   });
+  const totalClicks = queries.reduce((sum, { clicks }) => sum + (clicks || 0), 0);
+  return Object.values(totals).map((entry) => ({ ...entry, share: totalClicks ? (entry.clicks / totalClicks) * 100 : 0 }));
+};
 
-  acc.summary.brandedPercentage = acc.summary.totalRows ? (acc.summary.brandedRows / acc.summary.totalRows) * 100 : 0;
-  acc.summary.nonBrandedPercentage = acc.summary.totalRows ? (acc.summary.nonBrandedRows / acc.summary.totalRows) * 100 : 0;
-  acc.branded.metrics.ctr = acc.branded.metrics.impressions > 0 ? acc.branded.metrics.clicks / acc.branded.metrics.impressions : 0;
-  acc.nonBranded.metrics.ctr = acc.nonBranded.metrics.impressions > 0 ? acc.nonBranded.metrics.clicks / acc.nonBranded.metrics.impressions : 0;
+export const finalizeAnalysis = ({ config, segments: definitions, classifier, sites, acc }) => {
+  const queries = finalizeQueryIndex(acc.queryIndex);
+  // Every query pulled into a segment by fuzzy matching, with the term it matched, so
+  // the Data Quality tab can show what fuzzy matching added
+  const fuzzyMatches = [];
+  // Own-brand queries naming one of the site's sections ("acme blog") are navigational
+  const intentOf = compileIntentClassifier(config.intentModifiers || DEFAULT_INTENT_MODIFIERS, {
+    normalization: config.normalization,
+    sitePaths: Object.keys(acc.pathTree).filter((path) => !parentPath(path)),
+  });
+  queries.forEach((query) => {
+    query.intent = intentOf(query.query, { language: query.language, branded: query.category === BRANDED_SEGMENT });
+    const { score, reason, term } = classifier.confidenceOf(query.query, query.category, query.language);
+    query.confidence = score;
+    query.classifiedBy = reason;
+    if (term) query.nearMissTerm = term;
+    if (classifier.isOverridden(query.query)) {
+      query.overridden = true;
+      acc.summary.overriddenQueries++;
+      return;
+    }
+    const fuzzyMatch = query.category !== FALLBACK_SEGMENT ? classifier.fuzzyMatchOf(query.query, query.category, query.language) : null;
+    if (!fuzzyMatch) return;
+    query.fuzzyMatch = fuzzyMatch;
+    fuzzyMatches.push({ key: query.key, query: query.query, segment: query.category, ...fuzzyMatch, clicks: query.clicks, impressions: query.impressions });
+  });
 
-  const result = {
-    data: normalizedData,
-    branded: acc.branded,
-    nonBranded: acc.nonBranded,
-    summary: acc.summary,
-    pathData: Object.entries(acc.pathData).map(([name, stats]) => ({
+  // One entry per segment in priority order. `branded` and `nonBranded` below point at
+  // the own-brand and fallback entries for the views that compare just those two.
+  const segments = definitions.map(({ id, name, color }) => {
+    const metrics = finalizeMetrics(acc.segments[id]);
+    const segmentQueries = queries.filter((q) => q.category === id);
+    return {
+      id,
       name,
-      total: stats.total,
-      branded: stats.total ? (stats.branded / stats.total) * 100 : 0,
-      nonBranded: stats.total ? (stats.nonBranded / stats.total) * 100 : 0,
-      sortableTotal: stats.sortableTotal,
+      color,
+      metrics,
+      rows: metrics.rows,
+      percentage: rowPercentage(metrics.rows, acc.summary.totalRows),
+      queries: segmentQueries,
+      samples: segmentQueries.slice(0, 10),
+      intents: intentBreakdown(segmentQueries),
+    };
+  });
+  const branded = segments.find(({ id }) => id === BRANDED_SEGMENT);
+  const nonBranded = segments.find(({ id }) => id === FALLBACK_SEGMENT);
+  acc.summary.brandedRows = branded.rows;
+  acc.summary.nonBrandedRows = nonBranded.rows;
+  acc.summary.brandedPercentage = branded.percentage;
+  acc.summary.nonBrandedPercentage = nonBranded.percentage;
+  acc.summary.totalQueries = queries.length;
+  acc.summary.brandedQueries = branded.queries.length;
+  acc.summary.nonBrandedQueries = nonBranded.queries.length;
+  const timeSeries = timeSeriesDays(acc.timeSeries);
+
+  return {
+    segments,
+    branded,
+    nonBranded,
+    summary: acc.summary,
+    queries,
+    ruleStats: classifier.countMatches(queries),
+    fuzzyMatches,
+    pathData: Object.entries(acc.pathData).map(([name, breakdown]) => ({ name, ...toBreakdownRow(breakdown) })),
+    pathLevel: config.pathLevel || PATH_LEVELS[0].id,
+    pathTree: finalizePathTree(acc.pathTree, acc.urlData),
+    urlData: finalizeUrlData(acc.urlData),
+    languageData: Object.entries(acc.languageData).map(([lang, breakdown]) => ({
+      language: localeName(lang),
+      code: lang,
+      ...toBreakdownRow(breakdown),
+      // Rows each brand term set classified, global terms first
+      termSets: Object.entries(acc.languageTermSets[lang] || {})
+        .map(([set, totals]) => ({ set, ...totals }))
+        .sort((a, b) => (a.set === 'global' ? -1 : b.set === 'global' ? 1 : b.rows - a.rows)),
     })),
-    languageData: Object.values(acc.languageData).map((item) => ({
-      ...item,
-      branded: item.total ? (item.branded / item.total) * 100 : 0,
-      nonBranded: item.total ? (item.nonBranded / item.total) * 100 : 0,
-      sortableTotal: item.sortableTotal,
+    localeData: finalizeLocaleData(acc.localeData, acc.localeRegions),
+    contentTypeData: finalizeContentTypeData(acc.contentTypeData, acc.urlData),
+    hostData: finalizeHostData(acc.hostData, sites),
+    siteData: finalizeSiteData(acc.siteData, acc.siteHosts),
+    countryData: Object.entries(acc.countryData).map(([name, breakdown]) => ({ name, ...toBreakdownRow(breakdown) })),
+    deviceData: Object.entries(acc.deviceData).map(([name, breakdown]) => ({ name, ...toBreakdownRow(breakdown) })),
+    filters: config.filters || {},
+    timeSeries,
+    trendData: timeSeries.filter(({ date }) => isInDateRange(date, config.dateRange)).map(({ date, segments: daySegments }) => ({
+      date,
+      ...Object.fromEntries(definitions.map(({ id }) => [`${id}Clicks`, daySegments[id]?.clicks || 0])),
     })),
+    dateRange: config.dateRange || null,
     pathUrlExamples: acc.pathUrlExamples,
     pathUrlCounts: acc.pathUrlCounts,
-    borderline: acc.borderline,
+    // The lowest-confidence classifications, busiest first among equals
+    borderline: {
+      samples: queries
+        .filter(({ confidence }) => confidence < 100)
+        .sort((a, b) => a.confidence - b.confidence || (b.clicks || 0) - (a.clicks || 0))
+        .slice(0, MAX_BORDERLINE_SAMPLES),
+    },
     duplicates: acc.duplicates,
+    hasPages: acc.hasPages,
     sampleRows: acc.sampleRows,
   };
+};
+
+const processCsvResults = (data, config) => {
+  const normalizedData = data.map((row) => {
+    const normalizedRow = {};
+    Object.keys(row).forEach((key) => {
+      normalizedRow[key.toLowerCase()] = row[key];
+    });
+    return normalizedRow;
+  });
+  // No one confirms the number format on this path, so the detected one is used
+  applyNumberFormat(normalizedData, config.numberFormat || detectNumberFormat(normalizedData));
+
+  const analysis = createAnalysis(config, { duplicates: findDuplicateRows(normalizedData) });
+  normalizedData.forEach((row, index) => addAnalysisRow(analysis, row, index));
+  return { data: normalizedData, ...finalizeAnalysis(analysis) };
+};
+
+const toDimensionTotals = (rows, column) => {
+  const totals = {};
+  rows.forEach((row) => {
+    const name = row[column] === null || row[column] === undefined || row[column] === '' ? 'unknown' : String(row[column]);
+    totals[name] = addMetrics(totals[name] || createMetrics(), parseMetricValues(row));
+  });
+  return Object.entries(totals)
+    .map(([name, metrics]) => ({ name, ...finalizeMetrics(metrics) }))
+    .sort((a, b) => b.clicks - a.clicks);
+};
+
+// Secondary sheets from a Search Console ZIP are single-dimension totals without a query
+// column, so they can't be split into branded/non-branded. Pages fill the URL and
+// language views (as 'unclassified') only when the primary sheet had no page column.
+export const applySheetDimensions = (result, sheets, config) => {
+  const next = { ...result, loadedSheets: Object.values(sheets).map(({ name, label, rows }) => ({ name, label, rows: rows.length })) };
+
+  if (sheets.pages && !result.hasPages) {
+    const pathViews = { pathData: {}, pathTree: {}, urlData: {}, pathUrlExamples: {}, pathUrlCounts: {} };
+    const localeViews = { languageData: {}, localeData: {}, localeRegions: {} };
+    const contentTypeData = {};
+    const hostViews = { hostData: {}, siteData: {}, siteHosts: {} };
+    const contentTypes = compileContentTypes(config.contentTypes, { localeAliases: config.localeAliases });
+    const sites = compileSiteGroups(config.siteGroups);
+    const resolveLocale = createLocaleResolver(config.localeSources, config.localeAliases);
+    sheets.pages.rows.forEach((row, index) => {
+      if (!row.page) return;
+      const values = parseMetricValues(row);
+      const { path, lang, language, region, host } = parsePage(String(row.page), index, resolveLocale, config.localeAliases);
+      if (host) {
+        hostViews.hostData[host] = addToBreakdown(hostViews.hostData[host] || createBreakdown(), 'unclassified', values);
+        addToSiteData(hostViews, sites.siteOf(host), host, 'unclassified', values);
+      }
+      const pageType = contentTypes.typeOf(String(row.page));
+      addToPathViews(pathViews, String(row.page), path, truncatePath(path, pathLevelDepth(config.pathLevel)), pageType, 'unclassified', values);
+      contentTypeData[pageType.type] = addToBreakdown(contentTypeData[pageType.type] || createBreakdown(), 'unclassified', values);
+      if (config.detectLanguageCodes) {
+        addToLocaleViews(localeViews, language, lang, region, 'unclassified', values);
+      }
+    });
+    next.pathData = Object.entries(pathViews.pathData).map(([name, breakdown]) => ({ name, ...toBreakdownRow(breakdown) }));
+    next.pathTree = finalizePathTree(pathViews.pathTree, pathViews.urlData);
+    next.urlData = finalizeUrlData(pathViews.urlData);
+    next.languageData = Object.entries(localeViews.languageData).map(([lang, breakdown]) => ({
+      language: localeName(lang),
+      code: lang,
+      ...toBreakdownRow(breakdown),
+    }));
+    next.localeData = finalizeLocaleData(localeViews.localeData, localeViews.localeRegions);
+    next.contentTypeData = finalizeContentTypeData(contentTypeData, pathViews.urlData);
+    next.hostData = finalizeHostData(hostViews.hostData, sites);
+    next.siteData = finalizeSiteData(hostViews.siteData, hostViews.siteHosts);
+    next.pathUrlExamples = pathViews.pathUrlExamples;
+    next.pathUrlCounts = pathViews.pathUrlCounts;
+    next.pageSource = 'pagesSheet';
+  }
+
+  if (sheets.dates) {
+    // Without dated query rows the Trends view falls back to the Dates sheet totals
+    if (!result.timeSeries?.length) {
+      const series = {};
+      sheets.dates.rows.forEach((row) => {
+        const date = toDateKey(row.date);
+        if (date) addToTimeSeries(series, date, 'unclassified', parseMetricValues(row));
+      });
+      next.timeSeries = timeSeriesDays(series);
+    }
+    next.dateTotals = toDimensionTotals(sheets.dates.rows, 'date')
+      .map(({ name, ...metrics }) => ({ date: name, ...metrics }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+  if (sheets.countries) next.countryTotals = toDimensionTotals(sheets.countries.rows, 'country');
+  if (sheets.devices) next.deviceTotals = toDimensionTotals(sheets.devices.rows, 'device');
+  // Like pages, the Countries and Devices sheets fill their tabs as 'unclassified' totals
+  // when the query rows carry no such column
+  [['countries', 'country', 'countryData', normalizeCountry], ['devices', 'device', 'deviceData', normalizeDevice]].forEach(([sheet, column, key, normalize]) => {
+    if (!sheets[sheet] || result[key]?.length) return;
+    const breakdowns = {};
+    sheets[sheet].rows.forEach((row) => {
+      const name = normalize(row[column]);
+      if (name) breakdowns[name] = addToBreakdown(breakdowns[name] || createBreakdown(), 'unclassified', parseMetricValues(row));
+    });
+    next[key] = Object.entries(breakdowns).map(([name, breakdown]) => ({ name, ...toBreakdownRow(breakdown) }));
+    next[`${column}Source`] = `${sheet}Sheet`;
+  });
+  if (sheets.filters) {
+    next.context = sheets.filters.rows
+      .filter((row) => row.filter)
+      .map((row) => ({ filter: String(row.filter), value: row.value === null || row.value === undefined ? '' : String(row.value) }));
+  }
 
-  return result;
+  return next;
 };
 
 export const filterFN = (data, threshold = 0) => data.filter((item) => item.value > threshold);
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { processCsvData, createAnalysis } from './utils.js';
+import { DEFAULT_SEGMENTS, BRANDED_SEGMENT, FALLBACK_SEGMENT } from './segments.js';
+
+const segments = DEFAULT_SEGMENTS.map((segment) => (segment.id === BRANDED_SEGMENT
+  ? { ...segment, rules: [{ id: 'es', type: 'include', join: 'or', term: 'zapatos', match: 'word', language: 'es' }] }
+  : segment));
+
+test('query entries agree with the segment totals when language-scoped rules differ', async () => {
+  const rows = [
+    { query: 'zapatos', page: 'https://example.com/en/zapatos', clicks: 3, impressions: 30, position: 2 },
+    { query: 'zapatos', page: 'https://example.com/es/zapatos', clicks: 7, impressions: 70, position: 2 },
+  ];
+  const result = await processCsvData(rows, { segments, detectLanguageCodes: true });
+  const byCategory = Object.fromEntries(result.queries.map((query) => [query.category, query]));
+  assert.equal(byCategory[BRANDED_SEGMENT].clicks, 7);
+  assert.equal(byCategory[BRANDED_SEGMENT].scope, 'es');
+  assert.equal(byCategory[FALLBACK_SEGMENT].clicks, 3);
+  assert.equal(byCategory[FALLBACK_SEGMENT].scope, null);
+  const totals = Object.fromEntries(result.segments.map(({ id, metrics }) => [id, metrics.clicks]));
+  assert.deepEqual(totals, { [BRANDED_SEGMENT]: 7, [FALLBACK_SEGMENT]: 3 });
+});
+
+test('custom regex results computed beforehand are used instead of running the regex', () => {
+  const config = { segments: DEFAULT_SEGMENTS, useCustomRegex: true, customRegex: 'acme' };
+  const { classifier } = createAnalysis(config, { customRegexMatches: new Map([['acme shoes', false], ['boots', true]]) });
+  assert.equal(classifier.classify('acme shoes'), FALLBACK_SEGMENT);
+  assert.equal(classifier.classify('boots'), BRANDED_SEGMENT);
+  assert.equal(classifier.classify('acme boots'), BRANDED_SEGMENT);
+});